@@ -0,0 +1,172 @@
+import type { ChargeOutcome, SpendStore, SpendTotals } from "./store.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Budget scopes, narrowest first:
+ * - session: one MCP session (a Worker Durable Object, or the stdio process)
+ * - daily: the whole deployment, since 00:00 UTC
+ * - deployment: the whole deployment, ever
+ */
+export const BUDGET_SCOPES = ["session", "daily", "deployment"] as const;
+
+export type BudgetScope = (typeof BUDGET_SCOPES)[number];
+
+/** Credit limits per scope; absent limits are unlimited */
+export interface BudgetLimits {
+	sessionCredits?: number;
+	dailyCredits?: number;
+	deploymentCredits?: number;
+}
+
+export interface BudgetScopeStatus {
+	scope: BudgetScope;
+	limit?: number;
+	spent: number;
+	/** Absent when the scope is unlimited */
+	remaining?: number;
+	/** When the scope starts from zero again (daily scope only) */
+	resetsAt?: number;
+}
+
+/** A generation request would take a scope past its limit */
+export class BudgetExceededError extends Error {
+	constructor(
+		readonly scope: BudgetScope,
+		readonly requested: number,
+		readonly limit: number,
+		readonly spent: number,
+		readonly resetsAt?: number,
+	) {
+		const remaining = Math.max(0, limit - spent);
+		let message = `The ${scope} credit budget would be exceeded: this request is estimated at ${requested} credits, but only ${remaining} of ${limit} remain.`;
+		if (resetsAt !== undefined) {
+			message += ` The daily budget resets at ${new Date(resetsAt).toISOString()}.`;
+		}
+		super(message);
+		this.name = "BudgetExceededError";
+	}
+}
+
+/** Credits held for a task about to be submitted */
+export interface BudgetReservation {
+	/** Give the credits back, e.g. because RunwayML rejected the task */
+	release(): Promise<void>;
+}
+
+export interface CreditBudgetOptions {
+	limits: BudgetLimits;
+	session: SpendStore;
+	/** Shared by every session of the deployment; holds the daily and deployment scopes */
+	deployment: SpendStore;
+	now?: () => number;
+}
+
+/**
+ * Enforces credit budgets before generation tasks are created. Spend is the estimated
+ * cost (see runway/pricing.ts) charged when a task is submitted; it is not refunded if
+ * the task later fails.
+ */
+export class CreditBudget {
+	constructor(private readonly options: CreditBudgetOptions) {}
+
+	async status(): Promise<BudgetScopeStatus[]> {
+		const dayStart = this.dayStart();
+		const [session, deployment] = await Promise.all([
+			this.options.session.totals(dayStart),
+			this.options.deployment.totals(dayStart),
+		]);
+		const { limits } = this.options;
+		return [
+			scopeStatus("session", limits.sessionCredits, session.total),
+			{
+				...scopeStatus("daily", limits.dailyCredits, deployment.today),
+				resetsAt: dayStart + DAY_MS,
+			},
+			scopeStatus("deployment", limits.deploymentCredits, deployment.total),
+		];
+	}
+
+	/**
+	 * Charge `credits` to every scope, or throw BudgetExceededError naming the first scope
+	 * that cannot afford them. Nothing is charged when any scope refuses or a store fails.
+	 */
+	async reserve(credits: number): Promise<BudgetReservation> {
+		const { limits, session, deployment } = this.options;
+		const now = this.now();
+		const dayStart = this.dayStart();
+		const charge = { id: crypto.randomUUID(), credits, at: now };
+
+		const sessionOutcome = await session.charge(
+			charge,
+			{ total: limits.sessionCredits },
+			dayStart,
+		);
+		if (!sessionOutcome.ok) {
+			throw this.exceeded("session", credits, sessionOutcome.totals);
+		}
+		let deploymentOutcome: ChargeOutcome;
+		try {
+			deploymentOutcome = await deployment.charge(
+				charge,
+				{ total: limits.deploymentCredits, daily: limits.dailyCredits },
+				dayStart,
+			);
+		} catch (error) {
+			// e.g. the BudgetObject could not be reached; the session must not keep the charge
+			await session.refund(charge.id);
+			throw error;
+		}
+		if (!deploymentOutcome.ok) {
+			await session.refund(charge.id);
+			throw this.exceeded(
+				deploymentOutcome.limit === "daily" ? "daily" : "deployment",
+				credits,
+				deploymentOutcome.totals,
+			);
+		}
+
+		return {
+			release: async () => {
+				await Promise.all([session.refund(charge.id), deployment.refund(charge.id)]);
+			},
+		};
+	}
+
+	private exceeded(scope: BudgetScope, credits: number, totals: SpendTotals) {
+		const { limits } = this.options;
+		if (scope === "daily") {
+			const resetsAt = this.dayStart() + DAY_MS;
+			return new BudgetExceededError(
+				scope,
+				credits,
+				limits.dailyCredits ?? 0,
+				totals.today,
+				resetsAt,
+			);
+		}
+		const limit = scope === "session" ? limits.sessionCredits : limits.deploymentCredits;
+		return new BudgetExceededError(scope, credits, limit ?? 0, totals.total);
+	}
+
+	private dayStart(): number {
+		return Math.floor(this.now() / DAY_MS) * DAY_MS;
+	}
+
+	private now(): number {
+		return (this.options.now ?? Date.now)();
+	}
+}
+
+function scopeStatus(
+	scope: BudgetScope,
+	limit: number | undefined,
+	spent: number,
+): BudgetScopeStatus {
+	return {
+		scope,
+		limit,
+		spent,
+		remaining: limit === undefined ? undefined : Math.max(0, limit - spent),
+	};
+}
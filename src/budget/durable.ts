@@ -0,0 +1,42 @@
+import { DurableObject } from "cloudflare:workers";
+import {
+	type ChargeOutcome,
+	type SpendCharge,
+	type SpendLimits,
+	type SpendStore,
+	SqlSpendStore,
+	type SpendTotals,
+} from "./store.js";
+
+/** Name of the single BudgetObject instance shared by the whole deployment */
+const DEPLOYMENT_BUDGET = "deployment";
+
+/**
+ * Deployment-wide credit spend, shared by every MCP session over RPC. Lives outside
+ * budget/index.ts because `cloudflare:workers` only resolves inside the Worker.
+ */
+export class BudgetObject extends DurableObject {
+	private readonly store = new SqlSpendStore(this.ctx.storage.sql);
+
+	totals(dayStart: number): Promise<SpendTotals> {
+		return this.store.totals(dayStart);
+	}
+
+	charge(charge: SpendCharge, limits: SpendLimits, dayStart: number): Promise<ChargeOutcome> {
+		return this.store.charge(charge, limits, dayStart);
+	}
+
+	refund(id: string): Promise<void> {
+		return this.store.refund(id);
+	}
+}
+
+/** SpendStore backed by the deployment's BudgetObject */
+export function deploymentSpendStore(namespace: DurableObjectNamespace<BudgetObject>): SpendStore {
+	const stub = namespace.get(namespace.idFromName(DEPLOYMENT_BUDGET));
+	return {
+		totals: (dayStart) => stub.totals(dayStart),
+		charge: (charge, limits, dayStart) => stub.charge(charge, limits, dayStart),
+		refund: (id) => stub.refund(id),
+	};
+}
@@ -0,0 +1,141 @@
+/** Credits charged in one budget scope */
+export interface SpendTotals {
+	/** Every charge ever recorded */
+	total: number;
+	/** Charges since the start of the current UTC day */
+	today: number;
+}
+
+/** Limits a charge must stay within; absent limits are unlimited */
+export interface SpendLimits {
+	total?: number;
+	daily?: number;
+}
+
+export interface SpendCharge {
+	/** Used to refund the charge if the task is never created */
+	id: string;
+	credits: number;
+	at: number;
+}
+
+export type ChargeOutcome =
+	| { ok: true; totals: SpendTotals }
+	| { ok: false; limit: keyof SpendLimits; totals: SpendTotals };
+
+/**
+ * Running credit spend of one budget scope. The Worker keeps the session scope in the
+ * session's Durable Object and the deployment scope in a shared BudgetObject; the stdio
+ * server keeps both in memory.
+ */
+export interface SpendStore {
+	totals(dayStart: number): Promise<SpendTotals>;
+	/**
+	 * Record a charge unless it would exceed a limit. Implementations check and write
+	 * without yielding, so concurrent callers cannot overspend together.
+	 */
+	charge(charge: SpendCharge, limits: SpendLimits, dayStart: number): Promise<ChargeOutcome>;
+	refund(id: string): Promise<void>;
+}
+
+/** The limit a charge of `credits` would break, if any */
+export function exceededLimit(
+	totals: SpendTotals,
+	credits: number,
+	limits: SpendLimits,
+): keyof SpendLimits | undefined {
+	if (limits.total !== undefined && totals.total + credits > limits.total) return "total";
+	if (limits.daily !== undefined && totals.today + credits > limits.daily) return "daily";
+	return undefined;
+}
+
+/**
+ * In-process spend for the stdio server. Totals last as long as the process.
+ */
+export class MemorySpendStore implements SpendStore {
+	private readonly charges = new Map<string, { credits: number; at: number }>();
+
+	async totals(dayStart: number): Promise<SpendTotals> {
+		let total = 0;
+		let today = 0;
+		for (const { credits, at } of this.charges.values()) {
+			total += credits;
+			if (at >= dayStart) today += credits;
+		}
+		return { total, today };
+	}
+
+	async charge(
+		charge: SpendCharge,
+		limits: SpendLimits,
+		dayStart: number,
+	): Promise<ChargeOutcome> {
+		const totals = await this.totals(dayStart);
+		const limit = exceededLimit(totals, charge.credits, limits);
+		if (limit) return { ok: false, limit, totals };
+		this.charges.set(charge.id, { credits: charge.credits, at: charge.at });
+		return {
+			ok: true,
+			totals: { total: totals.total + charge.credits, today: totals.today + charge.credits },
+		};
+	}
+
+	async refund(id: string): Promise<void> {
+		this.charges.delete(id);
+	}
+}
+
+/**
+ * Spend stored in a Durable Object's SQLite database. SqlStorage calls are synchronous,
+ * so a charge is checked and written without interleaving with other requests.
+ */
+export class SqlSpendStore implements SpendStore {
+	constructor(private readonly sql: SqlStorage) {
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_spend (
+			id TEXT PRIMARY KEY,
+			credits REAL NOT NULL,
+			at INTEGER NOT NULL
+		)`);
+		sql.exec("CREATE INDEX IF NOT EXISTS runway_spend_at ON runway_spend (at)");
+	}
+
+	async totals(dayStart: number): Promise<SpendTotals> {
+		return this.readTotals(dayStart);
+	}
+
+	async charge(
+		charge: SpendCharge,
+		limits: SpendLimits,
+		dayStart: number,
+	): Promise<ChargeOutcome> {
+		const totals = this.readTotals(dayStart);
+		const limit = exceededLimit(totals, charge.credits, limits);
+		if (limit) return { ok: false, limit, totals };
+		this.sql.exec(
+			"INSERT OR REPLACE INTO runway_spend (id, credits, at) VALUES (?, ?, ?)",
+			charge.id,
+			charge.credits,
+			charge.at,
+		);
+		return {
+			ok: true,
+			totals: { total: totals.total + charge.credits, today: totals.today + charge.credits },
+		};
+	}
+
+	async refund(id: string): Promise<void> {
+		this.sql.exec("DELETE FROM runway_spend WHERE id = ?", id);
+	}
+
+	private readTotals(dayStart: number): SpendTotals {
+		const [row] = this.sql
+			.exec<{ total: number; today: number }>(
+				`SELECT COALESCE(SUM(credits), 0) AS total,
+					COALESCE(SUM(CASE WHEN at >= ? THEN credits END), 0) AS today
+					FROM runway_spend`,
+				dayStart,
+			)
+			.toArray();
+		return { total: row.total, today: row.today };
+	}
+}
@@ -0,0 +1,222 @@
+import { z } from "zod";
+import {
+	DEFAULT_POLL_OPTIONS,
+	DEFAULT_RUNWAY_API_VERSION,
+	DEFAULT_RUNWAY_BASE_URL,
+} from "./runway/index.js";
+
+/**
+ * What happens to a RunwayML task when the client cancels the tool call waiting for it:
+ * - "cancel": stop polling and cancel the task on RunwayML, so it stops consuming credits
+ * - "detach": stop polling but let the task finish; background tracking keeps following it
+ */
+export const CANCELLATION_POLICIES = ["cancel", "detach"] as const;
+
+export type CancellationPolicy = (typeof CANCELLATION_POLICIES)[number];
+
+/**
+ * Deployment configuration shared by the Worker and the stdio server.
+ *
+ * Sources, highest precedence first:
+ * - environment variables (Worker `vars`/secrets, or the stdio process environment)
+ * - a JSON config file (stdio server only, see local-server.ts)
+ * - built-in defaults
+ */
+export const ServerConfigSchema = z.object({
+	runway: z
+		.object({
+			baseUrl: z.string().url().default(DEFAULT_RUNWAY_BASE_URL),
+			apiVersion: z.string().min(1).default(DEFAULT_RUNWAY_API_VERSION),
+		})
+		.default({}),
+	// Tuning for the task polling engine (see runway/polling.ts)
+	polling: z
+		.object({
+			initialDelayMs: z.number().min(0).default(DEFAULT_POLL_OPTIONS.initialDelayMs),
+			maxDelayMs: z.number().min(0).default(DEFAULT_POLL_OPTIONS.maxDelayMs),
+			throttledDelayMs: z.number().min(0).default(DEFAULT_POLL_OPTIONS.throttledDelayMs),
+			maxTransientErrors: z
+				.number()
+				.int()
+				.min(0)
+				.default(DEFAULT_POLL_OPTIONS.maxTransientErrors),
+		})
+		.default({}),
+	// MCP resources for generated media (see resources/tasks.ts)
+	resources: z
+		.object({
+			// Outputs up to this size are returned inline as base64 blobs, larger ones as links
+			inlineMaxBytes: z
+				.number()
+				.int()
+				.min(0)
+				.default(5 * 1024 * 1024),
+		})
+		.default({}),
+	// Background tracking of submitted tasks (see ledger/tracker.ts)
+	tracking: z
+		.object({
+			enabled: z.boolean().default(true),
+			intervalMs: z.number().min(1).default(15_000),
+			maxAgeMs: z
+				.number()
+				.min(0)
+				.default(24 * 60 * 60 * 1000),
+		})
+		.default({}),
+	// Reuse of earlier tasks by repeated generation requests (see tools/idempotency.ts)
+	idempotency: z
+		.object({
+			// How long an explicit idempotency_key keeps pointing at its task
+			keyTtlMs: z
+				.number()
+				.min(0)
+				.default(24 * 60 * 60 * 1000),
+			// Identical requests within this window reuse the earlier task; 0 disables
+			autoWindowMs: z.number().min(0).default(0),
+		})
+		.default({}),
+	// Credit limits enforced before tasks are created (see budget/budget.ts); unset = unlimited
+	budgets: z
+		.object({
+			sessionCredits: z.number().min(0).optional(),
+			dailyCredits: z.number().min(0).optional(),
+			deploymentCredits: z.number().min(0).optional(),
+		})
+		.default({}),
+	// Cap on generation tasks in flight per API key (see queue/limiter.ts); unset = unlimited
+	queue: z
+		.object({
+			maxInFlight: z.number().int().min(1).optional(),
+			// Queued requests give up after waiting this long for a slot
+			maxWaitMs: z
+				.number()
+				.min(0)
+				.default(10 * 60 * 1000),
+			// A slot is freed this long after it was taken even if nobody saw its task finish
+			slotLeaseMs: z
+				.number()
+				.min(1)
+				.default(60 * 60 * 1000),
+		})
+		.default({}),
+	// Reaction to notifications/cancelled for a call that submitted a task
+	cancellation: z
+		.object({
+			policy: z.enum(CANCELLATION_POLICIES).default("cancel"),
+		})
+		.default({}),
+});
+
+export type ServerConfig = z.infer<typeof ServerConfigSchema>;
+
+/** Shape accepted from config files and env before defaults are applied */
+export type ServerConfigInput = z.input<typeof ServerConfigSchema>;
+
+/** Environment variables understood by both servers */
+export interface ConfigEnv {
+	RUNWAYML_API_BASE_URL?: string;
+	RUNWAYML_API_VERSION?: string;
+	RUNWAYML_POLL_INITIAL_DELAY_MS?: string;
+	RUNWAYML_POLL_MAX_DELAY_MS?: string;
+	RUNWAYML_POLL_THROTTLED_DELAY_MS?: string;
+	RUNWAYML_POLL_MAX_TRANSIENT_ERRORS?: string;
+	RUNWAYML_RESOURCE_INLINE_MAX_BYTES?: string;
+	RUNWAYML_TRACKING_ENABLED?: string;
+	RUNWAYML_TRACKING_INTERVAL_MS?: string;
+	RUNWAYML_TRACKING_MAX_AGE_MS?: string;
+	RUNWAYML_CANCELLATION_POLICY?: string;
+	RUNWAYML_IDEMPOTENCY_KEY_TTL_MS?: string;
+	RUNWAYML_IDEMPOTENCY_AUTO_WINDOW_MS?: string;
+	RUNWAYML_BUDGET_SESSION_CREDITS?: string;
+	RUNWAYML_BUDGET_DAILY_CREDITS?: string;
+	RUNWAYML_BUDGET_DEPLOYMENT_CREDITS?: string;
+	RUNWAYML_QUEUE_MAX_IN_FLIGHT?: string;
+	RUNWAYML_QUEUE_MAX_WAIT_MS?: string;
+	RUNWAYML_QUEUE_SLOT_LEASE_MS?: string;
+}
+
+/**
+ * Map environment variables onto the config shape. Empty strings count as unset.
+ */
+export function configFromEnv(env: ConfigEnv): ServerConfigInput {
+	return {
+		runway: {
+			baseUrl: env.RUNWAYML_API_BASE_URL || undefined,
+			apiVersion: env.RUNWAYML_API_VERSION || undefined,
+		},
+		polling: {
+			initialDelayMs: numberFromEnv(env.RUNWAYML_POLL_INITIAL_DELAY_MS),
+			maxDelayMs: numberFromEnv(env.RUNWAYML_POLL_MAX_DELAY_MS),
+			throttledDelayMs: numberFromEnv(env.RUNWAYML_POLL_THROTTLED_DELAY_MS),
+			maxTransientErrors: numberFromEnv(env.RUNWAYML_POLL_MAX_TRANSIENT_ERRORS),
+		},
+		resources: {
+			inlineMaxBytes: numberFromEnv(env.RUNWAYML_RESOURCE_INLINE_MAX_BYTES),
+		},
+		tracking: {
+			enabled: booleanFromEnv(env.RUNWAYML_TRACKING_ENABLED),
+			intervalMs: numberFromEnv(env.RUNWAYML_TRACKING_INTERVAL_MS),
+			maxAgeMs: numberFromEnv(env.RUNWAYML_TRACKING_MAX_AGE_MS),
+		},
+		idempotency: {
+			keyTtlMs: numberFromEnv(env.RUNWAYML_IDEMPOTENCY_KEY_TTL_MS),
+			autoWindowMs: numberFromEnv(env.RUNWAYML_IDEMPOTENCY_AUTO_WINDOW_MS),
+		},
+		budgets: {
+			sessionCredits: numberFromEnv(env.RUNWAYML_BUDGET_SESSION_CREDITS),
+			dailyCredits: numberFromEnv(env.RUNWAYML_BUDGET_DAILY_CREDITS),
+			deploymentCredits: numberFromEnv(env.RUNWAYML_BUDGET_DEPLOYMENT_CREDITS),
+		},
+		queue: {
+			maxInFlight: numberFromEnv(env.RUNWAYML_QUEUE_MAX_IN_FLIGHT),
+			maxWaitMs: numberFromEnv(env.RUNWAYML_QUEUE_MAX_WAIT_MS),
+			slotLeaseMs: numberFromEnv(env.RUNWAYML_QUEUE_SLOT_LEASE_MS),
+		},
+		cancellation: {
+			// Validated by resolveConfig
+			policy: (env.RUNWAYML_CANCELLATION_POLICY || undefined) as
+				| CancellationPolicy
+				| undefined,
+		},
+	};
+}
+
+function numberFromEnv(value: string | undefined): number | undefined {
+	return value ? Number(value) : undefined;
+}
+
+function booleanFromEnv(value: string | undefined): boolean | undefined {
+	return value ? !["false", "0", "no", "off"].includes(value.toLowerCase()) : undefined;
+}
+
+/**
+ * Merge config sources (highest precedence first) and apply defaults.
+ * Throws an Error naming the offending fields if a value is invalid.
+ */
+export function resolveConfig(...sources: ServerConfigInput[]): ServerConfig {
+	const merged: ServerConfigInput = {};
+	for (const source of [...sources].reverse()) {
+		mergeInto(merged, source);
+	}
+	const parsed = ServerConfigSchema.safeParse(merged);
+	if (!parsed.success) {
+		const issues = parsed.error.issues.map(
+			(issue) => `${issue.path.join(".")}: ${issue.message}`,
+		);
+		throw new Error(`Invalid configuration: ${issues.join("; ")}`);
+	}
+	return parsed.data;
+}
+
+function mergeInto(target: Record<string, any>, source: Record<string, any>) {
+	for (const [key, value] of Object.entries(source)) {
+		if (value === undefined) continue;
+		if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+			target[key] = target[key] ?? {};
+			mergeInto(target[key], value);
+		} else {
+			target[key] = value;
+		}
+	}
+}
@@ -1,28 +1,39 @@
 import { McpAgent } from "agents/mcp";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
-import { z } from "zod";
+import { CreditBudget, SqlSpendStore } from "./budget/index.js";
+import { BudgetObject, deploymentSpendStore } from "./budget/durable.js";
+import { type ConfigEnv, type ServerConfig, configFromEnv, resolveConfig } from "./config.js";
+import {
+	type KeyReservations,
+	ObservedTaskLedger,
+	SharedTaskLedger,
+	SqlTaskLedger,
+	type TaskLedger,
+	TaskTracker,
+	sharedHistoryRecorder,
+} from "./ledger/index.js";
+import { LedgerObject, deploymentTaskLedgers } from "./ledger/durable.js";
+import { QueueObject, deploymentConcurrencyLimiter } from "./queue/durable.js";
+import { TaskSubscriptions, registerTaskResources } from "./resources/index.js";
+import { RunwayClient, RunwayMissingKeyError, apiKeyFingerprint } from "./runway/index.js";
+import { SqlStoryboardStore } from "./storyboard/index.js";
+import { registerTools, tools } from "./tools/index.js";
+import { type UsageStore, usageRecorder } from "./usage/index.js";
+import { UsageObject, deploymentUsageStore } from "./usage/durable.js";
 
 // Define the Cloudflare Workers environment interface
-interface Env {
+interface Env extends ConfigEnv {
 	RUNWAYML_API_KEY?: string;
 	MCP_OBJECT: DurableObjectNamespace;
+	BUDGET_OBJECT: DurableObjectNamespace<BudgetObject>;
+	USAGE_OBJECT: DurableObjectNamespace<UsageObject>;
+	LEDGER_OBJECT: DurableObjectNamespace<LedgerObject>;
+	QUEUE_OBJECT: DurableObjectNamespace<QueueObject>;
 }
 
-// Type definitions for RunwayML API responses
-interface RunwayMLTaskResponse {
-	id: string;
-	status: string;
-	progress?: number;
-	output?: string[] | string;
-	failure?: string;
-}
-
-interface RunwayMLOrganizationResponse {
-	id: string;
-	name: string;
-	credits?: number;
-	subscription?: string;
-}
+// Deployment-wide credit spend, usage records, task history and concurrency slots shared
+// by every session
+export { BudgetObject, LedgerObject, QueueObject, UsageObject };
 
 // Define our MCP agent with tools
 export class MyMCP extends McpAgent {
@@ -34,19 +45,111 @@ export class MyMCP extends McpAgent {
 	// Store the API key directly in the class
 	private runwayApiKey: string | undefined;
 
+	// Deployment configuration, resolved from Worker vars
+	private config: ServerConfig = resolveConfig();
+
+	// Resource subscriptions of the connected client
+	private subscriptions = new TaskSubscriptions(this.server);
+
+	// Tasks in flight per API key across the deployment, kept in QueueObject; queued
+	// requests wait there for a slot
+	private queue = deploymentConcurrencyLimiter(
+		(this.env as Env).QUEUE_OBJECT,
+		() => this.config.queue,
+		() => this.runwayApiKey,
+	);
+
+	// Usage records of the whole deployment, kept in UsageObject
+	private usage: UsageStore = deploymentUsageStore((this.env as Env).USAGE_OBJECT);
+
+	// History of the tasks submitted with each API key, kept in a LedgerObject per key
+	private history = deploymentTaskLedgers((this.env as Env).LEDGER_OBJECT);
+
+	// Idempotency keys being submitted, claimed in the LedgerObject of the server's API key;
+	// keys passed with another API key carry its fingerprint
+	private reservations: KeyReservations = {
+		reserve: async (key, holder, ttlMs) =>
+			this.history(await this.keyScope()).reserve(key, holder, ttlMs),
+		release: async (key, holder) => this.history(await this.keyScope()).release(key, holder),
+	};
+
+	// Tasks of this session, kept in this Durable Object's SQLite storage for background
+	// tracking; every change is reported to subscribers, copied to the deployment's usage
+	// records and history, and frees the concurrency slots of finished tasks
+	private sessionLedger: TaskLedger = new ObservedTaskLedger(
+		new SqlTaskLedger(this.ctx.storage.sql),
+		this.subscriptions,
+		usageRecorder(this.usage, this.ctx.id.toString()),
+		sharedHistoryRecorder(this.history),
+		this.queue,
+	);
+
+	// What tools see: this session's tasks, and earlier sessions' through the history of the
+	// caller's API key
+	private ledger: TaskLedger = new SharedTaskLedger(this.sessionLedger, this.history);
+
+	// Storyboards of this session, next to the ledger that tracks their shots' tasks
+	private storyboards = new SqlStoryboardStore(this.ctx.storage.sql);
+
+	// Follows submitted tasks with Durable Object alarms, even after the session disconnects
+	private tracker: TaskTracker | undefined;
+	private envLoaded = false;
+
+	// Credit budgets: this session's spend lives here, the deployment's in BudgetObject
+	private budget: CreditBudget | undefined;
+
 	// Override _init to access environment variables
 	async _init(props: any) {
-		await super._init(props);
-		
-		// Access the environment from the Durable Object
+		// Access the environment from the Durable Object before init() mounts the tools
 		const env = this.env as Env;
-		this.runwayApiKey = env.RUNWAYML_API_KEY;
+		this.loadEnv();
+
+		await super._init(props);
+
 		console.log("=== MCP AGENT INIT ===");
 		console.log("Environment available:", env ? "YES" : "NO");
 		console.log("RUNWAYML_API_KEY found:", this.runwayApiKey ? "YES" : "NO");
 		if (this.runwayApiKey) {
 			console.log("API key length:", this.runwayApiKey.length);
 		}
+		console.log("RunwayML API:", this.config.runway.baseUrl, this.config.runway.apiVersion);
+	}
+
+	// Read Worker vars and secrets; needed both when a session starts and when an alarm
+	// wakes up a Durable Object that was evicted
+	private loadEnv() {
+		if (this.envLoaded) return;
+		this.envLoaded = true;
+		const env = this.env as Env;
+		this.runwayApiKey = env.RUNWAYML_API_KEY;
+		this.config = resolveConfig(configFromEnv(env));
+		if (this.config.tracking.enabled) {
+			this.tracker = new TaskTracker({
+				ledger: this.sessionLedger,
+				getClient: (providedKey) => this.getClient(providedKey),
+				schedule: (at) => this.scheduleAlarm(at),
+				intervalMs: this.config.tracking.intervalMs,
+				maxAgeMs: this.config.tracking.maxAgeMs,
+			});
+		}
+		this.budget = new CreditBudget({
+			limits: this.config.budgets,
+			session: new SqlSpendStore(this.ctx.storage.sql),
+			deployment: deploymentSpendStore(env.BUDGET_OBJECT),
+		});
+	}
+
+	// Bring the alarm forward if needed, never push an earlier one back
+	private async scheduleAlarm(at: number) {
+		const current = await this.ctx.storage.getAlarm();
+		if (current === null || current > at) {
+			await this.ctx.storage.setAlarm(at);
+		}
+	}
+
+	async alarm() {
+		this.loadEnv();
+		await this.tracker?.checkAll();
 	}
 
 	private getApiKey(providedKey?: string): string {
@@ -64,938 +167,37 @@ export class MyMCP extends McpAgent {
 		}
 		
 		console.log("❌ No API key available - throwing error");
-		throw new Error("RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.");
+		throw new RunwayMissingKeyError("RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.");
 	}
 
-	async init() {
-		// Simple addition tool
-		this.server.tool(
-			"add",
-			{ a: z.number(), b: z.number() },
-			async ({ a, b }) => ({
-				content: [{ type: "text", text: String(a + b) }],
-			})
-		);
-
-		// Calculator tool with multiple operations
-		this.server.tool(
-			"calculate",
-			{
-				operation: z.enum(["add", "subtract", "multiply", "divide"]),
-				a: z.number(),
-				b: z.number(),
-			},
-			async ({ operation, a, b }) => {
-				let result: number;
-				switch (operation) {
-					case "add":
-						result = a + b;
-						break;
-					case "subtract":
-						result = a - b;
-						break;
-					case "multiply":
-						result = a * b;
-						break;
-					case "divide":
-						if (b === 0)
-							return {
-								content: [
-									{
-										type: "text",
-										text: "Error: Cannot divide by zero",
-									},
-								],
-							};
-						result = a / b;
-						break;
-				}
-				return { content: [{ type: "text", text: String(result) }] };
-			}
-		);
-
-		// RunwayML Text-to-Video Generation
-		this.server.tool(
-			"runway_text_to_video",
-			{
-				prompt: z.string().describe("Text prompt for video generation"),
-				model: z.enum(["gen4_turbo", "gen3a_turbo"]).default("gen4_turbo").describe("Model to use for generation"),
-				duration: z.number().min(5).max(10).default(5).describe("Video duration in seconds (5-10)"),
-				ratio: z.enum(["1280:720", "1920:1080", "720:1280", "1080:1920"]).default("1280:720").describe("Video aspect ratio"),
-				auto_poll: z.boolean().default(true).describe("Automatically poll until completion (default: true)"),
-				max_wait_seconds: z.number().default(300).describe("Maximum time to wait for completion in seconds (default: 300)"),
-			},
-			async ({ prompt, model, duration, ratio, auto_poll, max_wait_seconds }) => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				try {
-					// Create the task
-					const response = await fetch("https://api.dev.runwayml.com/v1/text_to_video", {
-						method: "POST",
-						headers: {
-							"Content-Type": "application/json",
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-						body: JSON.stringify({
-							promptText: prompt,
-							model: model,
-							duration: duration,
-							ratio: ratio,
-						}),
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
-
-					const data = await response.json() as RunwayMLTaskResponse;
-					
-					if (!auto_poll) {
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Text-to-video task created successfully!\nTask ID: ${data.id}\nStatus: ${data.status}\nModel: ${model}\nPrompt: "${prompt}"\n\nUse runway_get_task to check the status and get the result.`,
-								},
-							],
-						};
-					}
-
-					// Auto-poll for completion
-					const startTime = Date.now();
-					const maxWaitMs = max_wait_seconds * 1000;
-					let attempts = 0;
-
-					while (Date.now() - startTime < maxWaitMs) {
-						attempts++;
-						
-						try {
-							const statusResponse = await fetch(`https://api.dev.runwayml.com/v1/tasks/${data.id}`, {
-								method: "GET",
-								headers: {
-									"Authorization": `Bearer ${actualApiKey}`,
-									"X-Runway-Version": "2024-11-06",
-								},
-							});
-
-							if (!statusResponse.ok) {
-								const errorData = await statusResponse.text();
-								return {
-									content: [
-										{
-											type: "text",
-											text: `Error checking task status: ${statusResponse.status} - ${errorData}`,
-										},
-									],
-								};
-							}
-
-							const taskData = await statusResponse.json() as RunwayMLTaskResponse;
-							
-							// Check if task is complete
-							if (taskData.status === "SUCCEEDED") {
-								let resultText = `✅ Text-to-video completed successfully after ${attempts} attempts!\n\nTask ID: ${taskData.id}\nModel: ${model}\nPrompt: "${prompt}"`;
-								
-								if (taskData.output) {
-									if (Array.isArray(taskData.output)) {
-										resultText += "\n\n🎬 Generated Videos:";
-										taskData.output.forEach((url: string, index: number) => {
-											resultText += `\n${index + 1}. ${url}`;
-										});
-									} else {
-										resultText += `\n\n🎬 Generated Video: ${taskData.output}`;
-									}
-								}
-								
-								return {
-									content: [
-										{
-											type: "text",
-											text: resultText,
-										},
-									],
-								};
-							} else if (taskData.status === "FAILED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `❌ Text-to-video task failed after ${attempts} attempts.\nTask ID: ${taskData.id}\nFailure reason: ${taskData.failure || 'Unknown error'}`,
-										},
-									],
-								};
-							} else if (taskData.status === "CANCELLED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `🚫 Text-to-video task was cancelled.\nTask ID: ${taskData.id}`,
-										},
-									],
-								};
-							}
-							
-							// Task is still running, wait before next check
-							const progressText = taskData.progress ? ` (${Math.round(taskData.progress * 100)}% complete)` : '';
-							console.log(`Attempt ${attempts}: Task ${taskData.status}${progressText}, waiting 3 seconds...`);
-							
-							// Wait 3 seconds before next check
-							await new Promise(resolve => setTimeout(resolve, 3000));
-							
-						} catch (pollError) {
-							return {
-								content: [
-									{
-										type: "text",
-										text: `Error polling task: ${pollError instanceof Error ? pollError.message : String(pollError)}`,
-									},
-								],
-							};
-						}
-					}
-
-					// Timeout reached
-					return {
-						content: [
-							{
-								type: "text",
-								text: `⏰ Text-to-video timeout reached after ${max_wait_seconds} seconds and ${attempts} attempts. Task may still be processing.\nTask ID: ${data.id}\nUse runway_get_task to check manually.`,
-							},
-						],
-					};
-
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error creating text-to-video task: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
-
-		// RunwayML Image-to-Video Generation
-		this.server.tool(
-			"runway_image_to_video",
-			{
-				prompt_image: z.string().describe("URL or base64 data URI of the input image"),
-				prompt_text: z.string().describe("Text prompt for video generation"),
-				model: z.enum(["gen4_turbo", "gen3a_turbo"]).default("gen4_turbo").describe("Model to use for generation"),
-				duration: z.number().min(5).max(10).default(5).describe("Video duration in seconds (5-10)"),
-				ratio: z.enum(["1280:720", "1920:1080", "720:1280", "1080:1920"]).default("1280:720").describe("Video aspect ratio"),
-				auto_poll: z.boolean().default(true).describe("Automatically poll until completion (default: true)"),
-				max_wait_seconds: z.number().default(300).describe("Maximum time to wait for completion in seconds (default: 300)"),
-			},
-			async ({ prompt_image, prompt_text, model, duration, ratio, auto_poll, max_wait_seconds }) => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				try {
-					// Create the task
-					const response = await fetch("https://api.dev.runwayml.com/v1/image_to_video", {
-						method: "POST",
-						headers: {
-							"Content-Type": "application/json",
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-						body: JSON.stringify({
-							promptImage: prompt_image,
-							promptText: prompt_text,
-							model: model,
-							duration: duration,
-							ratio: ratio,
-						}),
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
-
-					const data = await response.json() as RunwayMLTaskResponse;
-					
-					if (!auto_poll) {
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Image-to-video task created successfully!\nTask ID: ${data.id}\nStatus: ${data.status}\nModel: ${model}\nPrompt: "${prompt_text}"\n\nUse runway_get_task to check the status and get the result.`,
-								},
-							],
-						};
-					}
-
-					// Auto-poll for completion
-					const startTime = Date.now();
-					const maxWaitMs = max_wait_seconds * 1000;
-					let attempts = 0;
-
-					while (Date.now() - startTime < maxWaitMs) {
-						attempts++;
-						
-						try {
-							const statusResponse = await fetch(`https://api.dev.runwayml.com/v1/tasks/${data.id}`, {
-								method: "GET",
-								headers: {
-									"Authorization": `Bearer ${actualApiKey}`,
-									"X-Runway-Version": "2024-11-06",
-								},
-							});
-
-							if (!statusResponse.ok) {
-								const errorData = await statusResponse.text();
-								return {
-									content: [
-										{
-											type: "text",
-											text: `Error checking task status: ${statusResponse.status} - ${errorData}`,
-										},
-									],
-								};
-							}
-
-							const taskData = await statusResponse.json() as RunwayMLTaskResponse;
-							
-							// Check if task is complete
-							if (taskData.status === "SUCCEEDED") {
-								let resultText = `✅ Image-to-video completed successfully after ${attempts} attempts!\n\nTask ID: ${taskData.id}\nModel: ${model}\nPrompt: "${prompt_text}"`;
-								
-								if (taskData.output) {
-									if (Array.isArray(taskData.output)) {
-										resultText += "\n\n🎬 Generated Videos:";
-										taskData.output.forEach((url: string, index: number) => {
-											resultText += `\n${index + 1}. ${url}`;
-										});
-									} else {
-										resultText += `\n\n🎬 Generated Video: ${taskData.output}`;
-									}
-								}
-								
-								return {
-									content: [
-										{
-											type: "text",
-											text: resultText,
-										},
-									],
-								};
-							} else if (taskData.status === "FAILED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `❌ Image-to-video task failed after ${attempts} attempts.\nTask ID: ${taskData.id}\nFailure reason: ${taskData.failure || 'Unknown error'}`,
-										},
-									],
-								};
-							} else if (taskData.status === "CANCELLED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `🚫 Image-to-video task was cancelled.\nTask ID: ${taskData.id}`,
-										},
-									],
-								};
-							}
-							
-							// Task is still running, wait before next check
-							const progressText = taskData.progress ? ` (${Math.round(taskData.progress * 100)}% complete)` : '';
-							console.log(`Attempt ${attempts}: Task ${taskData.status}${progressText}, waiting 3 seconds...`);
-							
-							// Wait 3 seconds before next check
-							await new Promise(resolve => setTimeout(resolve, 3000));
-							
-						} catch (pollError) {
-							return {
-								content: [
-									{
-										type: "text",
-										text: `Error polling task: ${pollError instanceof Error ? pollError.message : String(pollError)}`,
-									},
-								],
-							};
-						}
-					}
-
-					// Timeout reached
-					return {
-						content: [
-							{
-								type: "text",
-								text: `⏰ Image-to-video timeout reached after ${max_wait_seconds} seconds and ${attempts} attempts. Task may still be processing.\nTask ID: ${data.id}\nUse runway_get_task to check manually.`,
-							},
-						],
-					};
-
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error creating image-to-video task: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
-
-		// RunwayML Text-to-Image Generation
-		this.server.tool(
-			"runway_text_to_image",
-			{
-				prompt_text: z.string().describe("Text prompt for image generation"),
-				model: z.enum(["gen4_image"]).default("gen4_image").describe("Model to use for generation"),
-				ratio: z.enum(["720:720","1920:1080", "1080:1920", "1280:720", "720:1280", "1024:1024"]).default("720:720").describe("Image aspect ratio"),
-				reference_images: z.array(z.object({
-					uri: z.string().describe("URL or base64 data URI of reference image"),
-					tag: z.string().optional().describe("Tag to reference this image in the prompt using @tag syntax"),
-				})).optional().describe("Reference images for style or content guidance"),
-				auto_poll: z.boolean().default(true).describe("Automatically poll until completion (default: true)"),
-				max_wait_seconds: z.number().default(300).describe("Maximum time to wait for completion in seconds (default: 300)"),
-			},
-			async ({ prompt_text, model, ratio, reference_images, auto_poll, max_wait_seconds }) => {
-				try {
-					const actualApiKey = this.getApiKey();
-					const requestBody: any = {
-						promptText: prompt_text,
-						model: model,
-						ratio: ratio,
-					};
-
-					if (reference_images && reference_images.length > 0) {
-						requestBody.referenceImages = reference_images;
-					}
-
-					// Create the task
-					const response = await fetch("https://api.dev.runwayml.com/v1/text_to_image", {
-						method: "POST",
-						headers: {
-							"Content-Type": "application/json",
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-						body: JSON.stringify(requestBody),
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
-
-					const data = await response.json() as RunwayMLTaskResponse;
-					
-					if (!auto_poll) {
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Text-to-image task created successfully!\nTask ID: ${data.id}\nStatus: ${data.status}\nModel: ${model}\nPrompt: "${prompt_text}"\n\nUse runway_get_task to check the status and get the result.`,
-								},
-							],
-						};
-					}
-
-					// Auto-poll for completion
-					const startTime = Date.now();
-					const maxWaitMs = max_wait_seconds * 1000;
-					let attempts = 0;
-
-					while (Date.now() - startTime < maxWaitMs) {
-						attempts++;
-						
-						try {
-							const statusResponse = await fetch(`https://api.dev.runwayml.com/v1/tasks/${data.id}`, {
-								method: "GET",
-								headers: {
-									"Authorization": `Bearer ${actualApiKey}`,
-									"X-Runway-Version": "2024-11-06",
-								},
-							});
-
-							if (!statusResponse.ok) {
-								const errorData = await statusResponse.text();
-								return {
-									content: [
-										{
-											type: "text",
-											text: `Error checking task status: ${statusResponse.status} - ${errorData}`,
-										},
-									],
-								};
-							}
-
-							const taskData = await statusResponse.json() as RunwayMLTaskResponse;
-							
-							// Check if task is complete
-							if (taskData.status === "SUCCEEDED") {
-								let resultText = `✅ Text-to-image completed successfully after ${attempts} attempts!\n\nTask ID: ${taskData.id}\nModel: ${model}\nPrompt: "${prompt_text}"`;
-								
-								if (taskData.output) {
-									if (Array.isArray(taskData.output)) {
-										resultText += "\n\n🖼️ Generated Images:";
-										taskData.output.forEach((url: string, index: number) => {
-											resultText += `\n${index + 1}. ${url}`;
-										});
-									} else {
-										resultText += `\n\n🖼️ Generated Image: ${taskData.output}`;
-									}
-								}
-								
-								return {
-									content: [
-										{
-											type: "text",
-											text: resultText,
-										},
-									],
-								};
-							} else if (taskData.status === "FAILED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `❌ Text-to-image task failed after ${attempts} attempts.\nTask ID: ${taskData.id}\nFailure reason: ${taskData.failure || 'Unknown error'}`,
-										},
-									],
-								};
-							} else if (taskData.status === "CANCELLED") {
-								return {
-									content: [
-										{
-											type: "text",
-											text: `🚫 Text-to-image task was cancelled.\nTask ID: ${taskData.id}`,
-										},
-									],
-								};
-							}
-							
-							// Task is still running, wait before next check
-							const progressText = taskData.progress ? ` (${Math.round(taskData.progress * 100)}% complete)` : '';
-							console.log(`Attempt ${attempts}: Task ${taskData.status}${progressText}, waiting 3 seconds...`);
-							
-							// Wait 3 seconds before next check
-							await new Promise(resolve => setTimeout(resolve, 3000));
-							
-						} catch (pollError) {
-							return {
-								content: [
-									{
-										type: "text",
-										text: `Error polling task: ${pollError instanceof Error ? pollError.message : String(pollError)}`,
-									},
-								],
-							};
-						}
-					}
-
-					// Timeout reached
-					return {
-						content: [
-							{
-								type: "text",
-								text: `⏰ Text-to-image timeout reached after ${max_wait_seconds} seconds and ${attempts} attempts. Task may still be processing.\nTask ID: ${data.id}\nUse runway_get_task to check manually.`,
-							},
-						],
-					};
-
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error creating text-to-image task: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
-
-		// RunwayML Get Task Status and Result
-		this.server.tool(
-			"runway_get_task",
-			{
-				task_id: z.string().describe("Task ID returned from a generation request"),
-			},
-			async ({ task_id }) => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				try {
-					const response = await fetch(`https://api.dev.runwayml.com/v1/tasks/${task_id}`, {
-						method: "GET",
-						headers: {
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
-
-					const data = await response.json() as RunwayMLTaskResponse;
-					let statusText = `Task ID: ${data.id}\nStatus: ${data.status}\nProgress: ${data.progress || 0}%`;
-					
-					if (data.status === "SUCCEEDED" && data.output) {
-						statusText += "\n\nTask completed successfully!";
-						if (Array.isArray(data.output)) {
-							statusText += "\nOutput URLs:";
-							data.output.forEach((url: string, index: number) => {
-								statusText += `\n${index + 1}. ${url}`;
-							});
-						} else {
-							statusText += `\nOutput: ${data.output}`;
-						}
-					} else if (data.status === "FAILED") {
-						statusText += "\n\nTask failed.";
-						if (data.failure) {
-							statusText += `\nFailure reason: ${data.failure}`;
-						}
-					} else if (data.status === "RUNNING") {
-						statusText += "\n\nTask is still running. Please check again in a few moments.";
-					}
-
-					return {
-						content: [
-							{
-								type: "text",
-								text: statusText,
-							},
-						],
-					};
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error retrieving task: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
-
-		// RunwayML Poll Task Until Complete
-		this.server.tool(
-			"runway_poll_task",
-			{
-				task_id: z.string().describe("Task ID returned from a generation request"),
-				max_wait_seconds: z.number().default(300).describe("Maximum time to wait in seconds (default: 300)"),
-			},
-			async ({ task_id, max_wait_seconds }) => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				const startTime = Date.now();
-				const maxWaitMs = max_wait_seconds * 1000;
-				let attempts = 0;
-
-				while (Date.now() - startTime < maxWaitMs) {
-					attempts++;
-					
-					try {
-						const response = await fetch(`https://api.dev.runwayml.com/v1/tasks/${task_id}`, {
-							method: "GET",
-							headers: {
-								"Authorization": `Bearer ${actualApiKey}`,
-								"X-Runway-Version": "2024-11-06",
-							},
-						});
-
-						if (!response.ok) {
-							const errorData = await response.text();
-							return {
-								content: [
-									{
-										type: "text",
-										text: `Error: ${response.status} - ${errorData}`,
-									},
-								],
-							};
-						}
-
-						const data = await response.json() as RunwayMLTaskResponse;
-						
-						// Check if task is complete
-						if (data.status === "SUCCEEDED") {
-							let resultText = `✅ Task completed successfully after ${attempts} attempts!\n\nTask ID: ${data.id}\nStatus: ${data.status}`;
-							
-							if (data.output) {
-								if (Array.isArray(data.output)) {
-									resultText += "\n\n🖼️ Generated Images:";
-									data.output.forEach((url: string, index: number) => {
-										resultText += `\n${index + 1}. ${url}`;
-									});
-								} else {
-									resultText += `\n\n🖼️ Generated Content: ${data.output}`;
-								}
-							}
-							
-							return {
-								content: [
-									{
-										type: "text",
-										text: resultText,
-									},
-								],
-							};
-						} else if (data.status === "FAILED") {
-							return {
-								content: [
-									{
-										type: "text",
-										text: `❌ Task failed after ${attempts} attempts.\nTask ID: ${data.id}\nFailure reason: ${data.failure || 'Unknown error'}`,
-									},
-								],
-							};
-						} else if (data.status === "CANCELLED") {
-							return {
-								content: [
-									{
-										type: "text",
-										text: `🚫 Task was cancelled.\nTask ID: ${data.id}`,
-									},
-								],
-							};
-						}
-						
-						// Task is still running, wait before next check
-						const progressText = data.progress ? ` (${Math.round(data.progress * 100)}% complete)` : '';
-						console.log(`Attempt ${attempts}: Task ${data.status}${progressText}, waiting 3 seconds...`);
-						
-						// Wait 3 seconds before next check
-						await new Promise(resolve => setTimeout(resolve, 3000));
-						
-					} catch (error) {
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error polling task: ${error instanceof Error ? error.message : String(error)}`,
-								},
-							],
-						};
-					}
-				}
-
-				// Timeout reached
-				return {
-					content: [
-						{
-							type: "text",
-							text: `⏰ Timeout reached after ${max_wait_seconds} seconds and ${attempts} attempts. Task may still be processing. Use runway_get_task to check manually.`,
-						},
-					],
-				};
-			}
-		);
-
-		// RunwayML Cancel Task
-		this.server.tool(
-			"runway_cancel_task",
-			{
-				task_id: z.string().describe("Task ID to cancel"),
-			},
-			async ({ task_id }) => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				try {
-					const response = await fetch(`https://api.dev.runwayml.com/v1/tasks/${task_id}/cancel`, {
-						method: "POST",
-						headers: {
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
-
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Task ${task_id} has been cancelled successfully.`,
-							},
-						],
-					};
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error cancelling task: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
-
-		// RunwayML Get Organization Info
-		this.server.tool(
-			"runway_get_organization",
-			{},
-			async () => {
-				const actualApiKey = this.getApiKey();
-				if (!actualApiKey) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: "Error: RunwayML API key not found. Please ensure RUNWAYML_API_KEY is set as a Cloudflare Workers secret.\n\nGet your API key from: https://dev.runwayml.com",
-							},
-						],
-					};
-				}
-
-				try {
-					const response = await fetch("https://api.dev.runwayml.com/v1/organization", {
-						method: "GET",
-						headers: {
-							"Authorization": `Bearer ${actualApiKey}`,
-							"X-Runway-Version": "2024-11-06",
-						},
-					});
-
-					if (!response.ok) {
-						const errorData = await response.text();
-						return {
-							content: [
-								{
-									type: "text",
-									text: `Error: ${response.status} - ${errorData}`,
-								},
-							],
-						};
-					}
+	private keyScope(providedKey?: string): Promise<string> {
+		const apiKey = providedKey && providedKey.trim() !== "" ? providedKey : this.runwayApiKey;
+		return apiKeyFingerprint(apiKey ?? "");
+	}
 
-					const data = await response.json() as RunwayMLOrganizationResponse;
-					let orgInfo = "Organization Information:\n";
-					orgInfo += `ID: ${data.id}\n`;
-					orgInfo += `Name: ${data.name}\n`;
-					if (data.credits !== undefined) {
-						orgInfo += `Credits: ${data.credits}\n`;
-					}
-					if (data.subscription) {
-						orgInfo += `Subscription: ${data.subscription}\n`;
-					}
+	private getClient(providedKey?: string): RunwayClient {
+		return new RunwayClient({
+			apiKey: this.getApiKey(providedKey),
+			baseUrl: this.config.runway.baseUrl,
+			apiVersion: this.config.runway.apiVersion,
+		});
+	}
 
-					return {
-						content: [
-							{
-								type: "text",
-								text: orgInfo,
-							},
-						],
-					};
-				} catch (error) {
-					return {
-						content: [
-							{
-								type: "text",
-								text: `Error retrieving organization info: ${error instanceof Error ? error.message : String(error)}`,
-							},
-						],
-					};
-				}
-			}
-		);
+	async init() {
+		const context = {
+			config: this.config,
+			getClient: (providedKey?: string) => this.getClient(providedKey),
+			keyScope: (providedKey?: string) => this.keyScope(providedKey),
+			ledger: this.ledger,
+			tracker: this.tracker,
+			budget: this.budget,
+			queue: this.queue,
+			reservations: this.reservations,
+			usage: this.usage,
+			storyboards: this.storyboards,
+		};
+		registerTools(this.server, tools, context);
+		registerTaskResources(this.server, context);
 	}
 }
 
@@ -0,0 +1,88 @@
+import { DurableObject } from "cloudflare:workers";
+import type { RunwayTask } from "../runway/index.js";
+import {
+	type TaskEvent,
+	type TaskLedger,
+	type TaskPage,
+	type TaskQuery,
+	type TaskRecord,
+	type TaskSubmission,
+	decodeCursor,
+} from "./ledger.js";
+import { type KeyReservations, SqlKeyReservations } from "./reservations.js";
+import { SqlTaskLedger } from "./sql.js";
+
+/**
+ * Task history and idempotency key claims of one RunwayML API key, shared by every MCP
+ * session of the deployment over RPC. Lives outside ledger/index.ts because
+ * `cloudflare:workers` only resolves inside the Worker.
+ */
+export class LedgerObject extends DurableObject {
+	private readonly ledger = new SqlTaskLedger(this.ctx.storage.sql);
+	private readonly reservations = new SqlKeyReservations(this.ctx.storage.sql);
+
+	record(submission: TaskSubmission): Promise<TaskRecord> {
+		return this.ledger.record(submission);
+	}
+
+	observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined> {
+		return this.ledger.observe(task, keyScope);
+	}
+
+	get(id: string, keyScope?: string): Promise<TaskRecord | undefined> {
+		return this.ledger.get(id, keyScope);
+	}
+
+	list(query?: TaskQuery): Promise<TaskPage> {
+		return this.ledger.list(query);
+	}
+
+	events(id: string, keyScope?: string): Promise<TaskEvent[]> {
+		return this.ledger.events(id, keyScope);
+	}
+
+	reserve(key: string, holder: string, ttlMs: number): Promise<boolean> {
+		return this.reservations.reserve(key, holder, ttlMs);
+	}
+
+	release(key: string, holder: string): Promise<void> {
+		return this.reservations.release(key, holder);
+	}
+}
+
+/**
+ * TaskLedger and key claims backed by the LedgerObject of each API key, named after its
+ * fingerprint (the tasks' key scope), so no raw key is ever sent.
+ */
+export function deploymentTaskLedgers(
+	namespace: DurableObjectNamespace<LedgerObject>,
+): (keyScope: string) => TaskLedger & KeyReservations {
+	const ledgers = new Map<string, TaskLedger & KeyReservations>();
+	return (keyScope) => {
+		let ledger = ledgers.get(keyScope);
+		if (!ledger) {
+			const stub = namespace.get(namespace.idFromName(keyScope));
+			ledger = {
+				record: (submission) => stub.record(submission),
+				observe: (task, scope) => stub.observe(task, scope),
+				get: (id, scope) => stub.get(id, scope),
+				list: (query) => {
+					// Errors lose their class over RPC, so reject bad cursors with InvalidCursorError here
+					if (query?.cursor) {
+						decodeCursor(
+							query.cursor,
+							query.sort ?? "created_at",
+							query.order ?? "desc",
+						);
+					}
+					return stub.list(query);
+				},
+				events: (id, scope) => stub.events(id, scope),
+				reserve: (key, holder, ttlMs) => stub.reserve(key, holder, ttlMs),
+				release: (key, holder) => stub.release(key, holder),
+			};
+			ledgers.set(keyScope, ledger);
+		}
+		return ledger;
+	};
+}
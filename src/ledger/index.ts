@@ -0,0 +1,7 @@
+export * from "./ledger.js";
+export * from "./memory.js";
+export * from "./observed.js";
+export * from "./reservations.js";
+export * from "./shared.js";
+export * from "./sql.js";
+export * from "./tracker.js";
@@ -0,0 +1,211 @@
+import { type RunwayTask, type TaskStatus, isTerminalStatus } from "../runway/index.js";
+
+/**
+ * Everything we know about a generation task we submitted. Timestamps are epoch
+ * milliseconds; `createdAt` is when this server submitted the task.
+ */
+export interface TaskRecord {
+	id: string;
+	/** Tool that submitted the task, e.g. runway_text_to_video */
+	tool: string;
+	/** Generation parameters as passed to the tool (never includes the API key) */
+	params: Record<string, unknown>;
+	model?: string;
+	prompt?: string;
+	status: TaskStatus;
+	progress?: number;
+	outputs: string[];
+	failure?: string;
+	failureCode?: string;
+	estimatedCredits?: number;
+	/** Seed sent to RunwayML, chosen by this server when the request did not give one */
+	seed?: number;
+	/** Caller-supplied or derived key that lets a repeated request reuse this task */
+	idempotencyKey?: string;
+	/**
+	 * Fingerprint of the API key the task was submitted with (see apiKeyFingerprint); only
+	 * requests with the same key see the task. Absent on tasks recorded by earlier versions.
+	 */
+	keyScope?: string;
+	createdAt: number;
+	updatedAt: number;
+	/** Set when the task is first seen in a terminal status */
+	completedAt?: number;
+}
+
+/** One status transition of a task */
+export interface TaskEvent {
+	status: TaskStatus;
+	progress?: number;
+	at: number;
+}
+
+export const TASK_SORT_FIELDS = ["created_at", "updated_at"] as const;
+
+export type TaskSortField = (typeof TASK_SORT_FIELDS)[number];
+
+/** Filters and paging for TaskLedger.list. Filters are combined with AND. */
+export interface TaskQuery {
+	statuses?: TaskStatus[];
+	tools?: string[];
+	model?: string;
+	/** Epoch milliseconds, inclusive */
+	createdAfter?: number;
+	/** Epoch milliseconds, exclusive */
+	createdBefore?: number;
+	/** Case-insensitive substring of the prompt */
+	promptContains?: string;
+	idempotencyKey?: string;
+	/** Only tasks submitted with the API key of this fingerprint */
+	keyScope?: string;
+	sort?: TaskSortField;
+	order?: "asc" | "desc";
+	limit?: number;
+	/** Opaque cursor from a previous page; must be used with the same sort and order */
+	cursor?: string;
+}
+
+export interface TaskPage {
+	records: TaskRecord[];
+	/** Present when more records match */
+	nextCursor?: string;
+}
+
+export const DEFAULT_TASK_PAGE_SIZE = 20;
+
+export type TaskSubmission = Pick<
+	TaskRecord,
+	| "id"
+	| "tool"
+	| "params"
+	| "model"
+	| "prompt"
+	| "estimatedCredits"
+	| "seed"
+	| "idempotencyKey"
+	| "keyScope"
+>;
+
+/**
+ * Record of generation requests made through this server. The Worker keeps each session's
+ * tasks in its Durable Object's SQLite storage and the deployment's in a LedgerObject per
+ * API key (see SharedTaskLedger); the stdio server keeps them in memory.
+ *
+ * Methods that take a `keyScope` treat tasks submitted with any other API key as unknown.
+ */
+export interface TaskLedger {
+	/** Record a newly submitted task as PENDING */
+	record(submission: TaskSubmission): Promise<TaskRecord>;
+	/**
+	 * Apply a status fetched from RunwayML. Unknown tasks are ignored, and a task that
+	 * already reached a terminal status is never changed again.
+	 */
+	observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined>;
+	get(id: string, keyScope?: string): Promise<TaskRecord | undefined>;
+	list(query?: TaskQuery): Promise<TaskPage>;
+	/** Status transitions of a task, oldest first */
+	events(id: string, keyScope?: string): Promise<TaskEvent[]>;
+}
+
+/** Whether a record is visible to requests with the given key scope */
+export function inKeyScope(record: TaskRecord, keyScope?: string): boolean {
+	return keyScope === undefined || record.keyScope === keyScope;
+}
+
+/** The RunwayML task status a record reflects */
+export function recordedTask(record: TaskRecord): RunwayTask {
+	return {
+		id: record.id,
+		status: record.status,
+		progress: record.progress,
+		output: record.outputs,
+		failure: record.failure,
+		failureCode: record.failureCode,
+	};
+}
+
+/**
+ * Work out how an observed task changes a record. Returns undefined when there is nothing
+ * new, so callers can skip the write.
+ */
+export function applyObservation(
+	record: TaskRecord,
+	task: RunwayTask,
+	now: number,
+): { record: TaskRecord; event?: TaskEvent } | undefined {
+	if (isTerminalStatus(record.status)) return undefined;
+
+	const progress = task.progress ?? undefined;
+	const statusChanged = task.status !== record.status;
+	const changed =
+		statusChanged ||
+		progress !== record.progress ||
+		task.output.join("\n") !== record.outputs.join("\n");
+	if (!changed) return undefined;
+
+	const updated: TaskRecord = {
+		...record,
+		status: task.status,
+		progress,
+		outputs: task.output,
+		failure: task.failure ?? undefined,
+		failureCode: task.failureCode ?? undefined,
+		updatedAt: now,
+		completedAt: isTerminalStatus(task.status) ? now : undefined,
+	};
+	return {
+		record: updated,
+		event: statusChanged ? { status: task.status, progress, at: now } : undefined,
+	};
+}
+
+/** Thrown by TaskLedger.list for a cursor that is malformed or from a different sort */
+export class InvalidCursorError extends Error {
+	constructor() {
+		super(
+			"Invalid cursor. Pass next_cursor from a previous call with the same sort and order.",
+		);
+		this.name = "InvalidCursorError";
+	}
+}
+
+/** Position of a record in a sorted listing: sort key, then task ID as a tie-breaker */
+export interface TaskCursor {
+	value: number;
+	id: string;
+}
+
+export function sortValue(record: TaskRecord, sort: TaskSortField): number {
+	return sort === "created_at" ? record.createdAt : record.updatedAt;
+}
+
+export function encodeCursor(
+	record: TaskRecord,
+	sort: TaskSortField,
+	order: "asc" | "desc",
+): string {
+	return btoa(JSON.stringify([sort, order, sortValue(record, sort), record.id]));
+}
+
+export function decodeCursor(
+	cursor: string,
+	sort: TaskSortField,
+	order: "asc" | "desc",
+): TaskCursor {
+	let parsed: unknown;
+	try {
+		parsed = JSON.parse(atob(cursor));
+	} catch {
+		throw new InvalidCursorError();
+	}
+	if (
+		!Array.isArray(parsed) ||
+		parsed[0] !== sort ||
+		parsed[1] !== order ||
+		typeof parsed[2] !== "number" ||
+		typeof parsed[3] !== "string"
+	) {
+		throw new InvalidCursorError();
+	}
+	return { value: parsed[2], id: parsed[3] };
+}
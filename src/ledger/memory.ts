@@ -0,0 +1,97 @@
+import type { RunwayTask } from "../runway/index.js";
+import {
+	DEFAULT_TASK_PAGE_SIZE,
+	type TaskEvent,
+	type TaskLedger,
+	type TaskPage,
+	type TaskQuery,
+	type TaskRecord,
+	type TaskSubmission,
+	applyObservation,
+	decodeCursor,
+	encodeCursor,
+	inKeyScope,
+	sortValue,
+} from "./ledger.js";
+
+/**
+ * In-process ledger for the stdio server. History lasts as long as the process.
+ */
+export class MemoryTaskLedger implements TaskLedger {
+	private readonly tasks = new Map<string, TaskRecord>();
+	private readonly taskEvents = new Map<string, TaskEvent[]>();
+
+	constructor(private readonly now: () => number = Date.now) {}
+
+	async record(submission: TaskSubmission): Promise<TaskRecord> {
+		const now = this.now();
+		const record: TaskRecord = {
+			...submission,
+			status: "PENDING",
+			outputs: [],
+			createdAt: now,
+			updatedAt: now,
+		};
+		this.tasks.set(record.id, record);
+		this.taskEvents.set(record.id, [{ status: "PENDING", at: now }]);
+		return structuredClone(record);
+	}
+
+	async observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined> {
+		const record = this.tasks.get(task.id);
+		if (!record || !inKeyScope(record, keyScope)) return undefined;
+		const change = applyObservation(record, task, this.now());
+		if (change) {
+			this.tasks.set(task.id, change.record);
+			if (change.event) this.taskEvents.get(task.id)?.push(change.event);
+		}
+		return structuredClone(change?.record ?? record);
+	}
+
+	async get(id: string, keyScope?: string): Promise<TaskRecord | undefined> {
+		const record = this.tasks.get(id);
+		return record && inKeyScope(record, keyScope) ? structuredClone(record) : undefined;
+	}
+
+	async list(query: TaskQuery = {}): Promise<TaskPage> {
+		const { sort = "created_at", order = "desc", limit = DEFAULT_TASK_PAGE_SIZE } = query;
+		const cursor = query.cursor && decodeCursor(query.cursor, sort, order);
+		const direction = order === "asc" ? 1 : -1;
+		const compare = (a: { value: number; id: string }, b: { value: number; id: string }) =>
+			(a.value - b.value || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)) * direction;
+		const position = (record: TaskRecord) => ({
+			value: sortValue(record, sort),
+			id: record.id,
+		});
+		const needle = query.promptContains?.toLowerCase();
+
+		const matches = [...this.tasks.values()]
+			.filter(
+				(record) =>
+					(!query.statuses || query.statuses.includes(record.status)) &&
+					(!query.tools || query.tools.includes(record.tool)) &&
+					(!query.model || record.model === query.model) &&
+					(query.createdAfter === undefined || record.createdAt >= query.createdAfter) &&
+					(query.createdBefore === undefined || record.createdAt < query.createdBefore) &&
+					(!needle || (record.prompt ?? "").toLowerCase().includes(needle)) &&
+					(!query.idempotencyKey || record.idempotencyKey === query.idempotencyKey) &&
+					inKeyScope(record, query.keyScope) &&
+					(!cursor || compare(position(record), cursor) > 0),
+			)
+			.sort((a, b) => compare(position(a), position(b)));
+
+		const records = matches.slice(0, limit).map((record) => structuredClone(record));
+		const last = records.at(-1);
+		return {
+			records,
+			nextCursor:
+				matches.length > limit && last ? encodeCursor(last, sort, order) : undefined,
+		};
+	}
+
+	async events(id: string, keyScope?: string): Promise<TaskEvent[]> {
+		const record = this.tasks.get(id);
+		if (!record || !inKeyScope(record, keyScope)) return [];
+		return structuredClone(this.taskEvents.get(id) ?? []);
+	}
+}
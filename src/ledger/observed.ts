@@ -0,0 +1,71 @@
+import type { RunwayTask } from "../runway/index.js";
+import type {
+	TaskEvent,
+	TaskLedger,
+	TaskPage,
+	TaskQuery,
+	TaskRecord,
+	TaskSubmission,
+} from "./ledger.js";
+
+/** Callbacks fired after a ledger write */
+export interface TaskLedgerListener {
+	created?(record: TaskRecord): void | Promise<void>;
+	/** A tracked task changed status, progress or outputs */
+	updated?(record: TaskRecord, previous: TaskRecord): void | Promise<void>;
+	/** Nobody will see the task finish, e.g. because RunwayML no longer knows it */
+	abandoned?(record: TaskRecord): void | Promise<void>;
+}
+
+/**
+ * Wraps a ledger and reports every change to its listeners, whichever code path (a tool,
+ * the background tracker) made it.
+ */
+export class ObservedTaskLedger implements TaskLedger {
+	private readonly listeners: TaskLedgerListener[];
+
+	constructor(
+		private readonly inner: TaskLedger,
+		...listeners: TaskLedgerListener[]
+	) {
+		this.listeners = listeners;
+	}
+
+	async record(submission: TaskSubmission): Promise<TaskRecord> {
+		const record = await this.inner.record(submission);
+		for (const listener of this.listeners) await listener.created?.(record);
+		return record;
+	}
+
+	async observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined> {
+		const previous = await this.inner.get(task.id, keyScope);
+		const record = await this.inner.observe(task, keyScope);
+		if (
+			previous &&
+			record &&
+			(record.status !== previous.status ||
+				record.progress !== previous.progress ||
+				record.outputs.length !== previous.outputs.length)
+		) {
+			for (const listener of this.listeners) await listener.updated?.(record, previous);
+		}
+		return record;
+	}
+
+	/** Report a task whose status will not be followed any more */
+	async abandon(record: TaskRecord): Promise<void> {
+		for (const listener of this.listeners) await listener.abandoned?.(record);
+	}
+
+	get(id: string, keyScope?: string): Promise<TaskRecord | undefined> {
+		return this.inner.get(id, keyScope);
+	}
+
+	list(query?: TaskQuery): Promise<TaskPage> {
+		return this.inner.list(query);
+	}
+
+	events(id: string, keyScope?: string): Promise<TaskEvent[]> {
+		return this.inner.events(id, keyScope);
+	}
+}
@@ -0,0 +1,76 @@
+/**
+ * Short-lived claims on idempotency keys. A request holds its key's claim from before it
+ * queues until its task is in the ledger, so a repeat arriving meanwhile waits for that task
+ * instead of submitting a second one. Claims expire, so a holder that dies frees its key.
+ */
+export interface KeyReservations {
+	/** Claim `key` as `holder` for `ttlMs`. Resolves to false while another holder's claim is live */
+	reserve(key: string, holder: string, ttlMs: number): Promise<boolean>;
+	/** Drop `holder`'s claim on `key`; a claim taken over by someone else is left alone */
+	release(key: string, holder: string): Promise<void>;
+}
+
+/**
+ * In-process claims for the stdio server.
+ */
+export class MemoryKeyReservations implements KeyReservations {
+	private readonly claims = new Map<string, { holder: string; expiresAt: number }>();
+
+	constructor(private readonly now: () => number = Date.now) {}
+
+	async reserve(key: string, holder: string, ttlMs: number): Promise<boolean> {
+		const now = this.now();
+		const claim = this.claims.get(key);
+		if (claim && claim.holder !== holder && claim.expiresAt > now) return false;
+		this.claims.set(key, { holder, expiresAt: now + ttlMs });
+		return true;
+	}
+
+	async release(key: string, holder: string): Promise<void> {
+		if (this.claims.get(key)?.holder === holder) this.claims.delete(key);
+	}
+}
+
+/**
+ * Claims stored in a Durable Object's SQLite database. SqlStorage calls are synchronous, so
+ * checking and taking a claim cannot interleave with another request.
+ */
+export class SqlKeyReservations implements KeyReservations {
+	constructor(
+		private readonly sql: SqlStorage,
+		private readonly now: () => number = Date.now,
+	) {
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_key_reservations (
+			key TEXT PRIMARY KEY,
+			holder TEXT NOT NULL,
+			expires_at INTEGER NOT NULL
+		)`);
+	}
+
+	async reserve(key: string, holder: string, ttlMs: number): Promise<boolean> {
+		const now = this.now();
+		this.sql.exec("DELETE FROM runway_key_reservations WHERE expires_at <= ?", now);
+		const [claim] = this.sql
+			.exec<{ holder: string }>(
+				"SELECT holder FROM runway_key_reservations WHERE key = ?",
+				key,
+			)
+			.toArray();
+		if (claim && claim.holder !== holder) return false;
+		this.sql.exec(
+			"INSERT OR REPLACE INTO runway_key_reservations (key, holder, expires_at) VALUES (?, ?, ?)",
+			key,
+			holder,
+			now + ttlMs,
+		);
+		return true;
+	}
+
+	async release(key: string, holder: string): Promise<void> {
+		this.sql.exec(
+			"DELETE FROM runway_key_reservations WHERE key = ? AND holder = ?",
+			key,
+			holder,
+		);
+	}
+}
@@ -0,0 +1,97 @@
+import type { RunwayTask } from "../runway/index.js";
+import {
+	type TaskEvent,
+	type TaskLedger,
+	type TaskPage,
+	type TaskQuery,
+	type TaskRecord,
+	type TaskSubmission,
+	recordedTask,
+} from "./ledger.js";
+import type { TaskLedgerListener } from "./observed.js";
+
+function submissionOf(record: TaskRecord): TaskSubmission {
+	return {
+		id: record.id,
+		tool: record.tool,
+		params: record.params,
+		model: record.model,
+		prompt: record.prompt,
+		estimatedCredits: record.estimatedCredits,
+		seed: record.seed,
+		idempotencyKey: record.idempotencyKey,
+		keyScope: record.keyScope,
+	};
+}
+
+/**
+ * Ledger listener that copies a session's tasks and their status changes into the history
+ * of the API key they were submitted with, shared by every session using that key. Copy
+ * failures are logged and otherwise ignored: the task exists either way, and the session's
+ * own ledger still has it. Tasks without a key scope are not copied.
+ */
+export function sharedHistoryRecorder(
+	shared: (keyScope: string) => TaskLedger,
+): TaskLedgerListener {
+	const copy = async (
+		record: TaskRecord,
+		write: (history: TaskLedger, keyScope: string) => Promise<unknown>,
+	) => {
+		if (record.keyScope === undefined) return;
+		try {
+			await write(shared(record.keyScope), record.keyScope);
+		} catch (error) {
+			console.error(`Copying task ${record.id} to the shared history failed:`, error);
+		}
+	};
+	return {
+		created: (record) => copy(record, (history) => history.record(submissionOf(record))),
+		updated: (record) =>
+			copy(record, (history, keyScope) => history.observe(recordedTask(record), keyScope)),
+	};
+}
+
+/**
+ * A session's ledger in front of the histories shared by the whole deployment, one per API
+ * key. New tasks are written to the session ledger, whose listeners copy them to the
+ * history of their key (see sharedHistoryRecorder). Lookups and listings with a key scope
+ * read that key's history too, so tasks submitted by earlier sessions are found; without
+ * one they only see this session's tasks.
+ *
+ * Background tracking should use the session ledger directly, so each session only follows
+ * the tasks it submitted.
+ */
+export class SharedTaskLedger implements TaskLedger {
+	constructor(
+		private readonly session: TaskLedger,
+		private readonly shared: (keyScope: string) => TaskLedger,
+	) {}
+
+	record(submission: TaskSubmission): Promise<TaskRecord> {
+		return this.session.record(submission);
+	}
+
+	/** Tasks of other sessions are updated in the shared history only */
+	async observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined> {
+		const record = await this.session.observe(task, keyScope);
+		if (record || keyScope === undefined) return record;
+		return this.shared(keyScope).observe(task, keyScope);
+	}
+
+	async get(id: string, keyScope?: string): Promise<TaskRecord | undefined> {
+		const record = await this.session.get(id, keyScope);
+		if (record || keyScope === undefined) return record;
+		return this.shared(keyScope).get(id, keyScope);
+	}
+
+	list(query: TaskQuery = {}): Promise<TaskPage> {
+		if (query.keyScope === undefined) return this.session.list(query);
+		return this.shared(query.keyScope).list(query);
+	}
+
+	async events(id: string, keyScope?: string): Promise<TaskEvent[]> {
+		const events = await this.session.events(id, keyScope);
+		if (events.length > 0 || keyScope === undefined) return events;
+		return this.shared(keyScope).events(id, keyScope);
+	}
+}
@@ -0,0 +1,267 @@
+import type { RunwayTask, TaskStatus } from "../runway/index.js";
+import {
+	DEFAULT_TASK_PAGE_SIZE,
+	type TaskEvent,
+	type TaskLedger,
+	type TaskPage,
+	type TaskQuery,
+	type TaskRecord,
+	type TaskSubmission,
+	applyObservation,
+	decodeCursor,
+	encodeCursor,
+	inKeyScope,
+} from "./ledger.js";
+
+type TaskRow = {
+	id: string;
+	tool: string;
+	params: string;
+	model: string | null;
+	prompt: string | null;
+	status: string;
+	progress: number | null;
+	outputs: string;
+	failure: string | null;
+	failure_code: string | null;
+	estimated_credits: number | null;
+	idempotency_key: string | null;
+	key_scope: string | null;
+	seed: number | null;
+	created_at: number;
+	updated_at: number;
+	completed_at: number | null;
+};
+
+type EventRow = {
+	status: string;
+	progress: number | null;
+	at: number;
+};
+
+/**
+ * Ledger stored in a Durable Object's SQLite database (`ctx.storage.sql`).
+ * Tables are prefixed with `runway_` to stay clear of the agents framework's own tables.
+ */
+export class SqlTaskLedger implements TaskLedger {
+	constructor(
+		private readonly sql: SqlStorage,
+		private readonly now: () => number = Date.now,
+	) {
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_tasks (
+			id TEXT PRIMARY KEY,
+			tool TEXT NOT NULL,
+			params TEXT NOT NULL,
+			model TEXT,
+			prompt TEXT,
+			status TEXT NOT NULL,
+			progress REAL,
+			outputs TEXT NOT NULL DEFAULT '[]',
+			failure TEXT,
+			failure_code TEXT,
+			estimated_credits REAL,
+			idempotency_key TEXT,
+			key_scope TEXT,
+			seed INTEGER,
+			created_at INTEGER NOT NULL,
+			updated_at INTEGER NOT NULL,
+			completed_at INTEGER
+		)`);
+		// Tables created by earlier versions lack these columns
+		const columns = sql.exec<{ name: string }>("PRAGMA table_info(runway_tasks)").toArray();
+		for (const [name, type] of [
+			["idempotency_key", "TEXT"],
+			["seed", "INTEGER"],
+			["key_scope", "TEXT"],
+		]) {
+			if (!columns.some((column) => column.name === name)) {
+				sql.exec(`ALTER TABLE runway_tasks ADD COLUMN ${name} ${type}`);
+			}
+		}
+		sql.exec("CREATE INDEX IF NOT EXISTS runway_tasks_created_at ON runway_tasks (created_at)");
+		sql.exec(
+			"CREATE INDEX IF NOT EXISTS runway_tasks_idempotency_key ON runway_tasks (idempotency_key)",
+		);
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_task_events (
+			task_id TEXT NOT NULL,
+			status TEXT NOT NULL,
+			progress REAL,
+			at INTEGER NOT NULL
+		)`);
+		sql.exec(
+			"CREATE INDEX IF NOT EXISTS runway_task_events_task_id ON runway_task_events (task_id)",
+		);
+	}
+
+	async record(submission: TaskSubmission): Promise<TaskRecord> {
+		const now = this.now();
+		const record: TaskRecord = {
+			...submission,
+			status: "PENDING",
+			outputs: [],
+			createdAt: now,
+			updatedAt: now,
+		};
+		this.sql.exec(
+			`INSERT OR REPLACE INTO runway_tasks
+				(id, tool, params, model, prompt, status, outputs, estimated_credits, idempotency_key,
+					key_scope, seed, created_at, updated_at)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+			record.id,
+			record.tool,
+			JSON.stringify(record.params),
+			record.model ?? null,
+			record.prompt ?? null,
+			record.status,
+			JSON.stringify(record.outputs),
+			record.estimatedCredits ?? null,
+			record.idempotencyKey ?? null,
+			record.keyScope ?? null,
+			record.seed ?? null,
+			now,
+			now,
+		);
+		this.insertEvent(record.id, { status: "PENDING", at: now });
+		return record;
+	}
+
+	async observe(task: RunwayTask, keyScope?: string): Promise<TaskRecord | undefined> {
+		const record = await this.get(task.id, keyScope);
+		if (!record) return undefined;
+		const change = applyObservation(record, task, this.now());
+		if (!change) return record;
+
+		const updated = change.record;
+		this.sql.exec(
+			`UPDATE runway_tasks
+				SET status = ?, progress = ?, outputs = ?, failure = ?, failure_code = ?,
+					updated_at = ?, completed_at = ?
+				WHERE id = ?`,
+			updated.status,
+			updated.progress ?? null,
+			JSON.stringify(updated.outputs),
+			updated.failure ?? null,
+			updated.failureCode ?? null,
+			updated.updatedAt,
+			updated.completedAt ?? null,
+			updated.id,
+		);
+		if (change.event) this.insertEvent(updated.id, change.event);
+		return updated;
+	}
+
+	async get(id: string, keyScope?: string): Promise<TaskRecord | undefined> {
+		const [row] = this.sql
+			.exec<TaskRow>("SELECT * FROM runway_tasks WHERE id = ?", id)
+			.toArray();
+		const record = row && fromRow(row);
+		return record && inKeyScope(record, keyScope) ? record : undefined;
+	}
+
+	async list(query: TaskQuery = {}): Promise<TaskPage> {
+		const { sort = "created_at", order = "desc", limit = DEFAULT_TASK_PAGE_SIZE } = query;
+		const conditions: string[] = [];
+		const bindings: SqlStorageValue[] = [];
+		const where = (condition: string, ...values: SqlStorageValue[]) => {
+			conditions.push(condition);
+			bindings.push(...values);
+		};
+
+		if (query.statuses) {
+			where(`status IN (${placeholders(query.statuses)})`, ...query.statuses);
+		}
+		if (query.tools) {
+			where(`tool IN (${placeholders(query.tools)})`, ...query.tools);
+		}
+		if (query.model) where("model = ?", query.model);
+		if (query.createdAfter !== undefined) where("created_at >= ?", query.createdAfter);
+		if (query.createdBefore !== undefined) where("created_at < ?", query.createdBefore);
+		if (query.promptContains) {
+			// LIKE is case-insensitive for ASCII; escape its wildcards in the user's text
+			const escaped = query.promptContains.replace(/[\\%_]/g, (char) => `\\${char}`);
+			where("prompt LIKE ? ESCAPE '\\'", `%${escaped}%`);
+		}
+		if (query.idempotencyKey) where("idempotency_key = ?", query.idempotencyKey);
+		if (query.keyScope !== undefined) where("key_scope = ?", query.keyScope);
+		// `sort` is one of TASK_SORT_FIELDS, which are also column names
+		const direction = order === "asc" ? "ASC" : "DESC";
+		if (query.cursor) {
+			const cursor = decodeCursor(query.cursor, sort, order);
+			const after = order === "asc" ? ">" : "<";
+			where(
+				`(${sort} ${after} ? OR (${sort} = ? AND id ${after} ?))`,
+				cursor.value,
+				cursor.value,
+				cursor.id,
+			);
+		}
+
+		const rows = this.sql
+			.exec<TaskRow>(
+				`SELECT * FROM runway_tasks
+					${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+					ORDER BY ${sort} ${direction}, id ${direction}
+					LIMIT ?`,
+				...bindings,
+				limit + 1,
+			)
+			.toArray();
+		const records = rows.slice(0, limit).map(fromRow);
+		const last = records.at(-1);
+		return {
+			records,
+			nextCursor: rows.length > limit && last ? encodeCursor(last, sort, order) : undefined,
+		};
+	}
+
+	async events(id: string, keyScope?: string): Promise<TaskEvent[]> {
+		if (keyScope !== undefined && !(await this.get(id, keyScope))) return [];
+		return this.sql
+			.exec<EventRow>(
+				"SELECT status, progress, at FROM runway_task_events WHERE task_id = ? ORDER BY rowid",
+				id,
+			)
+			.toArray()
+			.map((row) => ({
+				status: row.status as TaskStatus,
+				progress: row.progress ?? undefined,
+				at: row.at,
+			}));
+	}
+
+	private insertEvent(taskId: string, event: TaskEvent) {
+		this.sql.exec(
+			"INSERT INTO runway_task_events (task_id, status, progress, at) VALUES (?, ?, ?, ?)",
+			taskId,
+			event.status,
+			event.progress ?? null,
+			event.at,
+		);
+	}
+}
+
+function placeholders(values: unknown[]): string {
+	return values.map(() => "?").join(", ");
+}
+
+function fromRow(row: TaskRow): TaskRecord {
+	return {
+		id: row.id,
+		tool: row.tool,
+		params: JSON.parse(row.params),
+		model: row.model ?? undefined,
+		prompt: row.prompt ?? undefined,
+		status: row.status as TaskStatus,
+		progress: row.progress ?? undefined,
+		outputs: JSON.parse(row.outputs),
+		failure: row.failure ?? undefined,
+		failureCode: row.failure_code ?? undefined,
+		estimatedCredits: row.estimated_credits ?? undefined,
+		idempotencyKey: row.idempotency_key ?? undefined,
+		keyScope: row.key_scope ?? undefined,
+		seed: row.seed ?? undefined,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+		completedAt: row.completed_at ?? undefined,
+	};
+}
@@ -0,0 +1,113 @@
+import {
+	RunwayAuthError,
+	type RunwayClient,
+	RunwayNotFoundError,
+	TASK_STATUSES,
+	isTerminalStatus,
+} from "../runway/index.js";
+import type { TaskLedger, TaskRecord } from "./ledger.js";
+
+const ACTIVE_STATUSES = TASK_STATUSES.filter((status) => !isTerminalStatus(status));
+
+export interface TaskTrackerOptions {
+	/**
+	 * Changes are reported by the ledger's listeners, e.g. through an ObservedTaskLedger,
+	 * which is also told about the tasks the tracker gives up on
+	 */
+	ledger: TaskLedger & { abandon?(record: TaskRecord): Promise<void> };
+	/** Same contract as ToolContext.getClient */
+	getClient: (providedKey?: string) => RunwayClient;
+	/**
+	 * Ask the host to call `checkAll()` at (or soon after) the given epoch time.
+	 * The Worker sets a Durable Object alarm; the stdio server uses a timer.
+	 */
+	schedule: (at: number) => void | Promise<void>;
+	/** Time between background status checks */
+	intervalMs: number;
+	/** Tasks submitted longer ago than this are no longer followed */
+	maxAgeMs: number;
+	now?: () => number;
+}
+
+/**
+ * Follows submitted tasks in the background until they reach a terminal status, so the
+ * ledger stays accurate after the tool call that created them has returned.
+ */
+export class TaskTracker {
+	// Keys passed explicitly by callers are held in memory only, never persisted. Tasks
+	// whose key is forgotten (e.g. after a Durable Object restart) fall back to the server key.
+	private readonly apiKeys = new Map<string, string>();
+	// Tasks the server cannot see (deleted, or owned by a forgotten key)
+	private readonly abandoned = new Set<string>();
+	private checking?: Promise<void>;
+
+	constructor(private readonly options: TaskTrackerOptions) {}
+
+	/** Start following a task that was just recorded in the ledger */
+	async track(taskId: string, providedKey?: string): Promise<void> {
+		if (providedKey) this.apiKeys.set(taskId, providedKey);
+		await this.options.schedule(this.now() + this.options.intervalMs);
+	}
+
+	/**
+	 * Check every active task once and schedule the next round if any remain.
+	 * Overlapping calls share the round already in progress.
+	 */
+	checkAll(): Promise<void> {
+		this.checking ??= this.runChecks().finally(() => {
+			this.checking = undefined;
+		});
+		return this.checking;
+	}
+
+	private async runChecks(): Promise<void> {
+		const { ledger } = this.options;
+		let remaining = 0;
+		let cursor: string | undefined;
+		do {
+			const page = await ledger.list({
+				statuses: [...ACTIVE_STATUSES],
+				createdAfter: this.now() - this.options.maxAgeMs,
+				order: "asc",
+				limit: 100,
+				cursor,
+			});
+			for (const record of page.records) {
+				if (this.abandoned.has(record.id)) continue;
+				if (!(await this.check(record))) remaining++;
+			}
+			cursor = page.nextCursor;
+		} while (cursor);
+
+		if (remaining > 0) {
+			await this.options.schedule(this.now() + this.options.intervalMs);
+		}
+	}
+
+	/** Returns true once the task needs no more checks */
+	private async check(record: TaskRecord): Promise<boolean> {
+		try {
+			const client = this.options.getClient(this.apiKeys.get(record.id));
+			const task = await client.getTask(record.id);
+			await this.options.ledger.observe(task);
+			if (isTerminalStatus(task.status)) {
+				this.apiKeys.delete(record.id);
+				return true;
+			}
+			return false;
+		} catch (error) {
+			if (error instanceof RunwayNotFoundError || error instanceof RunwayAuthError) {
+				this.abandoned.add(record.id);
+				this.apiKeys.delete(record.id);
+				await this.options.ledger.abandon?.(record);
+				return true;
+			}
+			console.error(`Background check of task ${record.id} failed:`, error);
+			return false;
+		}
+	}
+
+	private now(): number {
+		return (this.options.now ?? Date.now)();
+	}
+}
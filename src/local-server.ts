@@ -1,631 +1,162 @@
 #!/usr/bin/env node
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { CreditBudget, MemorySpendStore } from "./budget/index.js";
 import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from "@modelcontextprotocol/sdk/types.js";
-import { z } from "zod";
-
-// RunwayML API interfaces
-interface RunwayMLTask {
-  id: string;
-  status: 'PENDING' | 'RUNNING' | 'SUCCEEDED' | 'FAILED' | 'CANCELLED';
-  failure?: string;
-  failureCode?: string;
-  progress?: number;
-  image?: string;
-  video?: string;
-  createdAt: string;
-  updatedAt: string;
-}
-
-interface RunwayMLResponse {
-  id: string;
-}
+  type ConfigEnv,
+  type ServerConfigInput,
+  configFromEnv,
+  resolveConfig,
+} from "./config.js";
+import {
+  MemoryKeyReservations,
+  MemoryTaskLedger,
+  ObservedTaskLedger,
+  TaskTracker,
+} from "./ledger/index.js";
+import { ConcurrencyLimiter } from "./queue/index.js";
+import { TaskSubscriptions, registerTaskResources } from "./resources/index.js";
+import { RunwayClient, RunwayMissingKeyError, apiKeyFingerprint } from "./runway/index.js";
+import { MemoryStoryboardStore } from "./storyboard/index.js";
+import { registerTools, tools } from "./tools/index.js";
+import { MemoryUsageStore, usageRecorder } from "./usage/index.js";
+
+const DEFAULT_CONFIG_FILE = "tercer-mcp.config.json";
+
+// Read the JSON config file named by TERCER_MCP_CONFIG, or ./tercer-mcp.config.json if present
+function loadConfigFile(): ServerConfigInput {
+  const explicitPath = process.env.TERCER_MCP_CONFIG;
+  const path = resolve(explicitPath || DEFAULT_CONFIG_FILE);
+  if (!explicitPath && !existsSync(path)) {
+    return {};
+  }
 
-interface RunwayMLOrganization {
-  id: string;
-  name: string;
-  credits: number;
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read config file ${path}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
 }
 
-// Validation schemas
-const TextToVideoSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-  prompt: z.string().min(1, "Prompt is required"),
-  model: z.enum(["gen3a_turbo", "gen3a"]).default("gen3a_turbo"),
-  duration: z.enum(["5", "10"]).default("10"),
-  ratio: z.enum(["16:9", "9:16", "1:1"]).default("16:9"),
-  watermark: z.boolean().default(false),
-});
-
-const ImageToVideoSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-  prompt: z.string().min(1, "Prompt is required"),
-  image_url: z.string().url("Must be a valid image URL"),
-  model: z.enum(["gen3a_turbo", "gen3a"]).default("gen3a_turbo"),
-  duration: z.enum(["5", "10"]).default("10"),
-  ratio: z.enum(["16:9", "9:16", "1:1"]).default("16:9"),
-  watermark: z.boolean().default(false),
-});
-
-const TextToImageSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-  prompt: z.string().min(1, "Prompt is required"),
-  model: z.enum(["runway-ml"]).default("runway-ml"),
-  width: z.number().min(512).max(1536).default(1024),
-  height: z.number().min(512).max(1536).default(1024),
-  reference_image_url: z.string().url().optional(),
-});
+// Environment variables take precedence over the config file
+const config = resolveConfig(configFromEnv(process.env as ConfigEnv), loadConfigFile());
 
-const GetTaskSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-  task_id: z.string().min(1, "Task ID is required"),
-});
-
-const CancelTaskSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-  task_id: z.string().min(1, "Task ID is required"),
-});
-
-const GetOrganizationSchema = z.object({
-  api_key: z.string().min(1, "API key is required"),
-});
-
-// Calculator schemas (keeping existing functionality)
-const AddSchema = z.object({
-  a: z.number(),
-  b: z.number(),
-});
-
-const SubtractSchema = z.object({
-  a: z.number(),
-  b: z.number(),
-});
+// Resolve the API key from the tool call, falling back to the environment
+function getApiKey(providedKey?: string): string {
+  if (providedKey && providedKey.trim() !== "") {
+    return providedKey;
+  }
 
-const MultiplySchema = z.object({
-  a: z.number(),
-  b: z.number(),
-});
+  const envKey = process.env.RUNWAYML_API_KEY;
+  if (envKey) {
+    return envKey;
+  }
 
-const DivideSchema = z.object({
-  a: z.number(),
-  b: z.number(),
-});
+  throw new RunwayMissingKeyError(
+    "RunwayML API key not found. Pass api_key or set the RUNWAYML_API_KEY environment variable."
+  );
+}
 
-// Helper function to make RunwayML API calls
-async function callRunwayAPI(
-  endpoint: string,
-  method: string,
-  apiKey: string,
-  body?: any
-): Promise<any> {
-  const url = `https://api.runwayml.com/v1${endpoint}`;
-  
-  const headers: Record<string, string> = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-  };
+// Tasks are only visible to requests made with the API key that submitted them
+function keyScope(providedKey?: string): Promise<string> {
+  const apiKey =
+    providedKey && providedKey.trim() !== "" ? providedKey : process.env.RUNWAYML_API_KEY;
+  return apiKeyFingerprint(apiKey ?? "");
+}
 
-  const response = await fetch(url, {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : undefined,
+function getClient(providedKey?: string): RunwayClient {
+  return new RunwayClient({
+    apiKey: getApiKey(providedKey),
+    baseUrl: config.runway.baseUrl,
+    apiVersion: config.runway.apiVersion,
   });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`RunwayML API error (${response.status}): ${errorText}`);
-  }
-
-  return response.json();
 }
 
 // Create server instance
-const server = new Server(
-  {
-    name: "tercer-mcp",
-    version: "0.1.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      // RunwayML tools
-      {
-        name: "runway_text_to_video",
-        description: "Generate a video from a text prompt using RunwayML",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-            prompt: {
-              type: "string",
-              description: "Text description of the video to generate",
-            },
-            model: {
-              type: "string",
-              enum: ["gen3a_turbo", "gen3a"],
-              default: "gen3a_turbo",
-              description: "Model to use for generation",
-            },
-            duration: {
-              type: "string",
-              enum: ["5", "10"],
-              default: "10",
-              description: "Duration of the video in seconds",
-            },
-            ratio: {
-              type: "string",
-              enum: ["16:9", "9:16", "1:1"],
-              default: "16:9",
-              description: "Aspect ratio of the video",
-            },
-            watermark: {
-              type: "boolean",
-              default: false,
-              description: "Whether to include RunwayML watermark",
-            },
-          },
-          required: ["api_key", "prompt"],
-        },
-      },
-      {
-        name: "runway_image_to_video",
-        description: "Generate a video from an image and text prompt using RunwayML",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-            prompt: {
-              type: "string",
-              description: "Text description of how to animate the image",
-            },
-            image_url: {
-              type: "string",
-              description: "URL of the image to animate",
-            },
-            model: {
-              type: "string",
-              enum: ["gen3a_turbo", "gen3a"],
-              default: "gen3a_turbo",
-              description: "Model to use for generation",
-            },
-            duration: {
-              type: "string",
-              enum: ["5", "10"],
-              default: "10",
-              description: "Duration of the video in seconds",
-            },
-            ratio: {
-              type: "string",
-              enum: ["16:9", "9:16", "1:1"],
-              default: "16:9",
-              description: "Aspect ratio of the video",
-            },
-            watermark: {
-              type: "boolean",
-              default: false,
-              description: "Whether to include RunwayML watermark",
-            },
-          },
-          required: ["api_key", "prompt", "image_url"],
-        },
-      },
-      {
-        name: "runway_text_to_image",
-        description: "Generate an image from a text prompt using RunwayML",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-            prompt: {
-              type: "string",
-              description: "Text description of the image to generate",
-            },
-            model: {
-              type: "string",
-              enum: ["runway-ml"],
-              default: "runway-ml",
-              description: "Model to use for generation",
-            },
-            width: {
-              type: "number",
-              minimum: 512,
-              maximum: 1536,
-              default: 1024,
-              description: "Width of the generated image",
-            },
-            height: {
-              type: "number",
-              minimum: 512,
-              maximum: 1536,
-              default: 1024,
-              description: "Height of the generated image",
-            },
-            reference_image_url: {
-              type: "string",
-              description: "Optional reference image URL",
-            },
-          },
-          required: ["api_key", "prompt"],
-        },
-      },
-      {
-        name: "runway_get_task",
-        description: "Get the status and results of a RunwayML generation task",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-            task_id: {
-              type: "string",
-              description: "The ID of the task to check",
-            },
-          },
-          required: ["api_key", "task_id"],
-        },
-      },
-      {
-        name: "runway_cancel_task",
-        description: "Cancel a running RunwayML generation task",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-            task_id: {
-              type: "string",
-              description: "The ID of the task to cancel",
-            },
-          },
-          required: ["api_key", "task_id"],
-        },
-      },
-      {
-        name: "runway_get_organization",
-        description: "Get organization information and credit balance from RunwayML",
-        inputSchema: {
-          type: "object",
-          properties: {
-            api_key: {
-              type: "string",
-              description: "Your RunwayML API key",
-            },
-          },
-          required: ["api_key"],
-        },
-      },
-      // Calculator tools
-      {
-        name: "add",
-        description: "Add two numbers",
-        inputSchema: {
-          type: "object",
-          properties: {
-            a: {
-              type: "number",
-              description: "First number",
-            },
-            b: {
-              type: "number",
-              description: "Second number",
-            },
-          },
-          required: ["a", "b"],
-        },
-      },
-      {
-        name: "subtract",
-        description: "Subtract two numbers",
-        inputSchema: {
-          type: "object",
-          properties: {
-            a: {
-              type: "number",
-              description: "First number",
-            },
-            b: {
-              type: "number",
-              description: "Second number",
-            },
-          },
-          required: ["a", "b"],
-        },
-      },
-      {
-        name: "multiply",
-        description: "Multiply two numbers",
-        inputSchema: {
-          type: "object",
-          properties: {
-            a: {
-              type: "number",
-              description: "First number",
-            },
-            b: {
-              type: "number",
-              description: "Second number",
-            },
-          },
-          required: ["a", "b"],
-        },
-      },
-      {
-        name: "divide",
-        description: "Divide two numbers",
-        inputSchema: {
-          type: "object",
-          properties: {
-            a: {
-              type: "number",
-              description: "First number",
-            },
-            b: {
-              type: "number",
-              description: "Second number",
-            },
-          },
-          required: ["a", "b"],
-        },
-      },
-    ],
-  };
+const server = new McpServer({
+  name: "tercer-mcp",
+  version: "0.1.0",
 });
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      // RunwayML tools
-      case "runway_text_to_video": {
-        const parsed = TextToVideoSchema.parse(args);
-        const response = await callRunwayAPI('/tasks', 'POST', parsed.api_key, {
-          taskType: 'gen3a_turbo',
-          internal: false,
-          options: {
-            name: 'Text to Video',
-            seconds: parseInt(parsed.duration),
-            gen3a_turbo: {
-              mode: 'text_to_video',
-              prompt: parsed.prompt,
-              duration: parseInt(parsed.duration),
-              ratio: parsed.ratio,
-              watermark: parsed.watermark,
-            },
-          },
-        });
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Video generation started! Task ID: ${response.id}\n\nUse runway_get_task with this ID to check progress and get the result.`,
-            },
-          ],
-        };
-      }
-
-      case "runway_image_to_video": {
-        const parsed = ImageToVideoSchema.parse(args);
-        const response = await callRunwayAPI('/tasks', 'POST', parsed.api_key, {
-          taskType: 'gen3a_turbo',
-          internal: false,
-          options: {
-            name: 'Image to Video',
-            seconds: parseInt(parsed.duration),
-            gen3a_turbo: {
-              mode: 'image_to_video',
-              prompt: parsed.prompt,
-              init_image: parsed.image_url,
-              duration: parseInt(parsed.duration),
-              ratio: parsed.ratio,
-              watermark: parsed.watermark,
-            },
-          },
-        });
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Image-to-video generation started! Task ID: ${response.id}\n\nUse runway_get_task with this ID to check progress and get the result.`,
-            },
-          ],
-        };
-      }
-
-      case "runway_text_to_image": {
-        const parsed = TextToImageSchema.parse(args);
-        const requestBody: any = {
-          taskType: 'runway-ml',
-          internal: false,
-          options: {
-            name: 'Text to Image',
-            'runway-ml': {
-              mode: 'text_to_image',
-              prompt: parsed.prompt,
-              width: parsed.width,
-              height: parsed.height,
-            },
-          },
-        };
-
-        if (parsed.reference_image_url) {
-          requestBody.options['runway-ml'].reference_image = parsed.reference_image_url;
-        }
-
-        const response = await callRunwayAPI('/tasks', 'POST', parsed.api_key, requestBody);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Image generation started! Task ID: ${response.id}\n\nUse runway_get_task with this ID to check progress and get the result.`,
-            },
-          ],
-        };
-      }
-
-      case "runway_get_task": {
-        const parsed = GetTaskSchema.parse(args);
-        const task: RunwayMLTask = await callRunwayAPI(`/tasks/${parsed.task_id}`, 'GET', parsed.api_key);
-        
-        let statusMessage = `Task ${task.id} Status: ${task.status}`;
-        
-        if (task.progress !== undefined) {
-          statusMessage += `\nProgress: ${Math.round(task.progress * 100)}%`;
-        }
-        
-        if (task.status === 'SUCCEEDED') {
-          if (task.video) {
-            statusMessage += `\n\n✅ Video ready! Download URL: ${task.video}`;
-          } else if (task.image) {
-            statusMessage += `\n\n✅ Image ready! Download URL: ${task.image}`;
-          }
-        } else if (task.status === 'FAILED') {
-          statusMessage += `\n\n❌ Generation failed: ${task.failure || 'Unknown error'}`;
-          if (task.failureCode) {
-            statusMessage += ` (Code: ${task.failureCode})`;
-          }
-        } else if (task.status === 'PENDING' || task.status === 'RUNNING') {
-          statusMessage += '\n\n⏳ Still processing... Check again in a few moments.';
-        }
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: statusMessage,
-            },
-          ],
-        };
-      }
-
-      case "runway_cancel_task": {
-        const parsed = CancelTaskSchema.parse(args);
-        await callRunwayAPI(`/tasks/${parsed.task_id}/cancel`, 'POST', parsed.api_key);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Task ${parsed.task_id} has been cancelled.`,
-            },
-          ],
-        };
-      }
-
-      case "runway_get_organization": {
-        const parsed = GetOrganizationSchema.parse(args);
-        const org: RunwayMLOrganization = await callRunwayAPI('/organizations', 'GET', parsed.api_key);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Organization: ${org.name}\nCredits remaining: ${org.credits}`,
-            },
-          ],
-        };
-      }
-
-      // Calculator tools
-      case "add": {
-        const parsed = AddSchema.parse(args);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `${parsed.a} + ${parsed.b} = ${parsed.a + parsed.b}`,
-            },
-          ],
-        };
-      }
-
-      case "subtract": {
-        const parsed = SubtractSchema.parse(args);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `${parsed.a} - ${parsed.b} = ${parsed.a - parsed.b}`,
-            },
-          ],
-        };
-      }
-
-      case "multiply": {
-        const parsed = MultiplySchema.parse(args);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `${parsed.a} × ${parsed.b} = ${parsed.a * parsed.b}`,
-            },
-          ],
-        };
-      }
+// Task history, storyboards and usage only live as long as this process, which serves a
+// single session; changes are pushed to resource subscribers, and finished tasks free
+// their concurrency slot
+const subscriptions = new TaskSubscriptions(server);
+const usage = new MemoryUsageStore();
+const storyboards = new MemoryStoryboardStore();
+const queue = new ConcurrencyLimiter(() => config.queue.maxInFlight, {
+  leaseMs: () => config.queue.slotLeaseMs,
+});
+const ledger = new ObservedTaskLedger(
+  new MemoryTaskLedger(),
+  subscriptions,
+  usageRecorder(usage, crypto.randomUUID()),
+  queue
+);
 
-      case "divide": {
-        const parsed = DivideSchema.parse(args);
-        if (parsed.b === 0) {
-          throw new Error("Cannot divide by zero");
-        }
-        return {
-          content: [
-            {
-              type: "text",
-              text: `${parsed.a} ÷ ${parsed.b} = ${parsed.a / parsed.b}`,
-            },
-          ],
-        };
-      }
+// Follow submitted tasks in the background with a single timer
+let checkTimer: NodeJS.Timeout | undefined;
+let checkAt = Number.POSITIVE_INFINITY;
+
+function scheduleCheck(at: number) {
+  if (checkTimer && checkAt <= at) return;
+  clearTimeout(checkTimer);
+  checkAt = at;
+  checkTimer = setTimeout(() => {
+    checkTimer = undefined;
+    checkAt = Number.POSITIVE_INFINITY;
+    tracker?.checkAll().catch((error) => console.error("Background task check failed:", error));
+  }, Math.max(0, at - Date.now()));
+  checkTimer.unref();
+}
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: `Error: ${error instanceof Error ? error.message : String(error)}`,
-        },
-      ],
-      isError: true,
-    };
-  }
+const tracker = config.tracking.enabled
+  ? new TaskTracker({
+      ledger,
+      getClient,
+      schedule: scheduleCheck,
+      intervalMs: config.tracking.intervalMs,
+      maxAgeMs: config.tracking.maxAgeMs,
+    })
+  : undefined;
+
+// Credit budgets. This process serves a single session, so the "deployment" and daily
+// scopes only cover what this process has spent
+const budget = new CreditBudget({
+  limits: config.budgets,
+  session: new MemorySpendStore(),
+  deployment: new MemorySpendStore(),
 });
 
+// Mount the shared tool registry and task resources
+const context = {
+  config,
+  getClient,
+  keyScope,
+  ledger,
+  tracker,
+  budget,
+  queue,
+  reservations: new MemoryKeyReservations(),
+  usage,
+  storyboards,
+};
+registerTools(server, tools, context);
+registerTaskResources(server, context);
+
 // Start the server
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
-  console.error("MCP Server running on stdio");
+  console.error(`MCP Server running on stdio (RunwayML API: ${config.runway.baseUrl})`);
 }
 
 main().catch((error) => {
   console.error("Server error:", error);
   process.exit(1);
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,422 @@
+import type { TaskStatus } from "../runway/index.js";
+
+/**
+ * Offline stand-in for the RunwayML API, used in development and tests so tool changes can be
+ * exercised without spending credits.
+ *
+ * Built on the standard Request/Response API so the same handler runs under Node
+ * (see server.ts) or inside a Worker. Task lifecycles are scripted: every GET of a task advances it
+ * one step through PENDING → THROTTLED → RUNNING (with progress) → outcome.
+ */
+
+export type MockOutcome = "SUCCEEDED" | "FAILED" | "CANCELLED" | "NEVER";
+
+export interface MockTaskScript {
+	/** Number of polls reporting PENDING */
+	pendingPolls: number;
+	/** Number of polls reporting THROTTLED after PENDING */
+	throttledPolls: number;
+	/** Number of polls reporting RUNNING with increasing progress */
+	runningPolls: number;
+	/** Final state; NEVER keeps the task RUNNING forever (for timeout tests) */
+	outcome: MockOutcome;
+	failure?: string;
+	failureCode?: string;
+}
+
+export interface MockErrorRule {
+	/** HTTP method to match; any method when omitted */
+	method?: string;
+	/** Path prefix to match, e.g. "/v1/tasks/" */
+	path: string;
+	status: number;
+	body?: unknown;
+	/** Sent as the Retry-After header (seconds) */
+	retryAfter?: number;
+	/** How many requests the rule applies to before it expires (default 1) */
+	times?: number;
+}
+
+export interface MockRunwayOptions {
+	/** Reject requests whose bearer token differs; any token is accepted when omitted */
+	apiKey?: string;
+	/** Delay added to every API response */
+	latencyMs?: number;
+	creditBalance?: number;
+	script?: Partial<MockTaskScript>;
+	errors?: MockErrorRule[];
+}
+
+export interface MockTask {
+	id: string;
+	endpoint: string;
+	request: Record<string, any>;
+	createdAt: string;
+	script: MockTaskScript;
+	polls: number;
+	cancelled: boolean;
+}
+
+export const DEFAULT_MOCK_SCRIPT: MockTaskScript = {
+	pendingPolls: 1,
+	throttledPolls: 0,
+	runningPolls: 2,
+	outcome: "SUCCEEDED",
+};
+
+// Prompt tags that override the script for a single task, e.g. "a red car [mock:fail]"
+const PROMPT_TAGS: Record<string, Partial<MockTaskScript>> = {
+	"[mock:fail]": {
+		outcome: "FAILED",
+		failure: "Mock generation failure",
+		failureCode: "INTERNAL.BAD_OUTPUT",
+	},
+	"[mock:cancel]": { outcome: "CANCELLED" },
+	"[mock:never]": { outcome: "NEVER" },
+	"[mock:throttle]": { throttledPolls: 2 },
+};
+
+const VIDEO_MODELS = ["gen4_turbo", "gen3a_turbo"];
+const IMAGE_MODELS = ["gen4_image"];
+const MAX_SEED = 4294967295;
+const CREDITS_PER_VIDEO_SECOND = 5;
+const CREDITS_PER_IMAGE = 5;
+
+export class MockRunway {
+	readonly tasks = new Map<string, MockTask>();
+	private errors: MockErrorRule[];
+	private script: MockTaskScript;
+	private latencyMs: number;
+	private creditBalance: number;
+	private nextId = 1;
+
+	constructor(private readonly options: MockRunwayOptions = {}) {
+		this.errors = [...(options.errors ?? [])];
+		this.script = { ...DEFAULT_MOCK_SCRIPT, ...options.script };
+		this.latencyMs = options.latencyMs ?? 0;
+		this.creditBalance = options.creditBalance ?? 1000;
+	}
+
+	/** Forget all tasks and injected errors, restoring the constructor options. Task IDs keep counting up. */
+	reset() {
+		this.tasks.clear();
+		this.errors = [...(this.options.errors ?? [])];
+		this.script = { ...DEFAULT_MOCK_SCRIPT, ...this.options.script };
+		this.latencyMs = this.options.latencyMs ?? 0;
+		this.creditBalance = this.options.creditBalance ?? 1000;
+	}
+
+	/** Queue an error response for matching requests */
+	injectError(rule: MockErrorRule) {
+		this.errors.push(rule);
+	}
+
+	/** Change the lifecycle used for tasks created from now on */
+	setScript(script: Partial<MockTaskScript>) {
+		this.script = { ...this.script, ...script };
+	}
+
+	setLatency(ms: number) {
+		this.latencyMs = ms;
+	}
+
+	async fetch(request: Request): Promise<Response> {
+		const url = new URL(request.url);
+		const method = request.method.toUpperCase();
+
+		if (url.pathname.startsWith("/__mock/")) {
+			return this.handleControl(method, url, request);
+		}
+
+		if (this.latencyMs > 0) {
+			await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+		}
+
+		const injected = this.takeError(method, url.pathname);
+		if (injected) {
+			const headers: Record<string, string> = { "Content-Type": "application/json" };
+			if (injected.retryAfter !== undefined) {
+				headers["Retry-After"] = String(injected.retryAfter);
+			}
+			return new Response(JSON.stringify(injected.body ?? { error: "Injected mock error" }), {
+				status: injected.status,
+				headers,
+			});
+		}
+
+		const token = request.headers.get("Authorization")?.replace(/^Bearer\s+/i, "");
+		if (!token || (this.options.apiKey !== undefined && token !== this.options.apiKey)) {
+			return json({ error: "Invalid API key" }, 401);
+		}
+		if (!request.headers.get("X-Runway-Version")) {
+			return json({ error: "Missing X-Runway-Version header" }, 400);
+		}
+
+		if (method === "POST" && url.pathname === "/v1/text_to_video") {
+			return this.createTask(request, "text_to_video");
+		}
+		if (method === "POST" && url.pathname === "/v1/image_to_video") {
+			return this.createTask(request, "image_to_video");
+		}
+		if (method === "POST" && url.pathname === "/v1/text_to_image") {
+			return this.createTask(request, "text_to_image");
+		}
+		if (method === "GET" && url.pathname === "/v1/organization") {
+			return json({
+				creditBalance: this.creditBalance,
+				tier: {
+					maxMonthlyCreditSpend: 10000,
+					models: Object.fromEntries(
+						[...VIDEO_MODELS, ...IMAGE_MODELS].map((model) => [
+							model,
+							{ maxConcurrentGenerations: 2, maxDailyGenerations: 100 },
+						]),
+					),
+				},
+				usage: {
+					models: Object.fromEntries(
+						[...VIDEO_MODELS, ...IMAGE_MODELS].map((model) => [
+							model,
+							{
+								dailyGenerations: [...this.tasks.values()].filter(
+									(task) => task.request.model === model,
+								).length,
+							},
+						]),
+					),
+				},
+			});
+		}
+		if (method === "POST" && url.pathname === "/v1/uploads") {
+			const body = await readJson(request);
+			return json({
+				uploadUrl: `${url.origin}/__mock/uploads`,
+				fields: {},
+				runwayUri: `runway://mock-upload/${encodeURIComponent(String(body?.filename ?? "file"))}`,
+			});
+		}
+
+		const cancelMatch = url.pathname.match(/^\/v1\/tasks\/([^/]+)\/cancel$/);
+		if (method === "POST" && cancelMatch) {
+			return this.cancelTask(decodeURIComponent(cancelMatch[1]));
+		}
+
+		const taskMatch = url.pathname.match(/^\/v1\/tasks\/([^/]+)$/);
+		if (taskMatch) {
+			const id = decodeURIComponent(taskMatch[1]);
+			if (method === "GET") return this.getTask(url, id);
+			if (method === "DELETE") return this.cancelTask(id);
+		}
+
+		return json({ error: `No mock route for ${method} ${url.pathname}` }, 404);
+	}
+
+	/**
+	 * Compute the status a task reports at its current step, without advancing it.
+	 */
+	describeTask(origin: string, task: MockTask): Record<string, unknown> {
+		const { script, polls } = task;
+		const base = { id: task.id, createdAt: task.createdAt };
+		if (task.cancelled) {
+			return { ...base, status: "CANCELLED" satisfies TaskStatus };
+		}
+		if (polls < script.pendingPolls) {
+			return { ...base, status: "PENDING" satisfies TaskStatus };
+		}
+		if (polls < script.pendingPolls + script.throttledPolls) {
+			return { ...base, status: "THROTTLED" satisfies TaskStatus };
+		}
+		const runningStep = polls - script.pendingPolls - script.throttledPolls;
+		if (runningStep < script.runningPolls || script.outcome === "NEVER") {
+			const progress = Math.min(0.95, (runningStep + 1) / (script.runningPolls + 1));
+			return { ...base, status: "RUNNING" satisfies TaskStatus, progress };
+		}
+		switch (script.outcome) {
+			case "FAILED":
+				return {
+					...base,
+					status: "FAILED" satisfies TaskStatus,
+					failure: script.failure ?? "Mock generation failure",
+					failureCode: script.failureCode ?? "INTERNAL",
+				};
+			case "CANCELLED":
+				return { ...base, status: "CANCELLED" satisfies TaskStatus };
+			default: {
+				const extension = task.endpoint === "text_to_image" ? "png" : "mp4";
+				return {
+					...base,
+					status: "SUCCEEDED" satisfies TaskStatus,
+					output: [`${origin}/__mock/outputs/${task.id}/0.${extension}`],
+				};
+			}
+		}
+	}
+
+	private async createTask(request: Request, endpoint: string): Promise<Response> {
+		const body = await readJson(request);
+		if (!body || typeof body !== "object") {
+			return json({ error: "Request body must be a JSON object" }, 400);
+		}
+
+		const invalid = validateCreate(endpoint, body);
+		if (invalid) {
+			return json({ error: invalid }, 400);
+		}
+
+		const cost =
+			endpoint === "text_to_image"
+				? CREDITS_PER_IMAGE
+				: CREDITS_PER_VIDEO_SECOND * Number(body.duration ?? 5);
+		if (cost > this.creditBalance) {
+			return json(
+				{
+					error: "You do not have enough credits to run this task.",
+					code: "INSUFFICIENT_CREDITS",
+				},
+				400,
+			);
+		}
+		this.creditBalance -= cost;
+
+		const prompt = String(body.promptText ?? "");
+		const overrides = Object.entries(PROMPT_TAGS)
+			.filter(([tag]) => prompt.includes(tag))
+			.reduce((acc, [, script]) => Object.assign(acc, script), {});
+
+		const id = `mock-task-${String(this.nextId++).padStart(4, "0")}`;
+		this.tasks.set(id, {
+			id,
+			endpoint,
+			request: body,
+			createdAt: new Date().toISOString(),
+			script: { ...this.script, ...overrides },
+			polls: 0,
+			cancelled: false,
+		});
+		return json({ id });
+	}
+
+	private getTask(url: URL, id: string): Response {
+		const task = this.tasks.get(id);
+		if (!task) {
+			return json({ error: "Task not found" }, 404);
+		}
+		const body = this.describeTask(url.origin, task);
+		task.polls++;
+		return json(body);
+	}
+
+	private cancelTask(id: string): Response {
+		const task = this.tasks.get(id);
+		if (!task) {
+			return json({ error: "Task not found" }, 404);
+		}
+		task.cancelled = true;
+		return new Response(null, { status: 204 });
+	}
+
+	private takeError(method: string, path: string): MockErrorRule | undefined {
+		const index = this.errors.findIndex(
+			(rule) =>
+				(!rule.method || rule.method.toUpperCase() === method) &&
+				path.startsWith(rule.path),
+		);
+		if (index === -1) return undefined;
+
+		const rule = this.errors[index];
+		const remaining = (rule.times ?? 1) - 1;
+		if (remaining <= 0) {
+			this.errors.splice(index, 1);
+		} else {
+			this.errors[index] = { ...rule, times: remaining };
+		}
+		return rule;
+	}
+
+	private async handleControl(method: string, url: URL, request: Request): Promise<Response> {
+		const { pathname } = url;
+
+		if (method === "POST" && pathname === "/__mock/reset") {
+			this.reset();
+			return json({ ok: true });
+		}
+		if (method === "POST" && pathname === "/__mock/errors") {
+			const body = await readJson(request);
+			for (const rule of Array.isArray(body) ? body : [body]) {
+				this.injectError(rule);
+			}
+			return json({ ok: true });
+		}
+		if (method === "POST" && pathname === "/__mock/script") {
+			this.setScript((await readJson(request)) ?? {});
+			return json({ ok: true, script: this.script });
+		}
+		if (method === "POST" && pathname === "/__mock/latency") {
+			this.setLatency(Number((await readJson(request))?.ms ?? 0));
+			return json({ ok: true });
+		}
+		if (method === "GET" && pathname === "/__mock/tasks") {
+			return json(
+				[...this.tasks.values()].map((task) => ({
+					...task,
+					current: this.describeTask(url.origin, task),
+				})),
+			);
+		}
+
+		const outputMatch = pathname.match(/^\/__mock\/outputs\/([^/]+)\/(\d+)\.(mp4|png)$/);
+		if (method === "GET" && outputMatch) {
+			const contentType = outputMatch[3] === "png" ? "image/png" : "video/mp4";
+			return new Response(`mock ${outputMatch[3]} output for ${outputMatch[1]}`, {
+				headers: { "Content-Type": contentType },
+			});
+		}
+
+		return json({ error: `No mock control route for ${method} ${pathname}` }, 404);
+	}
+}
+
+function validateCreate(endpoint: string, body: Record<string, any>): string | undefined {
+	if (endpoint === "image_to_video") {
+		if (typeof body.promptImage !== "string" || body.promptImage === "") {
+			return "promptImage is required";
+		}
+	} else if (typeof body.promptText !== "string" || body.promptText === "") {
+		return "promptText is required";
+	}
+
+	const models = endpoint === "text_to_image" ? IMAGE_MODELS : VIDEO_MODELS;
+	if (!models.includes(body.model)) {
+		return `model must be one of ${models.join(", ")}`;
+	}
+	if (endpoint !== "text_to_image" && ![5, 10].includes(Number(body.duration))) {
+		return "duration must be 5 or 10";
+	}
+	if (typeof body.ratio !== "string") {
+		return "ratio is required";
+	}
+	if (
+		body.seed !== undefined &&
+		!(Number.isInteger(body.seed) && body.seed >= 0 && body.seed <= MAX_SEED)
+	) {
+		return `seed must be an integer between 0 and ${MAX_SEED}`;
+	}
+	return undefined;
+}
+
+async function readJson(request: Request): Promise<any> {
+	const text = await request.text();
+	if (!text) return undefined;
+	try {
+		return JSON.parse(text);
+	} catch {
+		return undefined;
+	}
+}
+
+function json(body: unknown, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { "Content-Type": "application/json" },
+	});
+}
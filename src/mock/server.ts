@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import { type IncomingMessage, type Server, createServer } from "node:http";
+import type { AddressInfo } from "node:net";
+import { fileURLToPath } from "node:url";
+import { MockRunway, type MockRunwayOptions } from "./runway-mock.js";
+
+export interface MockRunwayServer {
+	/** Base URL to use as RUNWAYML_API_BASE_URL, e.g. http://127.0.0.1:8788 */
+	url: string;
+	mock: MockRunway;
+	server: Server;
+	close(): Promise<void>;
+}
+
+/**
+ * Serve a MockRunway over HTTP. Pass port 0 to pick a free port (handy in tests).
+ */
+export async function startMockRunwayServer(
+	options: MockRunwayOptions & { port?: number; host?: string } = {},
+): Promise<MockRunwayServer> {
+	const { port = 8788, host = "127.0.0.1", ...mockOptions } = options;
+	const mock = new MockRunway(mockOptions);
+
+	const server = createServer(async (req, res) => {
+		try {
+			const response = await mock.fetch(await toRequest(req, host));
+			res.writeHead(response.status, Object.fromEntries(response.headers));
+			res.end(Buffer.from(await response.arrayBuffer()));
+		} catch (error) {
+			res.writeHead(500, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({ error: error instanceof Error ? error.message : String(error) }),
+			);
+		}
+	});
+
+	await new Promise<void>((resolve) => server.listen(port, host, resolve));
+	const address = server.address() as AddressInfo;
+
+	return {
+		url: `http://${host}:${address.port}`,
+		mock,
+		server,
+		close: () =>
+			new Promise<void>((resolve, reject) =>
+				server.close((error) => (error ? reject(error) : resolve())),
+			),
+	};
+}
+
+async function toRequest(req: IncomingMessage, host: string): Promise<Request> {
+	const chunks: Buffer[] = [];
+	for await (const chunk of req) {
+		chunks.push(chunk as Buffer);
+	}
+	const body = chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+	const headers = new Headers();
+	for (const [name, value] of Object.entries(req.headers)) {
+		if (typeof value === "string") headers.set(name, value);
+	}
+	return new Request(`http://${req.headers.host ?? host}${req.url ?? "/"}`, {
+		method: req.method,
+		headers,
+		body: req.method === "GET" || req.method === "HEAD" ? undefined : body,
+	});
+}
+
+// Run standalone: npm run mock:runway
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+	startMockRunwayServer({
+		port: Number(process.env.MOCK_RUNWAY_PORT ?? 8788),
+		latencyMs: Number(process.env.MOCK_RUNWAY_LATENCY_MS ?? 0),
+		apiKey: process.env.MOCK_RUNWAY_API_KEY || undefined,
+	}).then(({ url }) => {
+		console.log(`Mock RunwayML API listening on ${url}`);
+		console.log(`Point the servers at it with RUNWAYML_API_BASE_URL=${url}`);
+	});
+}
@@ -0,0 +1,162 @@
+import { DurableObject } from "cloudflare:workers";
+import type { TaskLedgerListener } from "../ledger/index.js";
+import { apiKeyFingerprint, isTerminalStatus } from "../runway/index.js";
+import {
+	ConcurrencyLimiter,
+	type LimiterStatus,
+	type Slot,
+	type SlotLimiter,
+	type SlotRequest,
+	type SlotResult,
+} from "./limiter.js";
+import { SqlSlotStore } from "./store.js";
+
+/** Each QueueObject serves one API key, so its limiter needs a single key */
+const QUEUE = "queue";
+
+/** A SlotRequest sent over RPC: abort signals cannot cross, so callers leave by ID */
+export type QueueObjectRequest = Omit<SlotRequest, "key" | "signal"> & { id: string };
+
+export interface QueueLimits {
+	maxInFlight?: number;
+	slotLeaseMs?: number;
+}
+
+export type QueueObjectResult =
+	| Exclude<SlotResult, { outcome: "acquired" }>
+	| {
+			outcome: "acquired";
+			position: number;
+			waitedMs: number;
+	  };
+
+/**
+ * Tasks in flight and queued requests of one RunwayML API key, shared by every MCP session
+ * of the deployment over RPC. Slots are kept in SQLite; the queue lives in memory, which
+ * is safe because every queued request holds an RPC call open. Lives outside
+ * queue/index.ts because `cloudflare:workers` only resolves inside the Worker.
+ */
+export class QueueObject extends DurableObject {
+	// Sent with every call, like BudgetObject's limits, so each session's config applies
+	private limits: QueueLimits = {};
+	private readonly limiter = new ConcurrencyLimiter(() => this.limits.maxInFlight, {
+		store: new SqlSlotStore(this.ctx.storage.sql),
+		leaseMs: () => this.limits.slotLeaseMs,
+	});
+	private readonly waiting = new Map<string, AbortController>();
+	private readonly slots = new Map<string, Slot>();
+
+	async acquire(request: QueueObjectRequest, limits: QueueLimits): Promise<QueueObjectResult> {
+		this.limits = limits;
+		const controller = new AbortController();
+		this.waiting.set(request.id, controller);
+		try {
+			const result = await this.limiter.acquire({
+				...request,
+				key: QUEUE,
+				signal: controller.signal,
+			});
+			if (result.outcome !== "acquired") return result;
+			const { slot, ...acquired } = result;
+			this.slots.set(request.id, slot);
+			return acquired;
+		} finally {
+			this.waiting.delete(request.id);
+		}
+	}
+
+	/** Stop waiting for a slot, e.g. because the tool call was cancelled */
+	leave(id: string): void {
+		this.waiting.get(id)?.abort();
+	}
+
+	async assign(id: string, taskId: string): Promise<void> {
+		await this.slots.get(id)?.assign(taskId);
+		this.slots.delete(id);
+	}
+
+	async release(id: string): Promise<void> {
+		await this.slots.get(id)?.release();
+		this.slots.delete(id);
+	}
+
+	finished(taskId: string): void {
+		this.limiter.finished(taskId);
+	}
+
+	status(limits: QueueLimits): LimiterStatus {
+		this.limits = limits;
+		return this.limiter.status(QUEUE);
+	}
+}
+
+/**
+ * Limiter backed by the QueueObject of each API key, so the limit holds across every
+ * session of the deployment. Requests for the server's key (queue key "") use `apiKey`,
+ * read on first use like deploymentTaskLedger's. Register it as a listener of the session
+ * ledger to free the slots of tasks the session sees finish.
+ */
+export function deploymentConcurrencyLimiter(
+	namespace: DurableObjectNamespace<QueueObject>,
+	limits: () => QueueLimits,
+	apiKey: () => string | undefined,
+): SlotLimiter & TaskLedgerListener {
+	const stubs = new Map<string, Promise<DurableObjectStub<QueueObject>>>();
+	const queue = (key: string) => {
+		let stub = stubs.get(key);
+		if (!stub) {
+			stub = apiKeyFingerprint(key || (apiKey() ?? "")).then((name) =>
+				namespace.get(namespace.idFromName(name)),
+			);
+			stubs.set(key, stub);
+		}
+		return stub;
+	};
+	// Queue key of every task this session submitted, in memory like the tracker's API
+	// keys; a forgotten task is assumed to use the server's key
+	const taskKeys = new Map<string, string>();
+	// Like any copy to a Durable Object, freeing is best effort: the lease frees it otherwise
+	const free = async (taskId: string) => {
+		const key = taskKeys.get(taskId) ?? "";
+		taskKeys.delete(taskId);
+		try {
+			await (await queue(key)).finished(taskId);
+		} catch (error) {
+			console.error(`Freeing the slot of task ${taskId} failed:`, error);
+		}
+	};
+
+	return {
+		acquire: async ({ key, signal, ...request }) => {
+			if (signal?.aborted) return { outcome: "aborted", position: 0, waitedMs: 0 };
+			const stub = await queue(key);
+			const id = crypto.randomUUID();
+			const onAbort = () => {
+				stub.leave(id).catch((error) => console.error("Leaving the queue failed:", error));
+			};
+			signal?.addEventListener("abort", onAbort, { once: true });
+			let result: QueueObjectResult;
+			try {
+				result = await stub.acquire({ ...request, id }, limits());
+			} finally {
+				signal?.removeEventListener("abort", onAbort);
+			}
+			if (result.outcome !== "acquired") return result;
+			return {
+				...result,
+				slot: {
+					assign: async (taskId) => {
+						taskKeys.set(taskId, key);
+						await stub.assign(id, taskId);
+					},
+					release: () => stub.release(id),
+				},
+			};
+		},
+		status: async (key) => (await queue(key)).status(limits()),
+		updated: async (record) => {
+			if (isTerminalStatus(record.status)) await free(record.id);
+		},
+		abandoned: (record) => free(record.id),
+	};
+}
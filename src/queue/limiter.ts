@@ -0,0 +1,275 @@
+import type { TaskLedgerListener, TaskRecord } from "../ledger/index.js";
+import { isTerminalStatus } from "../runway/index.js";
+import { MemorySlotStore, type SlotStore } from "./store.js";
+
+/** A generation request waiting for a free slot */
+export interface SlotRequest {
+	/** Requests are limited per key, e.g. per RunwayML API key */
+	key: string;
+	/** Higher priorities are served first; equal priorities in arrival order */
+	priority?: number;
+	/** Tool that will submit the task, for status reports */
+	tool: string;
+	/** Give up (outcome "timeout") after waiting this long */
+	timeoutMs: number;
+	/** Leave the queue (outcome "aborted") when this aborts */
+	signal?: AbortSignal;
+	/** Called when the request enters the queue and whenever its position changes */
+	onPosition?: (position: number, queued: number) => void | Promise<void>;
+}
+
+/** Permission to submit one task */
+export interface Slot {
+	/** Tie the slot to the submitted task; it frees up when the task finishes */
+	assign(taskId: string): void | Promise<void>;
+	/** Give the slot back without submitting, e.g. because RunwayML rejected the task */
+	release(): void | Promise<void>;
+}
+
+interface WaitStats {
+	/** 1-based position when the request was queued; 0 if a slot was free */
+	position: number;
+	waitedMs: number;
+}
+
+export type SlotResult =
+	| (WaitStats & { outcome: "acquired"; slot: Slot })
+	| (WaitStats & { outcome: "timeout" })
+	| (WaitStats & { outcome: "aborted" });
+
+export interface QueuedRequestStatus {
+	position: number;
+	priority: number;
+	tool: string;
+	queuedAt: number;
+}
+
+export interface LimiterStatus {
+	/** Absent when unlimited */
+	limit?: number;
+	inFlight: number;
+	queued: QueuedRequestStatus[];
+}
+
+/** What the tools need from a limiter, wherever its slots are counted */
+export interface SlotLimiter {
+	acquire(request: SlotRequest): Promise<SlotResult>;
+	status(key: string): LimiterStatus | Promise<LimiterStatus>;
+}
+
+export interface ConcurrencyLimiterOptions {
+	/** Where slots are counted; defaults to memory */
+	store?: SlotStore;
+	/**
+	 * Slots expire this long after they are taken, in case nobody sees their task finish
+	 * (e.g. tracking is off). Read on every request, like the limit; absent = never.
+	 */
+	leaseMs?: () => number | undefined;
+	now?: () => number;
+}
+
+interface Waiter {
+	request: SlotRequest;
+	sequence: number;
+	queuedAt: number;
+	position: number;
+	grant(): void;
+}
+
+interface KeyState {
+	waiting: Waiter[];
+	/** Lets the queue through when the next slot's lease runs out */
+	expiryTimer?: ReturnType<typeof setTimeout>;
+}
+
+/**
+ * Caps the number of tasks in flight (submitted and not yet finished) per key. Requests
+ * beyond the cap wait in a priority queue and are let through as slots free up.
+ *
+ * A slot is freed when the ledger sees its task reach a terminal status, so the limiter
+ * must be registered as a listener of the ledger the tools write to. It is also freed when
+ * the ledger gives up on the task (see TaskLedgerListener.abandoned), and when its lease
+ * runs out. Only the queue is held in memory; slots are counted in the SlotStore.
+ */
+export class ConcurrencyLimiter implements SlotLimiter, TaskLedgerListener {
+	/** Requests waiting for a slot, per key */
+	private readonly keys = new Map<string, KeyState>();
+	private readonly store: SlotStore;
+	private readonly leaseMs: () => number | undefined;
+	private readonly now: () => number;
+	private sequence = 0;
+
+	/** `limit` is read on every request, so configuration loaded later still applies */
+	constructor(
+		private readonly limit: () => number | undefined,
+		options: ConcurrencyLimiterOptions = {},
+	) {
+		this.store = options.store ?? new MemorySlotStore();
+		this.leaseMs = options.leaseMs ?? (() => undefined);
+		this.now = options.now ?? Date.now;
+	}
+
+	acquire(request: SlotRequest): Promise<SlotResult> {
+		if (request.signal?.aborted) {
+			return Promise.resolve({ outcome: "aborted", position: 0, waitedMs: 0 });
+		}
+		const startedAt = this.now();
+		if (!this.keys.has(request.key) && this.hasRoom(request.key)) {
+			return Promise.resolve({
+				outcome: "acquired",
+				slot: this.take(request.key),
+				position: 0,
+				waitedMs: 0,
+			});
+		}
+
+		const state = this.state(request.key);
+		return new Promise((resolve) => {
+			let queuedPosition = 0;
+			const finish = (result: SlotResult) => {
+				clearTimeout(timer);
+				request.signal?.removeEventListener("abort", onAbort);
+				resolve(result);
+			};
+			const leave = (outcome: "timeout" | "aborted") => {
+				state.waiting = state.waiting.filter((entry) => entry !== waiter);
+				finish({ outcome, position: queuedPosition, waitedMs: this.now() - startedAt });
+				this.reorder(state);
+				this.prune(request.key, state);
+			};
+			const onAbort = () => leave("aborted");
+
+			const waiter: Waiter = {
+				request,
+				sequence: this.sequence++,
+				queuedAt: startedAt,
+				position: 0,
+				grant: () =>
+					finish({
+						outcome: "acquired",
+						slot: this.take(request.key),
+						position: queuedPosition,
+						waitedMs: this.now() - startedAt,
+					}),
+			};
+			state.waiting.push(waiter);
+			const timer = setTimeout(() => leave("timeout"), request.timeoutMs);
+			request.signal?.addEventListener("abort", onAbort, { once: true });
+			this.reorder(state);
+			this.watchExpiry(request.key, state);
+			queuedPosition = waiter.position;
+		});
+	}
+
+	status(key: string): LimiterStatus {
+		const state = this.keys.get(key);
+		return {
+			limit: this.limit(),
+			inFlight: this.store.count(key, this.now()),
+			queued: (state?.waiting ?? []).map((waiter) => ({
+				position: waiter.position,
+				priority: waiter.request.priority ?? 0,
+				tool: waiter.request.tool,
+				queuedAt: waiter.queuedAt,
+			})),
+		};
+	}
+
+	/** Ledger listener: free the slot of a task that reached a terminal status */
+	updated(record: TaskRecord): void {
+		if (isTerminalStatus(record.status)) this.finished(record.id);
+	}
+
+	/** Ledger listener: free the slot of a task nobody will see finish */
+	abandoned(record: TaskRecord): void {
+		this.finished(record.id);
+	}
+
+	/** Free the slot of a task that no longer runs, if it holds one */
+	finished(taskId: string): void {
+		const key = this.store.remove(taskId);
+		if (key !== undefined) this.drain(key);
+	}
+
+	private take(key: string): Slot {
+		// Random rather than sequential, as the store may outlive this limiter
+		const id = `slot:${crypto.randomUUID()}`;
+		const leaseMs = this.leaseMs();
+		this.store.add(
+			key,
+			id,
+			leaseMs === undefined ? Number.POSITIVE_INFINITY : this.now() + leaseMs,
+		);
+		let settled = false;
+		return {
+			assign: (taskId) => {
+				if (settled) return;
+				settled = true;
+				this.store.assign(id, taskId);
+			},
+			release: () => {
+				if (settled) return;
+				settled = true;
+				this.store.remove(id);
+				this.drain(key);
+			},
+		};
+	}
+
+	/** Let queued requests through while there is room */
+	private drain(key: string) {
+		const state = this.keys.get(key);
+		if (!state) return;
+		while (state.waiting.length > 0 && this.hasRoom(key)) {
+			state.waiting.shift()?.grant();
+		}
+		this.reorder(state);
+		this.prune(key, state);
+		this.watchExpiry(key, state);
+	}
+
+	/** While requests wait, drain the queue again when the next slot expires */
+	private watchExpiry(key: string, state: KeyState) {
+		clearTimeout(state.expiryTimer);
+		state.expiryTimer = undefined;
+		if (state.waiting.length === 0) return;
+		const expiresAt = this.store.nextExpiry(key);
+		if (!Number.isFinite(expiresAt)) return;
+		state.expiryTimer = setTimeout(() => this.drain(key), Math.max(0, expiresAt - this.now()));
+	}
+
+	private prune(key: string, state: KeyState) {
+		if (state.waiting.length > 0) return;
+		clearTimeout(state.expiryTimer);
+		this.keys.delete(key);
+	}
+
+	/** Sort the queue and tell every request whose position changed */
+	private reorder(state: KeyState) {
+		state.waiting.sort(
+			(a, b) =>
+				(b.request.priority ?? 0) - (a.request.priority ?? 0) || a.sequence - b.sequence,
+		);
+		state.waiting.forEach((waiter, index) => {
+			if (waiter.position === index + 1) return;
+			waiter.position = index + 1;
+			Promise.resolve(
+				waiter.request.onPosition?.(waiter.position, state.waiting.length),
+			).catch(() => {});
+		});
+	}
+
+	private hasRoom(key: string): boolean {
+		const limit = this.limit();
+		return limit === undefined || this.store.count(key, this.now()) < limit;
+	}
+
+	private state(key: string): KeyState {
+		let state = this.keys.get(key);
+		if (!state) {
+			state = { waiting: [] };
+			this.keys.set(key, state);
+		}
+		return state;
+	}
+}
@@ -0,0 +1,111 @@
+/**
+ * Slots handed out and not yet freed, by ID: a placeholder until the slot is assigned, then
+ * the task's ID. Synchronous, so taking a slot cannot interleave with another request.
+ */
+export interface SlotStore {
+	/** Number of slots held for `key` whose lease has not run out by `now` */
+	count(key: string, now: number): number;
+	/** Hold a slot until `expiresAt` (infinite for no lease) */
+	add(key: string, id: string, expiresAt: number): void;
+	/** Rename slot `id` to `taskId` */
+	assign(id: string, taskId: string): void;
+	/** Delete a slot, returning its key if it was held */
+	remove(id: string): string | undefined;
+	/** When the first of `key`'s slots expires; infinite if none do */
+	nextExpiry(key: string): number;
+}
+
+/** Slots of the stdio server, which live as long as the process */
+export class MemorySlotStore implements SlotStore {
+	private readonly slots = new Map<string, { key: string; expiresAt: number }>();
+
+	count(key: string, now: number): number {
+		let count = 0;
+		for (const [id, slot] of this.slots) {
+			if (slot.expiresAt <= now) this.slots.delete(id);
+			else if (slot.key === key) count++;
+		}
+		return count;
+	}
+
+	add(key: string, id: string, expiresAt: number): void {
+		this.slots.set(id, { key, expiresAt });
+	}
+
+	assign(id: string, taskId: string): void {
+		const slot = this.slots.get(id);
+		if (!slot) return;
+		this.slots.delete(id);
+		this.slots.set(taskId, slot);
+	}
+
+	remove(id: string): string | undefined {
+		const slot = this.slots.get(id);
+		this.slots.delete(id);
+		return slot?.key;
+	}
+
+	nextExpiry(key: string): number {
+		let next = Number.POSITIVE_INFINITY;
+		for (const slot of this.slots.values()) {
+			if (slot.key === key) next = Math.min(next, slot.expiresAt);
+		}
+		return next;
+	}
+}
+
+/**
+ * Slots stored in a Durable Object's SQLite database, so a restart does not forget the
+ * tasks in flight.
+ */
+export class SqlSlotStore implements SlotStore {
+	constructor(private readonly sql: SqlStorage) {
+		// SQLite has no infinity, so slots without a lease have a NULL expires_at
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_queue_slots (
+			id TEXT PRIMARY KEY,
+			key TEXT NOT NULL,
+			expires_at INTEGER
+		)`);
+	}
+
+	count(key: string, now: number): number {
+		this.sql.exec("DELETE FROM runway_queue_slots WHERE expires_at <= ?", now);
+		const [row] = this.sql
+			.exec<{ count: number }>(
+				"SELECT COUNT(*) AS count FROM runway_queue_slots WHERE key = ?",
+				key,
+			)
+			.toArray();
+		return row.count;
+	}
+
+	add(key: string, id: string, expiresAt: number): void {
+		this.sql.exec(
+			"INSERT OR REPLACE INTO runway_queue_slots (id, key, expires_at) VALUES (?, ?, ?)",
+			id,
+			key,
+			Number.isFinite(expiresAt) ? expiresAt : null,
+		);
+	}
+
+	assign(id: string, taskId: string): void {
+		this.sql.exec("UPDATE runway_queue_slots SET id = ? WHERE id = ?", taskId, id);
+	}
+
+	remove(id: string): string | undefined {
+		const [row] = this.sql
+			.exec<{ key: string }>("DELETE FROM runway_queue_slots WHERE id = ? RETURNING key", id)
+			.toArray();
+		return row?.key;
+	}
+
+	nextExpiry(key: string): number {
+		const [row] = this.sql
+			.exec<{ next: number | null }>(
+				"SELECT MIN(expires_at) AS next FROM runway_queue_slots WHERE key = ?",
+				key,
+			)
+			.toArray();
+		return row.next ?? Number.POSITIVE_INFINITY;
+	}
+}
@@ -0,0 +1,2 @@
+export { TaskSubscriptions } from "./subscriptions.js";
+export { outputUri, registerTaskResources, taskUri } from "./tasks.js";
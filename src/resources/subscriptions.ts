@@ -0,0 +1,60 @@
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+	SubscribeRequestSchema,
+	UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import type { TaskLedgerListener, TaskRecord } from "../ledger/index.js";
+import { outputUri, taskUri } from "./tasks.js";
+
+/**
+ * Handles resources/subscribe for task resources and turns ledger changes into
+ * `notifications/resources/updated` and `notifications/resources/list_changed`.
+ *
+ * Plug it into an ObservedTaskLedger so changes found by tools and by the background
+ * tracker are both reported. Must be constructed before the server connects.
+ */
+export class TaskSubscriptions implements TaskLedgerListener {
+	private readonly uris = new Set<string>();
+
+	constructor(private readonly server: McpServer) {
+		server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+		server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+			this.uris.add(params.uri);
+			return {};
+		});
+		server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+			this.uris.delete(params.uri);
+			return {};
+		});
+	}
+
+	async created(): Promise<void> {
+		await this.send(() => this.server.server.sendResourceListChanged());
+	}
+
+	async updated(record: TaskRecord, previous: TaskRecord): Promise<void> {
+		const uris = [
+			taskUri(record.id),
+			...record.outputs.map((_, index) => outputUri(record.id, index)),
+		];
+		for (const uri of uris) {
+			if (this.uris.has(uri)) {
+				await this.send(() => this.server.server.sendResourceUpdated({ uri }));
+			}
+		}
+		// New output resources appeared
+		if (record.outputs.length !== previous.outputs.length) {
+			await this.send(() => this.server.server.sendResourceListChanged());
+		}
+	}
+
+	// Notifications are best effort: the client may have disconnected, e.g. when the
+	// Worker's background tracker runs after the session ended
+	private async send(notify: () => Promise<void>) {
+		try {
+			await notify();
+		} catch {
+			// Nobody to tell
+		}
+	}
+}
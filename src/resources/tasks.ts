@@ -0,0 +1,199 @@
+import { type McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+	ErrorCode,
+	McpError,
+	type ReadResourceResult,
+	type Resource,
+} from "@modelcontextprotocol/sdk/types.js";
+import type { TaskRecord } from "../ledger/index.js";
+import type { ToolContext } from "../tools/index.js";
+import { recordContent } from "../tools/results.js";
+
+// MCP resources over the task ledger:
+//   runway://tasks/{id}              task metadata as JSON
+//   runway://tasks/{id}/outputs/{n}  the n-th output (0-based), inline or as a link
+
+/** How many of the most recent tasks resources/list reports */
+const LIST_LIMIT = 100;
+
+const MIME_TYPES: Record<string, string> = {
+	mp4: "video/mp4",
+	webm: "video/webm",
+	mov: "video/quicktime",
+	png: "image/png",
+	jpg: "image/jpeg",
+	jpeg: "image/jpeg",
+	webp: "image/webp",
+	gif: "image/gif",
+};
+
+export function taskUri(taskId: string): string {
+	return `runway://tasks/${encodeURIComponent(taskId)}`;
+}
+
+export function outputUri(taskId: string, index: number): string {
+	return `${taskUri(taskId)}/outputs/${index}`;
+}
+
+function guessMimeType(url: string): string {
+	const extension = new URL(url).pathname.split(".").pop()?.toLowerCase() ?? "";
+	return MIME_TYPES[extension] ?? "application/octet-stream";
+}
+
+function describeRecord(record: TaskRecord): string {
+	const type = record.tool.replace(/^runway_/, "").replace(/_/g, "-");
+	return `${type} ${record.status}${record.prompt ? `: ${record.prompt}` : ""}`;
+}
+
+function variable(value: string | string[]): string {
+	return decodeURIComponent(Array.isArray(value) ? value[0] : value);
+}
+
+// Resource requests carry no API key: they see this session's tasks and those submitted
+// with the server's key
+async function requireRecord(context: ToolContext, taskId: string): Promise<TaskRecord> {
+	const record =
+		(await context.ledger.get(taskId)) ??
+		(await context.ledger.get(taskId, await context.keyScope()));
+	if (!record) {
+		throw new McpError(ErrorCode.InvalidParams, `Unknown task: ${taskId}`);
+	}
+	return record;
+}
+
+async function listRecords(context: ToolContext): Promise<TaskRecord[]> {
+	return (await context.ledger.list({ limit: LIST_LIMIT, keyScope: await context.keyScope() }))
+		.records;
+}
+
+/**
+ * Download an output and base64-encode it, giving up (and returning undefined) once it
+ * exceeds `maxBytes` so large videos are linked instead of buffered.
+ */
+async function downloadOutput(
+	url: string,
+	maxBytes: number,
+): Promise<{ blob: string; mimeType: string } | undefined> {
+	if (maxBytes <= 0) return undefined;
+	const response = await fetch(url);
+	if (!response.ok || !response.body) {
+		throw new McpError(
+			ErrorCode.InternalError,
+			`Could not download ${url} (HTTP ${response.status})`,
+		);
+	}
+	const mimeType = response.headers.get("Content-Type")?.split(";")[0] || guessMimeType(url);
+	if (Number(response.headers.get("Content-Length") ?? 0) > maxBytes) {
+		await response.body.cancel();
+		return undefined;
+	}
+
+	const chunks: Uint8Array[] = [];
+	let size = 0;
+	const reader = response.body.getReader();
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		size += value.byteLength;
+		if (size > maxBytes) {
+			await reader.cancel();
+			return undefined;
+		}
+		chunks.push(value);
+	}
+	return { blob: toBase64(chunks), mimeType };
+}
+
+function toBase64(chunks: Uint8Array[]): string {
+	// btoa works on "binary strings"; build it in slices to stay clear of argument limits
+	let binary = "";
+	for (const chunk of chunks) {
+		for (let offset = 0; offset < chunk.length; offset += 0x8000) {
+			binary += String.fromCharCode(...chunk.subarray(offset, offset + 0x8000));
+		}
+	}
+	return btoa(binary);
+}
+
+/**
+ * Register the task resources on an McpServer. Shared by the Worker and the stdio server.
+ * Template metadata is merged over every listed resource by the SDK, so descriptions are
+ * set per resource instead.
+ */
+export function registerTaskResources(server: McpServer, context: ToolContext) {
+	server.resource(
+		"task",
+		new ResourceTemplate("runway://tasks/{id}", {
+			list: async () => ({
+				resources: (await listRecords(context)).map(
+					(record): Resource => ({
+						uri: taskUri(record.id),
+						name: `Task ${record.id}`,
+						description: describeRecord(record),
+						mimeType: "application/json",
+					}),
+				),
+			}),
+		}),
+		{ mimeType: "application/json" },
+		async (uri, { id }): Promise<ReadResourceResult> => {
+			const record = await requireRecord(context, variable(id));
+			const events = await context.ledger.events(record.id, record.keyScope);
+			const metadata = {
+				...recordContent(record),
+				output_uris: record.outputs.map((_, index) => outputUri(record.id, index)),
+				events: events.map((event) => ({
+					status: event.status,
+					progress: event.progress,
+					at: new Date(event.at).toISOString(),
+				})),
+			};
+			return {
+				contents: [
+					{
+						uri: uri.href,
+						mimeType: "application/json",
+						text: JSON.stringify(metadata, null, 2),
+					},
+				],
+			};
+		},
+	);
+
+	server.resource(
+		"task-output",
+		new ResourceTemplate("runway://tasks/{id}/outputs/{n}", {
+			list: async () => ({
+				resources: (await listRecords(context)).flatMap((record) =>
+					record.outputs.map(
+						(url, index): Resource => ({
+							uri: outputUri(record.id, index),
+							name: `Output ${index} of task ${record.id}`,
+							description: describeRecord(record),
+							mimeType: guessMimeType(url),
+						}),
+					),
+				),
+			}),
+		}),
+		async (uri, { id, n }): Promise<ReadResourceResult> => {
+			const record = await requireRecord(context, variable(id));
+			const index = Number(variable(n));
+			const url = record.outputs[index];
+			if (!Number.isInteger(index) || url === undefined) {
+				throw new McpError(
+					ErrorCode.InvalidParams,
+					record.outputs.length > 0
+						? `Task ${record.id} has ${record.outputs.length} output(s); use an index from 0 to ${record.outputs.length - 1}`
+						: `Task ${record.id} has no outputs (status ${record.status})`,
+				);
+			}
+
+			const media = await downloadOutput(url, context.config.resources.inlineMaxBytes);
+			if (media) {
+				return { contents: [{ uri: uri.href, ...media }] };
+			}
+			return { contents: [{ uri: uri.href, mimeType: "text/uri-list", text: url }] };
+		},
+	);
+}
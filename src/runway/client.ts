@@ -0,0 +1,158 @@
+import type { ZodType, ZodTypeDef } from "zod";
+import { RunwayNetworkError, RunwayResponseError, errorFromResponse } from "./errors.js";
+import {
+	type CreateTaskResponse,
+	CreateTaskResponseSchema,
+	type ImageToVideoRequest,
+	OrganizationSchema,
+	type RunwayOrganization,
+	type RunwayTask,
+	type RunwayUpload,
+	TaskSchema,
+	type TextToImageRequest,
+	type TextToVideoRequest,
+	UploadSchema,
+	type UploadRequest,
+} from "./schemas.js";
+
+export const DEFAULT_RUNWAY_BASE_URL = "https://api.dev.runwayml.com";
+export const DEFAULT_RUNWAY_API_VERSION = "2024-11-06";
+
+export interface RunwayClientOptions {
+	apiKey: string;
+	baseUrl?: string;
+	apiVersion?: string;
+	/** Override the fetch implementation, mainly for tests */
+	fetch?: typeof fetch;
+}
+
+/**
+ * Thin typed wrapper around the RunwayML REST API.
+ *
+ * Every method validates the response body with zod and throws a RunwayError subclass
+ * (see errors.ts) on failure, so callers never deal with raw Response objects.
+ */
+export class RunwayClient {
+	private readonly apiKey: string;
+	private readonly baseUrl: string;
+	private readonly apiVersion: string;
+	private readonly fetchImpl: typeof fetch;
+
+	constructor(options: RunwayClientOptions) {
+		this.apiKey = options.apiKey;
+		this.baseUrl = (options.baseUrl ?? DEFAULT_RUNWAY_BASE_URL).replace(/\/+$/, "");
+		this.apiVersion = options.apiVersion ?? DEFAULT_RUNWAY_API_VERSION;
+		this.fetchImpl = options.fetch ?? ((input, init) => fetch(input, init));
+	}
+
+	createTextToVideo(request: TextToVideoRequest): Promise<CreateTaskResponse> {
+		return this.request("POST", "/v1/text_to_video", CreateTaskResponseSchema, request);
+	}
+
+	createImageToVideo(request: ImageToVideoRequest): Promise<CreateTaskResponse> {
+		return this.request("POST", "/v1/image_to_video", CreateTaskResponseSchema, request);
+	}
+
+	createTextToImage(request: TextToImageRequest): Promise<CreateTaskResponse> {
+		return this.request("POST", "/v1/text_to_image", CreateTaskResponseSchema, request);
+	}
+
+	getTask(taskId: string): Promise<RunwayTask> {
+		return this.request("GET", `/v1/tasks/${encodeURIComponent(taskId)}`, TaskSchema);
+	}
+
+	async cancelTask(taskId: string): Promise<void> {
+		await this.request("POST", `/v1/tasks/${encodeURIComponent(taskId)}/cancel`);
+	}
+
+	async deleteTask(taskId: string): Promise<void> {
+		await this.request("DELETE", `/v1/tasks/${encodeURIComponent(taskId)}`);
+	}
+
+	getOrganization(): Promise<RunwayOrganization> {
+		return this.request("GET", "/v1/organization", OrganizationSchema);
+	}
+
+	createUpload(request: UploadRequest): Promise<RunwayUpload> {
+		return this.request("POST", "/v1/uploads", UploadSchema, {
+			type: "ephemeral",
+			...request,
+		});
+	}
+
+	private async request(method: string, path: string): Promise<void>;
+	private async request<T>(
+		method: string,
+		path: string,
+		schema: ZodType<T, ZodTypeDef, unknown>,
+		body?: unknown,
+	): Promise<T>;
+	private async request<T>(
+		method: string,
+		path: string,
+		schema?: ZodType<T, ZodTypeDef, unknown>,
+		body?: unknown,
+	): Promise<T | undefined> {
+		const headers: Record<string, string> = {
+			Authorization: `Bearer ${this.apiKey}`,
+			"X-Runway-Version": this.apiVersion,
+		};
+		if (body !== undefined) {
+			headers["Content-Type"] = "application/json";
+		}
+
+		let response: Response;
+		try {
+			response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+				method,
+				headers,
+				body: body !== undefined ? JSON.stringify(body) : undefined,
+			});
+		} catch (error) {
+			throw new RunwayNetworkError(
+				`Could not reach RunwayML: ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+
+		const text = await response.text();
+		if (!response.ok) {
+			throw errorFromResponse(response, text);
+		}
+		if (!schema) {
+			return undefined;
+		}
+
+		let json: unknown;
+		try {
+			json = JSON.parse(text);
+		} catch {
+			throw new RunwayResponseError(
+				`RunwayML returned a non-JSON response for ${method} ${path}`,
+				{
+					status: response.status,
+					body: text,
+				},
+			);
+		}
+
+		const parsed = schema.safeParse(json);
+		if (!parsed.success) {
+			throw new RunwayResponseError(
+				`Unexpected RunwayML response for ${method} ${path}: ${parsed.error.issues
+					.map((issue) => `${issue.path.join(".") || "body"}: ${issue.message}`)
+					.join("; ")}`,
+				{ status: response.status, body: text },
+			);
+		}
+		return parsed.data;
+	}
+}
+
+/**
+ * SHA-256 of an API key, in hex. Names per-key state (e.g. Durable Objects) without
+ * storing or sending the key itself.
+ */
+export async function apiKeyFingerprint(apiKey: string): Promise<string> {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(apiKey));
+	return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
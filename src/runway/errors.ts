@@ -0,0 +1,173 @@
+/**
+ * Error hierarchy for RunwayML API calls. Every failure raised by RunwayClient is a RunwayError,
+ * so tools can map it to a user-facing message with `describeRunwayError`, and to a stable
+ * machine-readable `code`.
+ */
+export class RunwayError extends Error {
+	readonly code: string = "RUNWAY_ERROR";
+	/** HTTP status returned by the API, if the request got that far */
+	readonly status?: number;
+	/** Raw response body, useful for debugging upstream messages */
+	readonly body?: string;
+	/** Whether repeating the same request later may succeed */
+	readonly retryable: boolean = false;
+
+	constructor(message: string, options: { status?: number; body?: string } = {}) {
+		super(message);
+		this.name = new.target.name;
+		this.status = options.status;
+		this.body = options.body;
+	}
+}
+
+/** Invalid or revoked API key (401/403) */
+export class RunwayAuthError extends RunwayError {
+	override readonly code: string = "AUTH_REJECTED";
+}
+
+/** No API key was passed and the server has none configured */
+export class RunwayMissingKeyError extends RunwayAuthError {
+	override readonly code = "MISSING_API_KEY";
+}
+
+/** The organization is out of credits or over its spend limit */
+export class RunwayQuotaError extends RunwayError {
+	override readonly code = "INSUFFICIENT_CREDITS";
+}
+
+/** The request was rejected as invalid (400/422) */
+export class RunwayValidationError extends RunwayError {
+	override readonly code = "INVALID_REQUEST";
+}
+
+/** The task or resource does not exist (404) */
+export class RunwayNotFoundError extends RunwayError {
+	override readonly code = "NOT_FOUND";
+}
+
+/** Too many requests (429); `retryAfterMs` is taken from the Retry-After header when present */
+export class RunwayThrottledError extends RunwayError {
+	override readonly code = "THROTTLED";
+	override readonly retryable = true;
+	readonly retryAfterMs?: number;
+
+	constructor(
+		message: string,
+		options: { status?: number; body?: string; retryAfterMs?: number } = {},
+	) {
+		super(message, options);
+		this.retryAfterMs = options.retryAfterMs;
+	}
+}
+
+/** RunwayML returned a 5xx error */
+export class RunwayUpstreamError extends RunwayError {
+	override readonly code = "UPSTREAM_UNAVAILABLE";
+	override readonly retryable = true;
+}
+
+/** The request never got a response (DNS, connection reset, ...) */
+export class RunwayNetworkError extends RunwayError {
+	override readonly code = "NETWORK_ERROR";
+	override readonly retryable = true;
+}
+
+/** The API answered with a body that does not match the expected shape */
+export class RunwayResponseError extends RunwayError {
+	override readonly code = "INVALID_RESPONSE";
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(value: string | null): number | undefined {
+	if (!value) return undefined;
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+	const date = Date.parse(value);
+	if (Number.isNaN(date)) return undefined;
+	return Math.max(0, date - Date.now());
+}
+
+/** Structured error codes RunwayML uses for an organization out of credits */
+const QUOTA_ERROR_CODES = new Set(["INSUFFICIENT_CREDITS", "NOT_ENOUGH_CREDITS", "QUOTA_EXCEEDED"]);
+
+/**
+ * Build the matching RunwayError subclass for a non-2xx response.
+ */
+export function errorFromResponse(response: Response, body: string): RunwayError {
+	const { status } = response;
+	const { detail, code } = extractErrorDetail(body);
+	const message = `RunwayML API error (${status}): ${detail}`;
+
+	if (status === 401 || status === 403) {
+		return new RunwayAuthError(message, { status, body });
+	}
+	if (status === 429) {
+		return new RunwayThrottledError(message, {
+			status,
+			body,
+			retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+		});
+	}
+	if (status >= 500) {
+		return new RunwayUpstreamError(message, { status, body });
+	}
+	// Running out of credits is reported as 402, or as a 4xx with a quota error code
+	if (status === 402 || (code !== undefined && QUOTA_ERROR_CODES.has(code.toUpperCase()))) {
+		return new RunwayQuotaError(message, { status, body });
+	}
+	if (status === 404) {
+		return new RunwayNotFoundError(message, { status, body });
+	}
+	if (status === 400 || status === 422) {
+		return new RunwayValidationError(message, { status, body });
+	}
+	return new RunwayError(message, { status, body });
+}
+
+/** Human-readable message and, when the body has one, the structured error code */
+function extractErrorDetail(body: string): { detail: string; code?: string } {
+	try {
+		const parsed = JSON.parse(body);
+		const code = typeof parsed?.code === "string" ? parsed.code : undefined;
+		if (typeof parsed?.error === "string") return { detail: parsed.error, code };
+		if (typeof parsed?.message === "string") return { detail: parsed.message, code };
+		if (code) return { detail: body, code };
+	} catch {
+		// Not JSON, fall through to the raw body
+	}
+	return { detail: body || "No response body" };
+}
+
+/**
+ * Turn any error thrown while talking to RunwayML into a message suitable for an end user.
+ */
+export function describeRunwayError(error: unknown): string {
+	if (error instanceof RunwayMissingKeyError) {
+		return `${error.message}\n\nGet your API key from: https://dev.runwayml.com`;
+	}
+	if (error instanceof RunwayAuthError) {
+		return `RunwayML rejected the API key. Check that RUNWAYML_API_KEY is set and valid.\n\nGet your API key from: https://dev.runwayml.com\n\nDetails: ${error.message}`;
+	}
+	if (error instanceof RunwayQuotaError) {
+		return `Your RunwayML organization does not have enough credits for this request.\n\nDetails: ${error.message}`;
+	}
+	if (error instanceof RunwayValidationError) {
+		return `RunwayML rejected the request parameters.\n\nDetails: ${error.message}`;
+	}
+	if (error instanceof RunwayNotFoundError) {
+		return `RunwayML could not find the requested task.\n\nDetails: ${error.message}`;
+	}
+	if (error instanceof RunwayThrottledError) {
+		const wait =
+			error.retryAfterMs !== undefined
+				? ` Retry in ${Math.ceil(error.retryAfterMs / 1000)} seconds.`
+				: "";
+		return `RunwayML is throttling requests.${wait}\n\nDetails: ${error.message}`;
+	}
+	if (error instanceof RunwayUpstreamError || error instanceof RunwayNetworkError) {
+		return `RunwayML is temporarily unavailable. Please try again shortly.\n\nDetails: ${error.message}`;
+	}
+	return error instanceof Error ? error.message : String(error);
+}
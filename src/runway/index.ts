@@ -0,0 +1,5 @@
+export * from "./client.js";
+export * from "./errors.js";
+export * from "./polling.js";
+export * from "./pricing.js";
+export * from "./schemas.js";
@@ -0,0 +1,158 @@
+import type { RunwayClient } from "./client.js";
+import { RunwayError, RunwayThrottledError } from "./errors.js";
+import { type RunwayTask, isTerminalStatus } from "./schemas.js";
+
+export interface PollOptions {
+	/** Give up (outcome "timeout") after this long */
+	timeoutMs: number;
+	/** Delay before the second status check; grows by `backoffFactor` on every attempt */
+	initialDelayMs?: number;
+	maxDelayMs?: number;
+	backoffFactor?: number;
+	/** Randomize each delay by ±jitter (0.2 = ±20%) so parallel pollers don't align */
+	jitter?: number;
+	/** Minimum delay while Runway reports the task as THROTTLED (queued behind other tasks) */
+	throttledDelayMs?: number;
+	/** Consecutive retryable errors (network, 5xx, 429) tolerated before giving up */
+	maxTransientErrors?: number;
+	signal?: AbortSignal;
+	/** Called with every status fetched, including the terminal one */
+	onUpdate?: (task: RunwayTask, attempt: number) => void | Promise<void>;
+	/** Injection points for tests */
+	sleep?: (ms: number, signal?: AbortSignal) => Promise<void>;
+	random?: () => number;
+	now?: () => number;
+}
+
+export const DEFAULT_POLL_OPTIONS = {
+	initialDelayMs: 2_000,
+	maxDelayMs: 15_000,
+	backoffFactor: 1.5,
+	jitter: 0.2,
+	throttledDelayMs: 10_000,
+	maxTransientErrors: 5,
+} as const;
+
+interface PollStats {
+	attempts: number;
+	elapsedMs: number;
+	/** Last status seen, if any request succeeded */
+	task?: RunwayTask;
+}
+
+export type PollResult =
+	| (PollStats & { outcome: "completed"; task: RunwayTask })
+	| (PollStats & { outcome: "timeout" })
+	| (PollStats & { outcome: "aborted" })
+	| (PollStats & { outcome: "error"; error: RunwayError });
+
+/**
+ * Wait for `ms` milliseconds, rejecting early if the signal aborts.
+ */
+export function abortableSleep(ms: number, signal?: AbortSignal): Promise<void> {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal?.reason);
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener("abort", onAbort, { once: true });
+	});
+}
+
+/**
+ * Poll a RunwayML task until it reaches a terminal state (SUCCEEDED, FAILED, CANCELLED),
+ * the timeout elapses, the signal aborts or a non-retryable error occurs.
+ *
+ * Never throws: every way the loop can end is reported as a PollResult.
+ */
+export async function pollTask(
+	client: Pick<RunwayClient, "getTask">,
+	taskId: string,
+	options: PollOptions,
+): Promise<PollResult> {
+	const config = { ...DEFAULT_POLL_OPTIONS, ...stripUndefined(options) };
+	const sleep = options.sleep ?? abortableSleep;
+	const random = options.random ?? Math.random;
+	const now = options.now ?? Date.now;
+	const { signal } = options;
+
+	const startedAt = now();
+	const deadline = startedAt + options.timeoutMs;
+	let attempts = 0;
+	let transientErrors = 0;
+	let delay = config.initialDelayMs;
+	let task: RunwayTask | undefined;
+
+	const stats = () => ({ attempts, elapsedMs: now() - startedAt, task });
+
+	while (true) {
+		if (signal?.aborted) {
+			return { outcome: "aborted", ...stats() };
+		}
+
+		attempts++;
+		let wait: number;
+		try {
+			task = await client.getTask(taskId);
+			transientErrors = 0;
+			await options.onUpdate?.(task, attempts);
+
+			if (isTerminalStatus(task.status)) {
+				return { outcome: "completed", ...stats(), task };
+			}
+
+			wait = withJitter(delay, config.jitter, random);
+			if (task.status === "THROTTLED") {
+				wait = Math.max(wait, config.throttledDelayMs);
+			}
+			delay = Math.min(delay * config.backoffFactor, config.maxDelayMs);
+		} catch (error) {
+			const runwayError =
+				error instanceof RunwayError
+					? error
+					: new RunwayError(error instanceof Error ? error.message : String(error));
+			transientErrors++;
+			if (!runwayError.retryable || transientErrors > config.maxTransientErrors) {
+				return { outcome: "error", ...stats(), error: runwayError };
+			}
+
+			wait = withJitter(delay, config.jitter, random);
+			if (
+				runwayError instanceof RunwayThrottledError &&
+				runwayError.retryAfterMs !== undefined
+			) {
+				wait = runwayError.retryAfterMs;
+			}
+			delay = Math.min(delay * config.backoffFactor, config.maxDelayMs);
+		}
+
+		const remaining = deadline - now();
+		if (remaining <= 0) {
+			return { outcome: "timeout", ...stats() };
+		}
+
+		try {
+			await sleep(Math.min(wait, remaining), signal);
+		} catch {
+			return { outcome: "aborted", ...stats() };
+		}
+	}
+}
+
+function withJitter(delay: number, jitter: number, random: () => number): number {
+	return Math.max(0, Math.round(delay * (1 + (random() * 2 - 1) * jitter)));
+}
+
+function stripUndefined<T extends object>(value: T): Partial<T> {
+	return Object.fromEntries(
+		Object.entries(value).filter(([, entry]) => entry !== undefined),
+	) as Partial<T>;
+}
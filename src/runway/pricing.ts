@@ -0,0 +1,35 @@
+import type { ImageModel, ImageRatio, VideoModel } from "./schemas.js";
+
+// Published RunwayML credit prices. The API does not report what a task cost, so these
+// are used to estimate spend up front and to record it in the task ledger. Update them,
+// and PRICES_AS_OF, when https://docs.dev.runwayml.com/guides/pricing changes.
+
+/** When the prices below were last checked against RunwayML's pricing page */
+export const PRICES_AS_OF = "2025-06-01";
+
+/** Price of one API credit in US dollars */
+export const USD_PER_CREDIT = 0.01;
+
+/** Credits per second of generated video */
+export const VIDEO_CREDITS_PER_SECOND: Record<VideoModel, number> = {
+	gen4_turbo: 5,
+	gen3a_turbo: 5,
+};
+
+/** Credits per generated image, by output resolution */
+export const IMAGE_CREDITS: Record<ImageModel, { "720p": number; "1080p": number }> = {
+	gen4_image: { "720p": 5, "1080p": 8 },
+};
+
+export function estimateVideoCredits(model: VideoModel, durationSeconds: number): number {
+	return VIDEO_CREDITS_PER_SECOND[model] * durationSeconds;
+}
+
+export function estimateImageCredits(model: ImageModel, ratio: ImageRatio): number {
+	const is1080p = ratio.split(":").some((side) => Number(side) >= 1080);
+	return IMAGE_CREDITS[model][is1080p ? "1080p" : "720p"];
+}
+
+export function creditsToUsd(credits: number): number {
+	return Math.round(credits * USD_PER_CREDIT * 100) / 100;
+}
@@ -0,0 +1,146 @@
+import { z } from "zod";
+
+// Zod schemas for the RunwayML API responses we consume. Upstream JSON is validated
+// against these instead of being cast, so shape changes surface as RunwayResponseError.
+
+export const TASK_STATUSES = [
+	"PENDING",
+	"THROTTLED",
+	"RUNNING",
+	"SUCCEEDED",
+	"FAILED",
+	"CANCELLED",
+] as const;
+
+export type TaskStatus = (typeof TASK_STATUSES)[number];
+
+export const TERMINAL_STATUSES: readonly TaskStatus[] = ["SUCCEEDED", "FAILED", "CANCELLED"];
+
+export function isTerminalStatus(status: TaskStatus): boolean {
+	return TERMINAL_STATUSES.includes(status);
+}
+
+export const TaskSchema = z
+	.object({
+		id: z.string(),
+		status: z.enum(TASK_STATUSES),
+		createdAt: z.string().optional(),
+		// Fraction between 0 and 1, only reported while RUNNING
+		progress: z.number().nullish(),
+		// Older responses returned a single URL; normalize to a list
+		output: z
+			.union([z.array(z.string()), z.string()])
+			.nullish()
+			.transform((output) =>
+				output == null ? [] : Array.isArray(output) ? output : [output],
+			),
+		failure: z.string().nullish(),
+		failureCode: z.string().nullish(),
+	})
+	.passthrough();
+
+export type RunwayTask = z.infer<typeof TaskSchema>;
+
+export const CreateTaskResponseSchema = z.object({ id: z.string() }).passthrough();
+
+export type CreateTaskResponse = z.infer<typeof CreateTaskResponseSchema>;
+
+export const OrganizationSchema = z
+	.object({
+		creditBalance: z.number().optional(),
+		tier: z
+			.object({
+				maxMonthlyCreditSpend: z.number().optional(),
+				models: z
+					.record(
+						z
+							.object({
+								maxConcurrentGenerations: z.number().optional(),
+								maxDailyGenerations: z.number().optional(),
+							})
+							.passthrough(),
+					)
+					.optional(),
+			})
+			.passthrough()
+			.optional(),
+		usage: z
+			.object({
+				models: z
+					.record(z.object({ dailyGenerations: z.number().optional() }).passthrough())
+					.optional(),
+			})
+			.passthrough()
+			.optional(),
+	})
+	.passthrough();
+
+export type RunwayOrganization = z.infer<typeof OrganizationSchema>;
+
+export const UploadSchema = z
+	.object({
+		uploadUrl: z.string(),
+		fields: z.record(z.string()),
+		runwayUri: z.string(),
+	})
+	.passthrough();
+
+export type RunwayUpload = z.infer<typeof UploadSchema>;
+
+// Request bodies
+
+export const VIDEO_MODELS = ["gen4_turbo", "gen3a_turbo"] as const;
+export const VIDEO_RATIOS = ["1280:720", "1920:1080", "720:1280", "1080:1920"] as const;
+export const IMAGE_MODELS = ["gen4_image"] as const;
+export const IMAGE_RATIOS = [
+	"720:720",
+	"1920:1080",
+	"1080:1920",
+	"1280:720",
+	"720:1280",
+	"1024:1024",
+] as const;
+
+/** Largest seed RunwayML accepts; seeds are integers from 0 */
+export const MAX_SEED = 4294967295;
+
+export type VideoModel = (typeof VIDEO_MODELS)[number];
+export type VideoRatio = (typeof VIDEO_RATIOS)[number];
+export type ImageModel = (typeof IMAGE_MODELS)[number];
+export type ImageRatio = (typeof IMAGE_RATIOS)[number];
+
+export interface TextToVideoRequest {
+	promptText: string;
+	model: VideoModel;
+	duration: number;
+	ratio: VideoRatio;
+	/** Same seed and parameters give the same result; RunwayML picks one when omitted */
+	seed?: number;
+}
+
+export interface ImageToVideoRequest {
+	promptImage: string;
+	promptText?: string;
+	model: VideoModel;
+	duration: number;
+	ratio: VideoRatio;
+	seed?: number;
+}
+
+export interface ReferenceImage {
+	uri: string;
+	tag?: string;
+}
+
+export interface TextToImageRequest {
+	promptText: string;
+	model: ImageModel;
+	ratio: ImageRatio;
+	referenceImages?: ReferenceImage[];
+	seed?: number;
+}
+
+export interface UploadRequest {
+	filename: string;
+	type?: "ephemeral";
+}
@@ -0,0 +1,2 @@
+export * from "./shots.js";
+export * from "./store.js";
@@ -0,0 +1,42 @@
+import type { TaskRecord } from "../ledger/index.js";
+import type { Shot } from "./store.js";
+
+export const SHOT_STATUSES = [
+	"not_rendered",
+	"rendering",
+	"succeeded",
+	"failed",
+	"cancelled",
+] as const;
+
+export type ShotStatus = (typeof SHOT_STATUSES)[number];
+
+/**
+ * Status of a shot's latest render, from the ledger records of its keyframe and video
+ * tasks. The video decides once it exists; until then the keyframe, or the failure that
+ * stopped the render before any task was created. A render that has not created its
+ * keyframe yet counts as rendering until its claim lapses.
+ */
+export function shotStatus(
+	shot: Shot,
+	keyframe?: TaskRecord,
+	video?: TaskRecord,
+	now = Date.now(),
+): ShotStatus {
+	if (video) {
+		switch (video.status) {
+			case "SUCCEEDED":
+				return "succeeded";
+			case "FAILED":
+				return "failed";
+			case "CANCELLED":
+				return "cancelled";
+			default:
+				return "rendering";
+		}
+	}
+	if (keyframe?.status === "CANCELLED") return "cancelled";
+	if (keyframe?.status === "FAILED" || shot.failure) return "failed";
+	if (shot.keyframeTaskId || (shot.renderingUntil ?? 0) > now) return "rendering";
+	return "not_rendered";
+}
@@ -0,0 +1,179 @@
+import type { ImageModel, ReferenceImage, VideoModel, VideoRatio } from "../runway/index.js";
+
+/** One shot of a storyboard. Shots are numbered by their position, from 1. */
+export interface Shot {
+	/** What the shot's keyframe shows */
+	prompt: string;
+	/** How the keyframe moves; the keyframe prompt is used when absent */
+	motion?: string;
+	/** Seconds */
+	duration: number;
+	/** Overrides the storyboard's ratio */
+	ratio?: VideoRatio;
+	/** Overrides the storyboard's seed, e.g. after re-rendering with a new seed */
+	seed?: number;
+	/**
+	 * Tasks of the latest render, saved as soon as each exists; their status and outputs are
+	 * read from the ledger
+	 */
+	keyframeTaskId?: string;
+	videoTaskId?: string;
+	/**
+	 * Set while a render waits to create the keyframe, so other renders skip the shot. It
+	 * lapses at this time in case the render never finishes.
+	 */
+	renderingUntil?: number;
+	/** Why the latest render failed, if it did */
+	failure?: string;
+	renderedAt?: number;
+}
+
+/**
+ * A sequence of shots rendered with shared references and settings, so characters and style
+ * stay consistent from shot to shot. Timestamps are epoch milliseconds.
+ */
+export interface Storyboard {
+	id: string;
+	title: string;
+	/** Appended to every shot's prompts */
+	style?: string;
+	ratio: VideoRatio;
+	imageModel: ImageModel;
+	videoModel: VideoModel;
+	/** Shared by every shot unless the shot has its own */
+	seed: number;
+	/** Passed to every keyframe; tags can be used in shot prompts as @tag */
+	referenceImages: ReferenceImage[];
+	shots: Shot[];
+	createdAt: number;
+	updatedAt: number;
+}
+
+/**
+ * Storyboards of a session. The Worker keeps them in the Durable Object's SQLite storage,
+ * next to the task ledger; the stdio server keeps them in memory.
+ */
+export interface StoryboardStore {
+	get(id: string): Promise<Storyboard | undefined>;
+	/** Insert a storyboard, or replace the one with the same ID */
+	put(storyboard: Storyboard): Promise<void>;
+	/**
+	 * Replace shot `index` (from 0) with `update(shot)` without interleaving with other
+	 * writes, so renders of other shots are kept. `update` returns undefined to leave the
+	 * shot alone. Resolves to the new shot, or undefined if nothing changed.
+	 */
+	updateShot(
+		id: string,
+		index: number,
+		update: (shot: Shot) => Shot | undefined,
+	): Promise<Shot | undefined>;
+	/** Newest first */
+	list(): Promise<Storyboard[]>;
+}
+
+/**
+ * In-process storyboards for the stdio server. They last as long as the process.
+ */
+export class MemoryStoryboardStore implements StoryboardStore {
+	private readonly storyboards = new Map<string, Storyboard>();
+
+	async get(id: string): Promise<Storyboard | undefined> {
+		const storyboard = this.storyboards.get(id);
+		return storyboard && structuredClone(storyboard);
+	}
+
+	async put(storyboard: Storyboard): Promise<void> {
+		this.storyboards.set(storyboard.id, structuredClone(storyboard));
+	}
+
+	async updateShot(
+		id: string,
+		index: number,
+		update: (shot: Shot) => Shot | undefined,
+	): Promise<Shot | undefined> {
+		const storyboard = this.storyboards.get(id);
+		return storyboard && replaceShot(storyboard, index, update);
+	}
+
+	async list(): Promise<Storyboard[]> {
+		return [...this.storyboards.values()]
+			.sort((a, b) => b.createdAt - a.createdAt)
+			.map((storyboard) => structuredClone(storyboard));
+	}
+}
+
+/** Apply `update` to a shot in place, stamping the storyboard's updatedAt */
+function replaceShot(
+	storyboard: Storyboard,
+	index: number,
+	update: (shot: Shot) => Shot | undefined,
+): Shot | undefined {
+	const shot = storyboard.shots[index];
+	const updated = shot && update(structuredClone(shot));
+	if (!updated) return undefined;
+	storyboard.shots[index] = updated;
+	storyboard.updatedAt = Date.now();
+	return structuredClone(updated);
+}
+
+type StoryboardRow = {
+	id: string;
+	data: string;
+};
+
+/**
+ * Storyboards stored in a Durable Object's SQLite database, one JSON document per row.
+ */
+export class SqlStoryboardStore implements StoryboardStore {
+	constructor(private readonly sql: SqlStorage) {
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_storyboards (
+			id TEXT PRIMARY KEY,
+			data TEXT NOT NULL,
+			created_at INTEGER NOT NULL,
+			updated_at INTEGER NOT NULL
+		)`);
+	}
+
+	async get(id: string): Promise<Storyboard | undefined> {
+		const [row] = this.sql
+			.exec<StoryboardRow>("SELECT id, data FROM runway_storyboards WHERE id = ?", id)
+			.toArray();
+		return row && JSON.parse(row.data);
+	}
+
+	async put(storyboard: Storyboard): Promise<void> {
+		this.sql.exec(
+			`INSERT OR REPLACE INTO runway_storyboards (id, data, created_at, updated_at)
+				VALUES (?, ?, ?, ?)`,
+			storyboard.id,
+			JSON.stringify(storyboard),
+			storyboard.createdAt,
+			storyboard.updatedAt,
+		);
+	}
+
+	async updateShot(
+		id: string,
+		index: number,
+		update: (shot: Shot) => Shot | undefined,
+	): Promise<Shot | undefined> {
+		// SqlStorage calls are synchronous, so nothing runs between the read and the write
+		const [row] = this.sql
+			.exec<StoryboardRow>("SELECT id, data FROM runway_storyboards WHERE id = ?", id)
+			.toArray();
+		if (!row) return undefined;
+		const storyboard: Storyboard = JSON.parse(row.data);
+		const updated = replaceShot(storyboard, index, update);
+		if (updated) await this.put(storyboard);
+		return updated;
+	}
+
+	async list(): Promise<Storyboard[]> {
+		return this.sql
+			.exec<StoryboardRow>(
+				"SELECT id, data FROM runway_storyboards ORDER BY created_at DESC, id",
+			)
+			.toArray()
+			.map((row) => JSON.parse(row.data));
+	}
+}
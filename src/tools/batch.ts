@@ -0,0 +1,235 @@
+import { z } from "zod";
+import type { TaskType } from "./history.js";
+import {
+	type ToolCall,
+	type ToolContext,
+	defineTool,
+	errorResult,
+	textResult,
+} from "./registry.js";
+import {
+	type TaskResult,
+	type ToolError,
+	batchResultShape,
+	errorContent,
+	taskContent,
+} from "./results.js";
+import {
+	type Generation,
+	createAndPoll,
+	generationOptionsShape,
+	imageToVideoGeneration,
+	imageToVideoShape,
+	textToImageGeneration,
+	textToImageShape,
+	textToVideoGeneration,
+	textToVideoShape,
+} from "./runway.js";
+
+export const MAX_BATCH_ITEMS = 50;
+
+/** Parameters of one generation of each type, as accepted by the matching tool */
+export const GENERATION_SHAPES = {
+	text_to_video: textToVideoShape,
+	image_to_video: imageToVideoShape,
+	text_to_image: textToImageShape,
+} satisfies Record<TaskType, z.ZodRawShape>;
+
+export const batchItemSchema = z.discriminatedUnion("type", [
+	z.object({ type: z.literal("text_to_video"), ...textToVideoShape }),
+	z.object({ type: z.literal("image_to_video"), ...imageToVideoShape }),
+	z.object({ type: z.literal("text_to_image"), ...textToImageShape }),
+]);
+
+export type BatchItem = z.infer<typeof batchItemSchema>;
+
+/** e.g. "duration: Number must be less than or equal to 10; prompt: Required" */
+export function describeIssues(error: z.ZodError): string {
+	return error.issues
+		.map((issue) => `${issue.path.join(".") || "request"}: ${issue.message}`)
+		.join("; ");
+}
+
+export type BatchItemResult = TaskResult & { index: number; type: TaskType };
+
+export interface BatchSummary {
+	total: number;
+	succeeded: number;
+	failed: number;
+	pending: number;
+}
+
+export function generationFor(item: BatchItem, defaultSeed?: number): Generation {
+	switch (item.type) {
+		case "text_to_video":
+			return textToVideoGeneration(item, defaultSeed);
+		case "image_to_video":
+			return imageToVideoGeneration(item, defaultSeed);
+		case "text_to_image":
+			return textToImageGeneration(item, defaultSeed);
+	}
+}
+
+/**
+ * Per-item view of the batch call. Items share the batch's cancellation signal, and their
+ * progress is combined into a single, never decreasing, percentage for the whole batch.
+ */
+export function itemCalls(call: ToolCall, count: number) {
+	const fractions = new Array<number>(count).fill(0);
+	let finished = 0;
+	let reported = 0;
+	const report = (message: string) => {
+		const total = fractions.reduce((sum, fraction) => sum + fraction, 0);
+		reported = Math.max(reported, Math.round((total / count) * 100));
+		return call.reportProgress({
+			progress: reported,
+			total: 100,
+			message: `${finished}/${count} items finished. ${message}`,
+		});
+	};
+	return {
+		call: (index: number): ToolCall => ({
+			signal: call.signal,
+			reportProgress: ({ progress, total, message }) => {
+				fractions[index] = Math.max(fractions[index], total ? progress / total : 0);
+				return report(`Item ${index + 1}: ${message ?? `${progress}`}`);
+			},
+		}),
+		finished: (index: number) => {
+			finished++;
+			fractions[index] = 1;
+			return report(`Item ${index + 1} done.`);
+		},
+	};
+}
+
+/**
+ * Submit and (optionally) poll every item in parallel. Items are independent: one that
+ * fails is reported in its result and does not affect the others.
+ */
+export async function runBatch(
+	items: BatchItem[],
+	context: ToolContext,
+	call: ToolCall,
+	options: {
+		apiKey?: string;
+		/** Item n gets the key `<key>#n` */
+		idempotencyKey?: string;
+		/** Seed for items that give none, instead of a random one each */
+		seed?: number;
+		priority: number;
+		autoPoll: boolean;
+		maxWaitSeconds: number;
+	},
+): Promise<{ results: BatchItemResult[]; summary: BatchSummary }> {
+	const { seed, ...submission } = options;
+	const progress = itemCalls(call, items.length);
+	const results = await Promise.all(
+		items.map(async (item, index): Promise<BatchItemResult> => {
+			const generation = generationFor(item, seed);
+			let result: TaskResult;
+			try {
+				const created = await createAndPoll({
+					...generation,
+					...submission,
+					context,
+					call: progress.call(index),
+					// Each item gets its own key, so repeating the batch reuses every task
+					idempotencyKey:
+						options.idempotencyKey && `${options.idempotencyKey}#${index + 1}`,
+				});
+				result = created.structuredContent as TaskResult;
+			} catch (error) {
+				// Anything createAndPoll does not report, e.g. a failed ledger write, only fails
+				// this item
+				result = taskContent({
+					model: generation.model,
+					prompt: generation.prompt,
+					error: errorContent(error),
+				});
+			} finally {
+				await progress.finished(index);
+			}
+			return { index: index + 1, type: item.type, ...result };
+		}),
+	);
+
+	const summary = {
+		total: results.length,
+		succeeded: results.filter((item) => item.status === "SUCCEEDED").length,
+		failed: results.filter((item) => item.error).length,
+		pending: results.filter((item) => !item.error && item.status !== "SUCCEEDED").length,
+	};
+	return { results, summary };
+}
+
+/** e.g. "3 succeeded, 1 failed, 2 pending" */
+export function summaryText(summary: BatchSummary): string {
+	const parts = [`${summary.succeeded} succeeded`, `${summary.failed} failed`];
+	if (summary.pending > 0) parts.push(`${summary.pending} pending`);
+	return parts.join(", ");
+}
+
+/** The error of the whole call, which only fails when every item did */
+export function allFailedError(
+	results: BatchItemResult[],
+	summary: BatchSummary,
+): ToolError | undefined {
+	const [first] = results;
+	if (summary.failed < summary.total || !first?.error) return undefined;
+	return {
+		...first.error,
+		message: `All ${summary.total} items failed. Item 1: ${first.error.message}`,
+	};
+}
+
+function formatReport(items: BatchItemResult[]): string {
+	const rows = items.map((item) => {
+		const detail = item.error
+			? `${item.error.code}: ${item.error.message}`
+			: item.outputs.length > 0
+				? item.outputs.join(" ")
+				: "";
+		return `| ${item.index} | ${item.type} | ${item.status ?? (item.task_id ? "PENDING" : "—")} | ${item.task_id ?? "—"} | ${detail.replace(/\s+/g, " ").replace(/\|/g, "\\|")} |`;
+	});
+	return ["| # | Type | Status | Task ID | Result |", "|---|---|---|---|---|", ...rows].join(
+		"\n",
+	);
+}
+
+// Submit several generations in one call and report on each of them
+export const batchGenerateTool = defineTool({
+	name: "runway_batch_generate",
+	description: `Run up to ${MAX_BATCH_ITEMS} RunwayML generations (text-to-image, text-to-video, image-to-video, mixed) in one call. Items are submitted in parallel within the server's concurrency limit, polled together, and reported one by one; a failed item does not stop the others.`,
+	inputSchema: {
+		items: z
+			.array(batchItemSchema)
+			.min(1)
+			.max(MAX_BATCH_ITEMS)
+			.describe(
+				"Generations to run. Each item has a `type` (text_to_video, image_to_video, text_to_image) and the parameters of the matching generation tool",
+			),
+		...generationOptionsShape,
+	},
+	outputSchema: batchResultShape,
+	handler: async (
+		{ items, auto_poll, max_wait_seconds, idempotency_key, priority, api_key },
+		context,
+		call,
+	) => {
+		const { results, summary } = await runBatch(items, context, call, {
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		});
+		const text = `Batch of ${summary.total}: ${summaryText(summary)}.\n\n${formatReport(results)}`;
+		const error = allFailedError(results, summary);
+		return error
+			? errorResult(text, { items: results, summary, error })
+			: textResult(text, { items: results, summary });
+	},
+});
+
+export const batchTools = [batchGenerateTool];
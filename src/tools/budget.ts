@@ -0,0 +1,56 @@
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { budgetResultShape, errorContent } from "./results.js";
+
+// Remaining credit budgets, so an agent can plan before it is refused
+export const getBudgetTool = defineTool({
+	name: "runway_get_budget",
+	description:
+		"Show the credit budgets this server enforces (per session, per day and per deployment): limits, estimated credits spent and what remains",
+	inputSchema: {},
+	outputSchema: budgetResultShape,
+	handler: async (_args, context) => {
+		if (!context.budget) {
+			return textResult("No credit budgets are enforced by this server.", { scopes: [] });
+		}
+
+		let scopes: Awaited<ReturnType<typeof context.budget.status>>;
+		try {
+			scopes = await context.budget.status();
+		} catch (error) {
+			const content = errorContent(error);
+			return errorResult(`Error reading credit budgets: ${content.message}`, {
+				scopes: [],
+				error: content,
+			});
+		}
+
+		const rows = scopes.map((scope) => {
+			const resets =
+				scope.resetsAt !== undefined
+					? ` (resets ${new Date(scope.resetsAt).toISOString()})`
+					: "";
+			return `| ${scope.scope} | ${scope.limit ?? "unlimited"} | ${scope.spent} | ${scope.remaining ?? "unlimited"}${resets} |`;
+		});
+		const text = [
+			"Credit budgets (spend is estimated when tasks are submitted):",
+			"",
+			"| Scope | Limit | Spent | Remaining |",
+			"|---|---|---|---|",
+			...rows,
+		].join("\n");
+		return textResult(text, {
+			scopes: scopes.map((scope) => ({
+				scope: scope.scope,
+				limit: scope.limit,
+				spent: scope.spent,
+				remaining: scope.remaining,
+				resets_at:
+					scope.resetsAt === undefined
+						? undefined
+						: new Date(scope.resetsAt).toISOString(),
+			})),
+		});
+	},
+});
+
+export const budgetTools = [getBudgetTool];
@@ -0,0 +1,56 @@
+import { z } from "zod";
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { errorShape, toolError } from "./results.js";
+
+const calculationResultShape = {
+	result: z.number().optional(),
+	error: errorShape,
+};
+
+// Simple addition tool
+export const addTool = defineTool({
+	name: "add",
+	description: "Add two numbers",
+	inputSchema: { a: z.number(), b: z.number() },
+	outputSchema: calculationResultShape,
+	handler: async ({ a, b }) => textResult(String(a + b), { result: a + b }),
+});
+
+// Calculator tool with multiple operations
+export const calculateTool = defineTool({
+	name: "calculate",
+	description:
+		"Perform a basic arithmetic operation (add, subtract, multiply, divide) on two numbers",
+	inputSchema: {
+		operation: z.enum(["add", "subtract", "multiply", "divide"]),
+		a: z.number(),
+		b: z.number(),
+	},
+	outputSchema: calculationResultShape,
+	handler: async ({ operation, a, b }) => {
+		let result: number;
+		switch (operation) {
+			case "add":
+				result = a + b;
+				break;
+			case "subtract":
+				result = a - b;
+				break;
+			case "multiply":
+				result = a * b;
+				break;
+			case "divide":
+				if (b === 0) {
+					const message = "Error: Cannot divide by zero";
+					return errorResult(message, {
+						error: toolError("DIVIDE_BY_ZERO", "user_input", message),
+					});
+				}
+				result = a / b;
+				break;
+		}
+		return textResult(String(result), { result });
+	},
+});
+
+export const calculatorTools = [addTool, calculateTool];
@@ -0,0 +1,158 @@
+import { z } from "zod";
+import {
+	IMAGE_MODELS,
+	IMAGE_RATIOS,
+	type ImageModel,
+	type ImageRatio,
+	PRICES_AS_OF,
+	RunwayMissingKeyError,
+	USD_PER_CREDIT,
+	VIDEO_MODELS,
+	VIDEO_RATIOS,
+	type VideoModel,
+	creditsToUsd,
+	describeRunwayError,
+	estimateImageCredits,
+	estimateVideoCredits,
+} from "../runway/index.js";
+import { TASK_TYPES, type TaskType } from "./history.js";
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { estimateResultShape, toolError } from "./results.js";
+
+const DEFAULT_MODELS: Record<TaskType, string> = {
+	text_to_video: "gen4_turbo",
+	image_to_video: "gen4_turbo",
+	text_to_image: "gen4_image",
+};
+
+const DEFAULT_RATIOS: Record<TaskType, string> = {
+	text_to_video: "1280:720",
+	image_to_video: "1280:720",
+	text_to_image: "720:720",
+};
+
+function formatUsd(amount: number): string {
+	return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Credits for one generation, or a message explaining why the combination is invalid.
+ */
+function creditsPerGeneration(
+	type: TaskType,
+	model: string,
+	ratio: string,
+	duration: number,
+): number | string {
+	if (type === "text_to_image") {
+		if (!(IMAGE_MODELS as readonly string[]).includes(model)) {
+			return `Model ${model} cannot generate images; use one of ${IMAGE_MODELS.join(", ")}`;
+		}
+		if (!(IMAGE_RATIOS as readonly string[]).includes(ratio)) {
+			return `Ratio ${ratio} is not available for images; use one of ${IMAGE_RATIOS.join(", ")}`;
+		}
+		return estimateImageCredits(model as ImageModel, ratio as ImageRatio);
+	}
+	if (!(VIDEO_MODELS as readonly string[]).includes(model)) {
+		return `Model ${model} cannot generate video; use one of ${VIDEO_MODELS.join(", ")}`;
+	}
+	if (!(VIDEO_RATIOS as readonly string[]).includes(ratio)) {
+		return `Ratio ${ratio} is not available for video; use one of ${VIDEO_RATIOS.join(", ")}`;
+	}
+	return estimateVideoCredits(model as VideoModel, duration);
+}
+
+// Price a generation before running it
+export const estimateCostTool = defineTool({
+	name: "runway_estimate_cost",
+	description:
+		"Estimate the credits and US dollar cost of a RunwayML generation before running it, and check it against the organization's credit balance",
+	inputSchema: {
+		type: z
+			.enum(Object.keys(TASK_TYPES) as [TaskType, ...TaskType[]])
+			.describe(
+				"Kind of generation, matching runway_text_to_video, runway_image_to_video or runway_text_to_image",
+			),
+		model: z
+			.enum([...VIDEO_MODELS, ...IMAGE_MODELS])
+			.optional()
+			.describe("Model, as passed to the generation tool (defaults to that tool's default)"),
+		duration: z
+			.number()
+			.min(5)
+			.max(10)
+			.default(5)
+			.describe("Video duration in seconds (5-10); ignored for images"),
+		ratio: z
+			.enum([...new Set([...VIDEO_RATIOS, ...IMAGE_RATIOS])] as [string, ...string[]])
+			.optional()
+			.describe("Aspect ratio, as passed to the generation tool; image prices depend on it"),
+		count: z
+			.number()
+			.int()
+			.min(1)
+			.max(100)
+			.default(1)
+			.describe("Number of generations to price"),
+		api_key: z
+			.string()
+			.optional()
+			.describe(
+				"RunwayML API key used to read the credit balance (defaults to the server's)",
+			),
+	},
+	outputSchema: estimateResultShape,
+	handler: async ({ type, duration, count, api_key, ...args }, context) => {
+		const model = args.model ?? DEFAULT_MODELS[type];
+		const ratio = args.ratio ?? DEFAULT_RATIOS[type];
+		const perGeneration = creditsPerGeneration(type, model, ratio, duration);
+		if (typeof perGeneration === "string") {
+			return errorResult(`Error estimating cost: ${perGeneration}`, {
+				type,
+				model,
+				count,
+				error: toolError("INVALID_REQUEST", "user_input", perGeneration),
+			});
+		}
+
+		const credits = perGeneration * count;
+		const usd = creditsToUsd(credits);
+		const structured: Record<string, unknown> = {
+			type,
+			model,
+			count,
+			credits_per_generation: perGeneration,
+			total_credits: credits,
+			estimated_usd: usd,
+			usd_per_credit: USD_PER_CREDIT,
+			prices_as_of: PRICES_AS_OF,
+		};
+		const what = type === "text_to_image" ? `${ratio} image` : `${duration}s ${ratio} video`;
+		let text = `Estimated cost of ${count} × ${model} ${what}: ${credits} credits (${formatUsd(usd)})`;
+		if (count > 1) text += `, ${perGeneration} credits each`;
+		text += `.\nPrices as of ${PRICES_AS_OF}.`;
+
+		// The balance is a bonus: without a key, or if RunwayML is unreachable, still estimate
+		try {
+			const org = await context.getClient(api_key).getOrganization();
+			if (org.creditBalance !== undefined) {
+				const remaining = org.creditBalance - credits;
+				structured.credit_balance = org.creditBalance;
+				structured.balance_after = remaining;
+				structured.affordable = remaining >= 0;
+				text +=
+					remaining >= 0
+						? `\n\nCredit balance: ${org.creditBalance}, leaving ${remaining} after this generation.`
+						: `\n\n⚠️ Credit balance: ${org.creditBalance}, which is ${-remaining} credits short.`;
+			}
+		} catch (error) {
+			text +=
+				error instanceof RunwayMissingKeyError
+					? "\n\nPass api_key to compare against your credit balance."
+					: `\n\nCould not read the credit balance: ${describeRunwayError(error)}`;
+		}
+		return textResult(text, structured);
+	},
+});
+
+export const estimateTools = [estimateCostTool];
@@ -0,0 +1,128 @@
+import { z } from "zod";
+import { InvalidCursorError, TASK_SORT_FIELDS, type TaskRecord } from "../ledger/index.js";
+import { TASK_STATUSES } from "../runway/index.js";
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { errorContent, errorShape, recordContent, taskRecordSchema, toolError } from "./results.js";
+
+// Generation tools whose tasks are recorded in the ledger, by the short type name used in filters
+export const TASK_TYPES = {
+	text_to_video: "runway_text_to_video",
+	image_to_video: "runway_image_to_video",
+	text_to_image: "runway_text_to_image",
+} as const;
+
+export type TaskType = keyof typeof TASK_TYPES;
+
+export const isoDateParam = z
+	.string()
+	.refine((value) => !Number.isNaN(Date.parse(value)), "Must be an ISO 8601 date or date-time");
+
+const PROMPT_COLUMN_WIDTH = 40;
+
+function formatTable(records: TaskRecord[]): string {
+	const rows = records.map((record) => {
+		const prompt = (record.prompt ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|");
+		return [
+			new Date(record.createdAt).toISOString().slice(0, 16).replace("T", " "),
+			record.id,
+			record.tool.replace(/^runway_/, ""),
+			record.model ?? "",
+			record.status,
+			prompt.length > PROMPT_COLUMN_WIDTH
+				? `${prompt.slice(0, PROMPT_COLUMN_WIDTH - 1)}…`
+				: prompt,
+		];
+	});
+	return [
+		"| Created (UTC) | Task ID | Type | Model | Status | Prompt |",
+		"|---|---|---|---|---|---|",
+		...rows.map((row) => `| ${row.join(" | ")} |`),
+	].join("\n");
+}
+
+// Browse the tasks submitted through this server
+export const listTasksTool = defineTool({
+	name: "runway_list_tasks",
+	description:
+		"List RunwayML tasks submitted through this server with an API key, newest first, with optional filters. Use it to find a past generation without knowing its task ID.",
+	inputSchema: {
+		status: z.array(z.enum(TASK_STATUSES)).optional().describe("Only tasks in these statuses"),
+		type: z
+			.array(z.enum(Object.keys(TASK_TYPES) as [TaskType, ...TaskType[]]))
+			.optional()
+			.describe("Only tasks of these generation types"),
+		model: z.string().optional().describe("Only tasks using this model"),
+		created_after: isoDateParam
+			.optional()
+			.describe("Only tasks submitted at or after this time (ISO 8601)"),
+		created_before: isoDateParam
+			.optional()
+			.describe("Only tasks submitted before this time (ISO 8601)"),
+		prompt_contains: z
+			.string()
+			.optional()
+			.describe("Only tasks whose prompt contains this text (case-insensitive)"),
+		sort_by: z.enum(TASK_SORT_FIELDS).default("created_at").describe("Field to sort by"),
+		order: z.enum(["asc", "desc"]).default("desc").describe("Sort direction"),
+		limit: z.number().int().min(1).max(100).default(20).describe("Page size (1-100)"),
+		cursor: z
+			.string()
+			.optional()
+			.describe("next_cursor from a previous call, to fetch the following page"),
+		api_key: z
+			.string()
+			.optional()
+			.describe("RunwayML API key whose tasks to list (defaults to the server's)"),
+	},
+	outputSchema: {
+		tasks: z.array(taskRecordSchema),
+		next_cursor: z
+			.string()
+			.optional()
+			.describe("Pass as `cursor` to get the next page; absent on the last page"),
+		error: errorShape,
+	},
+	handler: async (args, context) => {
+		let page: Awaited<ReturnType<typeof context.ledger.list>>;
+		try {
+			page = await context.ledger.list({
+				statuses: args.status,
+				tools: args.type?.map((type) => TASK_TYPES[type]),
+				model: args.model,
+				createdAfter: args.created_after ? Date.parse(args.created_after) : undefined,
+				createdBefore: args.created_before ? Date.parse(args.created_before) : undefined,
+				promptContains: args.prompt_contains,
+				sort: args.sort_by,
+				order: args.order,
+				limit: args.limit,
+				cursor: args.cursor,
+				keyScope: await context.keyScope(args.api_key),
+			});
+		} catch (error) {
+			const content =
+				error instanceof InvalidCursorError
+					? toolError("INVALID_CURSOR", "user_input", error.message)
+					: errorContent(error);
+			return errorResult(`Error listing tasks: ${content.message}`, {
+				tasks: [],
+				error: content,
+			});
+		}
+
+		const structured = {
+			tasks: page.records.map(recordContent),
+			next_cursor: page.nextCursor,
+		};
+		if (page.records.length === 0) {
+			return textResult("No tasks match these filters.", structured);
+		}
+
+		let text = `${page.records.length} task${page.records.length === 1 ? "" : "s"}:\n\n${formatTable(page.records)}`;
+		if (page.nextCursor) {
+			text += `\n\nMore tasks match. Call again with cursor: "${page.nextCursor}"`;
+		}
+		return textResult(text, structured);
+	},
+});
+
+export const historyTools = [listTasksTool];
@@ -0,0 +1,194 @@
+import type { TaskRecord } from "../ledger/index.js";
+import { abortableSleep } from "../runway/index.js";
+import type { ToolContext } from "./registry.js";
+
+const CLAIM_MARGIN_MS = 60_000;
+
+/**
+ * Thrown when an explicit idempotency key is reused with different parameters, which is
+ * almost always a client bug rather than a retry.
+ */
+export class IdempotencyConflictError extends Error {
+	constructor(
+		readonly key: string,
+		readonly taskId: string,
+	) {
+		super(
+			`Idempotency key "${key}" was already used for task ${taskId} with different parameters`,
+		);
+		this.name = "IdempotencyConflictError";
+	}
+}
+
+export interface IdempotencyMatch {
+	/** Key to store with a newly submitted task, if any */
+	key?: string;
+	/** Earlier task to return instead of submitting a new one */
+	existing?: TaskRecord;
+}
+
+/**
+ * JSON with sorted object keys and whitespace-normalized strings, so requests that differ
+ * only in formatting compare (and hash) equal. Undefined values are dropped, as in JSON.
+ */
+export function normalizedJson(value: unknown): string {
+	return JSON.stringify(normalize(value));
+}
+
+function normalize(value: unknown): unknown {
+	if (typeof value === "string") return value.trim().replace(/\s+/g, " ");
+	if (Array.isArray(value)) return value.map(normalize);
+	if (value !== null && typeof value === "object") {
+		return Object.fromEntries(
+			Object.entries(value)
+				.filter(([, entry]) => entry !== undefined)
+				.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+				.map(([key, entry]) => [key, normalize(entry)]),
+		);
+	}
+	return value;
+}
+
+/** Key derived from a SHA-256 hash of the tool name and normalized parameters */
+export async function deriveIdempotencyKey(
+	tool: string,
+	params: Record<string, unknown>,
+	scope?: string,
+): Promise<string> {
+	const digest = await crypto.subtle.digest(
+		"SHA-256",
+		new TextEncoder().encode(normalizedJson(scope ? [tool, params, scope] : [tool, params])),
+	);
+	const hex = [...new Uint8Array(digest)]
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("");
+	return `auto:${hex}`;
+}
+
+/** A generation request, as far as idempotency is concerned */
+export interface IdempotentRequest {
+	tool: string;
+	params: Record<string, unknown>;
+	/** Explicit key chosen by the caller */
+	key?: string;
+	/** Derive a key from the parameters when no explicit one is given (default: true) */
+	deriveKey?: boolean;
+	/**
+	 * Fingerprint of the API key passed with the request, if any. Keys only match tasks
+	 * submitted with the same API key, even though the ledger is shared.
+	 */
+	scope?: string;
+	/** Key scope of the request (see ToolContext.keyScope); earlier tasks are looked up in it */
+	keyScope?: string;
+	/** Parameters left out of the comparison and of derived keys (see Generation.ignoredParams) */
+	ignoredParams?: string[];
+}
+
+/**
+ * Decide whether a generation request repeats an earlier one.
+ *
+ * An explicit `key` matches any task submitted with it within `idempotency.keyTtlMs`, and
+ * throws IdempotencyConflictError if the parameters differ. Without one, a key is derived
+ * from the parameters when `idempotency.autoWindowMs` is set and `deriveKey` is not false;
+ * derived keys only match tasks that have not failed or been cancelled, so a genuine retry
+ * still gets a fresh task.
+ */
+export async function matchIdempotentTask(
+	context: ToolContext,
+	{ tool, params, key, deriveKey = true, scope, keyScope, ignoredParams = [] }: IdempotentRequest,
+): Promise<IdempotencyMatch> {
+	const { keyTtlMs, autoWindowMs } = context.config.idempotency;
+	const now = Date.now();
+	const compared = (values: Record<string, unknown>) =>
+		Object.fromEntries(
+			Object.entries(values).filter(([name]) => !ignoredParams.includes(name)),
+		);
+
+	if (key) {
+		const scoped = scope ? `${key}@${scope.slice(0, 16)}` : key;
+		const [existing] = (
+			await context.ledger.list({
+				idempotencyKey: scoped,
+				keyScope,
+				createdAfter: now - keyTtlMs,
+				limit: 1,
+			})
+		).records;
+		if (
+			existing &&
+			(existing.tool !== tool ||
+				normalizedJson(compared(existing.params)) !== normalizedJson(compared(params)))
+		) {
+			throw new IdempotencyConflictError(key, existing.id);
+		}
+		return { key: scoped, existing };
+	}
+
+	if (autoWindowMs <= 0 || !deriveKey) return {};
+	const derived = await deriveIdempotencyKey(tool, compared(params), scope);
+	const [existing] = (
+		await context.ledger.list({
+			idempotencyKey: derived,
+			keyScope,
+			statuses: ["PENDING", "THROTTLED", "RUNNING", "SUCCEEDED"],
+			createdAfter: now - autoWindowMs,
+			limit: 1,
+		})
+	).records;
+	return { key: derived, existing };
+}
+
+export interface IdempotencyClaim extends IdempotencyMatch {
+	/** The request was cancelled while another request held the key */
+	aborted?: boolean;
+	/**
+	 * Present when this request holds its key and should submit a task. Call it once the
+	 * task is in the ledger, or submitting failed, so waiting repeats can go on.
+	 */
+	release?: () => Promise<void>;
+}
+
+/**
+ * Like matchIdempotentTask, but also claims the key (see KeyReservations) so a repeat that
+ * arrives while this request queues or submits waits for its task instead of creating
+ * another. Resolves to an earlier task, to a claim, or to `aborted` when `signal` aborts
+ * while waiting.
+ */
+export async function claimIdempotentTask(
+	context: ToolContext,
+	request: IdempotentRequest,
+	signal?: AbortSignal,
+): Promise<IdempotencyClaim> {
+	const { reservations } = context;
+	// A claim outlives the longest a request may queue, plus time to submit
+	const ttlMs = context.config.queue.maxWaitMs + CLAIM_MARGIN_MS;
+	const holder = crypto.randomUUID();
+	for (;;) {
+		const match = await matchIdempotentTask(context, request);
+		const { key } = match;
+		if (match.existing || !key || !reservations) return match;
+
+		if (await reservations.reserve(key, holder, ttlMs)) {
+			const release = () => reservations.release(key, holder);
+			// The previous holder may have recorded its task between the lookup and the claim
+			let recorded: IdempotencyMatch;
+			try {
+				recorded = await matchIdempotentTask(context, request);
+			} catch (error) {
+				await release();
+				throw error;
+			}
+			if (recorded.existing) {
+				await release();
+				return recorded;
+			}
+			return { ...match, release };
+		}
+
+		try {
+			await abortableSleep(context.config.polling.initialDelayMs, signal);
+		} catch {
+			return { aborted: true };
+		}
+	}
+}
@@ -0,0 +1,33 @@
+import { batchTools } from "./batch.js";
+import { budgetTools } from "./budget.js";
+import { calculatorTools } from "./calculator.js";
+import { estimateTools } from "./estimate.js";
+import { historyTools } from "./history.js";
+import { pipelineTools } from "./pipeline.js";
+import { queueTools } from "./queue.js";
+import { rerunTools } from "./rerun.js";
+import { storyboardTools } from "./storyboard.js";
+import { runwayTools } from "./runway.js";
+import { sweepTools } from "./sweep.js";
+import { usageTools } from "./usage.js";
+
+export { registerTools } from "./registry.js";
+export type { ToolCall, ToolContext, ToolDefinition } from "./registry.js";
+
+/**
+ * Every tool exposed by this server, shared by the Worker and the stdio transport.
+ */
+export const tools = [
+	...calculatorTools,
+	...runwayTools,
+	...batchTools,
+	...sweepTools,
+	...rerunTools,
+	...pipelineTools,
+	...storyboardTools,
+	...estimateTools,
+	...historyTools,
+	...budgetTools,
+	...queueTools,
+	...usageTools,
+];
@@ -0,0 +1,192 @@
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { IMAGE_RATIOS } from "../runway/index.js";
+import {
+	type ToolCall,
+	type ToolContext,
+	defineTool,
+	errorResult,
+	textResult,
+} from "./registry.js";
+import { type TaskResult, type ToolError, pipelineResultShape, toolError } from "./results.js";
+import {
+	createAndPoll,
+	generationOptionsShape,
+	imageToVideoGeneration,
+	imageToVideoShape,
+	textToImageGeneration,
+	textToImageShape,
+} from "./runway.js";
+
+/** Share of the pipeline's progress taken by the keyframe stage, in percent */
+const KEYFRAME_SHARE = 20;
+
+/**
+ * Per-stage view of the pipeline call: the keyframe stage reports 0-20% and the video stage
+ * 20-100%, so progress never goes backwards between them.
+ */
+function stageCall(call: ToolCall, stage: "Keyframe" | "Video"): ToolCall {
+	const [offset, share] =
+		stage === "Keyframe" ? [0, KEYFRAME_SHARE] : [KEYFRAME_SHARE, 100 - KEYFRAME_SHARE];
+	return {
+		signal: call.signal,
+		reportProgress: ({ progress, total, message }) =>
+			call.reportProgress({
+				progress: offset + Math.round((total ? progress / total : 0) * share),
+				total: 100,
+				message: `${stage}: ${message ?? `${progress}`}`,
+			}),
+	};
+}
+
+function resultText(result: CallToolResult): string {
+	return result.content.map((item) => (item.type === "text" ? item.text : "")).join("\n");
+}
+
+export interface PipelineResult {
+	image: TaskResult;
+	/** Absent when the keyframe stage failed */
+	video?: TaskResult;
+	keyframe?: string;
+	/** Error of the stage that failed */
+	error?: ToolError;
+	/** Reports of both stages */
+	text: string;
+}
+
+/**
+ * Generate a keyframe and wait for it, then submit (and, with `autoPoll`, wait for) its
+ * animation. The video is only submitted when the keyframe succeeded.
+ */
+export async function runPipeline(options: {
+	context: ToolContext;
+	call: ToolCall;
+	image: Parameters<typeof textToImageGeneration>[0];
+	video: Omit<Parameters<typeof imageToVideoGeneration>[0], "prompt_image">;
+	apiKey?: string;
+	/** The stages get the keys `<key>#image` and `<key>#video` */
+	idempotencyKey?: string;
+	deduplicate?: boolean;
+	priority: number;
+	autoPoll: boolean;
+	maxWaitSeconds: number;
+	/** Called with each stage's task ID as soon as the task exists */
+	onTask?: (stage: "image" | "video", taskId: string) => Promise<void>;
+}): Promise<PipelineResult> {
+	const { context, call, idempotencyKey, onTask } = options;
+	const shared = {
+		context,
+		apiKey: options.apiKey,
+		deduplicate: options.deduplicate,
+		priority: options.priority,
+		maxWaitSeconds: options.maxWaitSeconds,
+	};
+
+	const imageResult = await createAndPoll({
+		...textToImageGeneration(options.image),
+		...shared,
+		call: stageCall(call, "Keyframe"),
+		// Each stage gets its own key, so repeating the call reuses both tasks
+		idempotencyKey: idempotencyKey && `${idempotencyKey}#image`,
+		autoPoll: true,
+		onTask: onTask && ((taskId) => onTask("image", taskId)),
+	});
+	const image = imageResult.structuredContent as TaskResult;
+	const [keyframe] = image.outputs;
+	const imageText = `Stage 1: keyframe\n\n${resultText(imageResult)}`;
+	if (imageResult.isError || !keyframe) {
+		return {
+			image,
+			error:
+				image.error ??
+				toolError(
+					"INVALID_RESPONSE",
+					"upstream",
+					"The keyframe task succeeded without an output image",
+				),
+			text: `${imageText}\n\nThe video stage was not started.`,
+		};
+	}
+
+	const generation = imageToVideoGeneration({ ...options.video, prompt_image: keyframe });
+	const videoResult = await createAndPoll({
+		...generation,
+		// The keyframe URL is signed anew each time it is fetched, so a repeat identifies the
+		// keyframe by its task instead
+		params: { ...generation.params, keyframe_task_id: image.task_id },
+		ignoredParams: ["prompt_image"],
+		...shared,
+		call: stageCall(call, "Video"),
+		idempotencyKey: idempotencyKey && `${idempotencyKey}#video`,
+		autoPoll: options.autoPoll,
+		onTask: onTask && ((taskId) => onTask("video", taskId)),
+	});
+	const video = videoResult.structuredContent as TaskResult;
+	return {
+		image,
+		video,
+		keyframe,
+		error: video.error,
+		text: `${imageText}\n\nStage 2: video\n\n${resultText(videoResult)}`,
+	};
+}
+
+// Generate a keyframe from text, then animate it, in one call
+export const textToImageToVideoTool = defineTool({
+	name: "runway_text_to_image_to_video",
+	description:
+		"Generate a keyframe image from a text prompt with RunwayML, then animate it into a video. Each stage has its own prompt, model, ratio and seed; the result reports both task IDs and every output.",
+	inputSchema: {
+		image: z
+			.object({
+				...textToImageShape,
+				ratio: z
+					.enum(IMAGE_RATIOS)
+					.optional()
+					.describe("Keyframe aspect ratio (defaults to the video's ratio)"),
+			})
+			.describe("Keyframe stage, with the parameters of runway_text_to_image"),
+		video: z
+			.object(imageToVideoShape)
+			.omit({ prompt_image: true })
+			.describe(
+				"Video stage, with the parameters of runway_image_to_video except prompt_image, which is the keyframe",
+			),
+		...generationOptionsShape,
+		auto_poll: generationOptionsShape.auto_poll.describe(
+			"Wait for the video to finish (default: true). The keyframe is always waited for",
+		),
+		max_wait_seconds: generationOptionsShape.max_wait_seconds.describe(
+			"Maximum time to wait for each stage in seconds (default: 300)",
+		),
+	},
+	outputSchema: pipelineResultShape,
+	handler: async (
+		{ image, video, auto_poll, max_wait_seconds, idempotency_key, priority, api_key },
+		context,
+		call,
+	) => {
+		const result = await runPipeline({
+			context,
+			call,
+			image: { ...image, ratio: image.ratio ?? video.ratio },
+			video,
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		});
+		const structured = {
+			stages: { image: result.image, video: result.video },
+			keyframe_url: result.keyframe,
+			outputs: result.video?.outputs ?? [],
+			error: result.error,
+		};
+		return result.error
+			? errorResult(result.text, structured)
+			: textResult(result.text, structured);
+	},
+});
+
+export const pipelineTools = [textToImageToVideoTool];
@@ -0,0 +1,47 @@
+import { z } from "zod";
+import { defineTool, textResult } from "./registry.js";
+import { queueResultShape } from "./results.js";
+import { queueKey } from "./runway.js";
+
+// Tasks in flight and requests waiting for a slot, so an agent can see why it is queued
+export const getQueueTool = defineTool({
+	name: "runway_get_queue",
+	description:
+		"Show how many generation tasks are in flight for an API key, the server's concurrency limit, and the requests queued behind it",
+	inputSchema: {
+		api_key: z
+			.string()
+			.optional()
+			.describe("RunwayML API key whose queue to show (defaults to the server's)"),
+	},
+	outputSchema: queueResultShape,
+	handler: async ({ api_key }, context) => {
+		const status = (await context.queue?.status(queueKey(api_key))) ?? {
+			inFlight: 0,
+			queued: [],
+		};
+		const structured = {
+			limit: status.limit,
+			in_flight: status.inFlight,
+			queued: status.queued.map((request) => ({
+				position: request.position,
+				priority: request.priority,
+				tool: request.tool,
+				queued_at: new Date(request.queuedAt).toISOString(),
+			})),
+		};
+
+		let text = `Tasks in flight: ${status.inFlight}${status.limit === undefined ? " (no limit)" : ` of ${status.limit}`}`;
+		if (status.queued.length === 0) {
+			return textResult(`${text}\nNo requests are queued.`, structured);
+		}
+		const rows = structured.queued.map(
+			(request) =>
+				`| ${request.position} | ${request.priority} | ${request.tool} | ${request.queued_at} |`,
+		);
+		text += `\n\n${status.queued.length} queued:\n\n| Position | Priority | Tool | Queued at |\n|---|---|---|---|\n${rows.join("\n")}`;
+		return textResult(text, structured);
+	},
+});
+
+export const queueTools = [getQueueTool];
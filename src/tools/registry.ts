@@ -0,0 +1,155 @@
+import type { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import type { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import type {
+	CallToolResult,
+	Progress,
+	ServerNotification,
+	ServerRequest,
+} from "@modelcontextprotocol/sdk/types.js";
+import type { ZodRawShape, z } from "zod";
+import type { CreditBudget } from "../budget/index.js";
+import type { ServerConfig } from "../config.js";
+import type { KeyReservations, TaskLedger, TaskTracker } from "../ledger/index.js";
+import type { SlotLimiter } from "../queue/index.js";
+import type { RunwayClient } from "../runway/index.js";
+import type { StoryboardStore } from "../storyboard/index.js";
+import type { UsageStore } from "../usage/index.js";
+
+/**
+ * Everything a tool handler may need from the server that mounts it.
+ * Each transport (Worker Durable Object, stdio process) provides its own implementation.
+ */
+export interface ToolContext {
+	/** Resolved deployment configuration */
+	config: ServerConfig;
+	/**
+	 * RunwayML client for the key passed explicitly by the caller, or the server's own key.
+	 * Throws RunwayMissingKeyError when neither is available.
+	 */
+	getClient(providedKey?: string): RunwayClient;
+	/**
+	 * Fingerprint of the API key a request uses, the one passed explicitly by the caller or
+	 * the server's own. Tasks are only visible to requests with the same key scope.
+	 */
+	keyScope(providedKey?: string): Promise<string>;
+	/** Record of tasks submitted through this server */
+	ledger: TaskLedger;
+	/** Claims on idempotency keys while their task is submitted; absent means none are held */
+	reservations?: KeyReservations;
+	/** Background follow-up of submitted tasks; absent when tracking is disabled */
+	tracker?: Pick<TaskTracker, "track">;
+	/** Credit budgets charged before a task is created; absent means unlimited */
+	budget?: CreditBudget;
+	/** Limits generation tasks in flight and queues the rest; absent means unlimited */
+	queue?: SlotLimiter;
+	/** Deployment-wide record of generations, read by usage reports */
+	usage: UsageStore;
+	/** Multi-shot sequences of this session */
+	storyboards: StoryboardStore;
+}
+
+/**
+ * Facilities tied to a single tool call, as opposed to the server-wide ToolContext.
+ */
+export interface ToolCall {
+	/** Aborted when the client cancels the request (notifications/cancelled) */
+	signal: AbortSignal;
+	/**
+	 * Send `notifications/progress` to the caller. A no-op unless the request carried a
+	 * progress token; delivery failures are ignored.
+	 */
+	reportProgress(progress: Progress): Promise<void>;
+}
+
+/**
+ * A transport-agnostic tool: name, description, zod input shape and handler.
+ * Tools that declare an `outputSchema` must return matching `structuredContent`
+ * from every code path, including failures.
+ */
+export interface ToolDefinition<Args extends ZodRawShape = ZodRawShape> {
+	name: string;
+	description: string;
+	inputSchema: Args;
+	outputSchema?: ZodRawShape;
+	handler: (
+		args: z.objectOutputType<Args, z.ZodTypeAny>,
+		context: ToolContext,
+		call: ToolCall,
+	) => Promise<CallToolResult>;
+}
+
+/**
+ * Identity helper so handler arguments are inferred from the input shape.
+ */
+export function defineTool<Args extends ZodRawShape>(
+	tool: ToolDefinition<Args>,
+): ToolDefinition<Args> {
+	return tool;
+}
+
+/**
+ * Mount a list of tools on an McpServer. Used by both the Worker and the stdio server,
+ * so a tool added to the registry is exposed identically on every transport.
+ */
+export function registerTools(
+	server: McpServer,
+	tools: ToolDefinition<any>[],
+	context: ToolContext,
+) {
+	for (const tool of tools) {
+		server.registerTool(
+			tool.name,
+			{
+				description: tool.description,
+				inputSchema: tool.inputSchema,
+				outputSchema: tool.outputSchema,
+			},
+			async (args: Record<string, unknown>, extra) =>
+				tool.handler(args, context, toolCall(extra)),
+		);
+	}
+}
+
+function toolCall(extra: RequestHandlerExtra<ServerRequest, ServerNotification>): ToolCall {
+	const progressToken = extra._meta?.progressToken;
+	return {
+		signal: extra.signal,
+		async reportProgress(progress) {
+			if (progressToken === undefined) return;
+			try {
+				await extra.sendNotification({
+					method: "notifications/progress",
+					params: { progressToken, ...progress },
+				});
+			} catch {
+				// Progress is informational; the result still reaches the caller
+			}
+		},
+	};
+}
+
+/**
+ * Build a text tool result, optionally carrying structured content for tools with an
+ * output schema.
+ */
+export function textResult(text: string, structuredContent?: object): CallToolResult {
+	return {
+		content: [
+			{
+				type: "text",
+				text,
+			},
+		],
+		...(structuredContent && {
+			structuredContent: structuredContent as Record<string, unknown>,
+		}),
+	};
+}
+
+/**
+ * Build a failed tool result. `structuredContent` should carry a ToolError under `error`
+ * so clients can tell what went wrong without reading the text.
+ */
+export function errorResult(text: string, structuredContent?: object): CallToolResult {
+	return { ...textResult(text, structuredContent), isError: true };
+}
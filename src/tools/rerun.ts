@@ -0,0 +1,113 @@
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { GENERATION_SHAPES, batchItemSchema, describeIssues, generationFor } from "./batch.js";
+import { TASK_TYPES, type TaskType } from "./history.js";
+import { defineTool, errorResult } from "./registry.js";
+import { rerunResultShape, taskContent, toolError } from "./results.js";
+import { createAndPoll, generationOptionsShape } from "./runway.js";
+
+function prependText(result: CallToolResult, text: string): CallToolResult {
+	return {
+		...result,
+		content: result.content.map((item, index) =>
+			index === 0 && item.type === "text" ? { ...item, text: `${text}${item.text}` } : item,
+		),
+	};
+}
+
+// Reproduce a past generation, or vary it, from the parameters and seed in the ledger
+export const rerunTaskTool = defineTool({
+	name: "runway_rerun_task",
+	description:
+		"Re-submit a generation task from this server's history with identical parameters and seed to reproduce it, optionally overriding some parameters (e.g. a longer duration or a tweaked prompt). Creates a new task.",
+	inputSchema: {
+		task_id: z.string().describe("ID of a task submitted through this server"),
+		overrides: z
+			.record(z.unknown())
+			.default({})
+			.describe(
+				'Parameters to change, as accepted by the task\'s generation tool (e.g. {"duration": 10}). null resets a parameter to its default; {"seed": null} picks a new random seed',
+			),
+		...generationOptionsShape,
+	},
+	outputSchema: rerunResultShape,
+	handler: async (
+		{ task_id, overrides, auto_poll, max_wait_seconds, idempotency_key, priority, api_key },
+		context,
+		call,
+	) => {
+		const fail = (code: string, message: string) =>
+			errorResult(`Error re-running task: ${message}`, {
+				...taskContent({ error: toolError(code, "user_input", message) }),
+				rerun_of: task_id,
+			});
+
+		const record = await context.ledger.get(task_id, await context.keyScope(api_key));
+		if (!record) {
+			return fail(
+				"NOT_FOUND",
+				`Task ${task_id} is not in this server's task history for this API key. Only tasks submitted through this server with the same API key can be re-run.`,
+			);
+		}
+		const type = (Object.keys(TASK_TYPES) as TaskType[]).find(
+			(key) => TASK_TYPES[key] === record.tool,
+		);
+		if (!type) {
+			return fail(
+				"INVALID_REQUEST",
+				`Task ${task_id} was submitted by ${record.tool}, which cannot be re-run`,
+			);
+		}
+		const overridden = Object.keys(overrides);
+		const unknown = overridden.filter((name) => !(name in GENERATION_SHAPES[type]));
+		if (unknown.length > 0) {
+			return fail(
+				"INVALID_REQUEST",
+				`${unknown.join(", ")} cannot be overridden for ${type}; use one of ${Object.keys(GENERATION_SHAPES[type]).join(", ")}`,
+			);
+		}
+
+		// A null override drops the parameter, so the generation tool's default applies
+		const request = Object.fromEntries(
+			Object.entries({ ...record.params, seed: record.seed, ...overrides }).filter(
+				([, value]) => value !== null,
+			),
+		);
+		const parsed = batchItemSchema.safeParse({ ...request, type });
+		if (!parsed.success) {
+			return fail(
+				"INVALID_REQUEST",
+				`The re-run request is invalid: ${describeIssues(parsed.error)}`,
+			);
+		}
+
+		const result = await createAndPoll({
+			...generationFor(parsed.data),
+			context,
+			call,
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			// Re-running on purpose should never be mistaken for a duplicate of the original
+			deduplicate: false,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		});
+		const note =
+			record.seed === undefined && !("seed" in overrides)
+				? `⚠️ Task ${task_id} has no recorded seed, so a new one was used and the result will differ.\n\n`
+				: overridden.length > 0
+					? `🔁 Re-running task ${task_id} with ${overridden.join(", ")} changed.\n\n`
+					: `🔁 Re-running task ${task_id} with the same parameters and seed.\n\n`;
+		return {
+			...prependText(result, note),
+			structuredContent: {
+				...result.structuredContent,
+				rerun_of: task_id,
+				overridden: overridden.length > 0 ? overridden : undefined,
+			},
+		};
+	},
+});
+
+export const rerunTools = [rerunTaskTool];
@@ -0,0 +1,440 @@
+import { z } from "zod";
+import { BUDGET_SCOPES, BudgetExceededError } from "../budget/index.js";
+import type { TaskRecord } from "../ledger/index.js";
+import {
+	RunwayAuthError,
+	RunwayError,
+	RunwayNotFoundError,
+	RunwayQuotaError,
+	type RunwayTask,
+	RunwayValidationError,
+	TASK_STATUSES,
+	describeRunwayError,
+} from "../runway/index.js";
+import { SHOT_STATUSES } from "../storyboard/index.js";
+import { USAGE_DIMENSIONS } from "../usage/index.js";
+
+// Output schemas for structured tool results. Every tool returns these as
+// `structuredContent` next to its human-readable text, so clients never need to parse prose.
+
+/**
+ * Broad error classes an agent can act on:
+ * - user_input: the arguments, API key or account need to change; retrying as-is will fail
+ * - upstream: RunwayML failed or is unavailable; see `retryable`
+ * - timeout: we stopped waiting, the task may still finish
+ * - cancelled: the task or the call was cancelled
+ */
+export const ERROR_CATEGORIES = ["user_input", "upstream", "timeout", "cancelled"] as const;
+
+export type ErrorCategory = (typeof ERROR_CATEGORIES)[number];
+
+const errorSchema = z.object({
+	code: z.string().describe("Stable machine-readable error code, e.g. INSUFFICIENT_CREDITS"),
+	category: z.enum(ERROR_CATEGORIES),
+	message: z.string(),
+	retryable: z.boolean().describe("Whether repeating the same call later may succeed"),
+});
+
+export type ToolError = z.infer<typeof errorSchema>;
+
+export const errorShape = errorSchema
+	.optional()
+	.describe("Present when the tool could not complete");
+
+export const taskResultShape = {
+	task_id: z.string().optional().describe("RunwayML task ID, once a task exists"),
+	status: z.enum(TASK_STATUSES).optional().describe("Last known task status"),
+	progress: z.number().optional().describe("Completion fraction between 0 and 1"),
+	model: z.string().optional(),
+	prompt: z.string().optional(),
+	seed: z
+		.number()
+		.optional()
+		.describe("Seed the task was submitted with; pass it back to reproduce the result"),
+	outputs: z.array(z.string()).describe("Output URLs, empty until the task succeeds"),
+	failure: z.string().optional(),
+	failure_code: z.string().optional(),
+	timings: z
+		.object({
+			created_at: z.string().optional().describe("When RunwayML created the task"),
+			elapsed_ms: z.number().optional().describe("Time spent polling in this call"),
+			attempts: z.number().optional().describe("Status checks made in this call"),
+		})
+		.optional(),
+	reused: z
+		.boolean()
+		.optional()
+		.describe(
+			"True when an idempotency key matched an earlier task and no new task was created",
+		),
+	queue: z
+		.object({
+			position: z.number().describe("Position in the queue when the request arrived"),
+			waited_ms: z.number(),
+		})
+		.optional()
+		.describe("Present when the request waited for a free concurrency slot"),
+	error: errorShape,
+};
+
+export type TaskResult = z.infer<z.ZodObject<typeof taskResultShape>>;
+
+/** A task as recorded in this server's ledger */
+export const taskRecordSchema = z.object({
+	task_id: z.string(),
+	tool: z.string().describe("Tool that submitted the task"),
+	params: z.record(z.unknown()).describe("Generation parameters passed to the tool"),
+	model: z.string().optional(),
+	prompt: z.string().optional(),
+	status: z.enum(TASK_STATUSES),
+	progress: z.number().optional(),
+	outputs: z.array(z.string()),
+	failure: z.string().optional(),
+	failure_code: z.string().optional(),
+	estimated_credits: z.number().optional(),
+	seed: z.number().optional().describe("Seed the task was submitted with"),
+	idempotency_key: z.string().optional(),
+	created_at: z.string().describe("When this server submitted the task"),
+	updated_at: z.string(),
+	completed_at: z.string().optional(),
+});
+
+export type TaskRecordResult = z.infer<typeof taskRecordSchema>;
+
+export function recordContent(record: TaskRecord): TaskRecordResult {
+	return {
+		task_id: record.id,
+		tool: record.tool,
+		params: record.params,
+		model: record.model,
+		prompt: record.prompt,
+		status: record.status,
+		progress: record.progress,
+		outputs: record.outputs,
+		failure: record.failure,
+		failure_code: record.failureCode,
+		estimated_credits: record.estimatedCredits,
+		seed: record.seed,
+		idempotency_key: record.idempotencyKey,
+		created_at: new Date(record.createdAt).toISOString(),
+		updated_at: new Date(record.updatedAt).toISOString(),
+		completed_at:
+			record.completedAt === undefined
+				? undefined
+				: new Date(record.completedAt).toISOString(),
+	};
+}
+
+export const cancelResultShape = {
+	task_id: z.string(),
+	cancelled: z.boolean(),
+	error: errorShape,
+};
+
+export const budgetResultShape = {
+	scopes: z.array(
+		z.object({
+			scope: z.enum(BUDGET_SCOPES),
+			limit: z.number().optional().describe("Credit limit; absent when unlimited"),
+			spent: z.number().describe("Estimated credits charged so far"),
+			remaining: z.number().optional(),
+			resets_at: z.string().optional().describe("When the scope starts over (daily only)"),
+		}),
+	),
+	error: errorShape,
+};
+
+export const pipelineResultShape = {
+	stages: z.object({
+		image: z.object(taskResultShape).describe("Keyframe generated by text-to-image"),
+		video: z
+			.object(taskResultShape)
+			.optional()
+			.describe("Animation of the keyframe; absent when the keyframe stage failed"),
+	}),
+	keyframe_url: z.string().optional().describe("Image passed to the video stage"),
+	outputs: z.array(z.string()).describe("Output URLs of the video stage"),
+	error: errorShape.describe("Error of the stage that failed"),
+};
+
+const shotSchema = z.object({
+	shot: z.number().describe("Position in the sequence, from 1"),
+	prompt: z.string(),
+	motion: z.string().optional(),
+	duration: z.number(),
+	ratio: z.string(),
+	seed: z.number(),
+	status: z
+		.enum(SHOT_STATUSES)
+		.describe("Status of the latest render, from its keyframe and video tasks"),
+	keyframe_task_id: z.string().optional(),
+	keyframe_url: z.string().optional(),
+	video_task_id: z.string().optional(),
+	outputs: z.array(z.string()).describe("Video URLs, empty until the shot succeeds"),
+	failure: z.string().optional(),
+	rendered_at: z.string().optional(),
+});
+
+export const storyboardSchema = z.object({
+	storyboard_id: z.string(),
+	title: z.string(),
+	style: z.string().optional(),
+	ratio: z.string(),
+	image_model: z.string(),
+	video_model: z.string(),
+	seed: z.number().describe("Seed shared by shots that do not have their own"),
+	reference_images: z.array(z.object({ uri: z.string(), tag: z.string().optional() })),
+	shots: z.array(shotSchema).describe("Shots in sequence order"),
+	summary: z.object({
+		total: z.number(),
+		succeeded: z.number(),
+		failed: z.number(),
+		rendering: z.number(),
+		not_rendered: z.number(),
+		cancelled: z.number(),
+	}),
+	estimated_credits: z.number().describe("Estimated cost of rendering every shot once"),
+	created_at: z.string(),
+	updated_at: z.string(),
+});
+
+export type StoryboardResult = z.infer<typeof storyboardSchema>;
+
+export const storyboardResultShape = {
+	storyboard: storyboardSchema.optional(),
+	rendered: z
+		.array(z.number())
+		.optional()
+		.describe("Shots rendered by this call, for runway_render_storyboard"),
+	skipped: z
+		.array(z.number())
+		.optional()
+		.describe("Shots runway_render_storyboard left alone because they were already rendering"),
+	error: errorShape,
+};
+
+export const storyboardListResultShape = {
+	storyboards: z.array(
+		z.object({
+			storyboard_id: z.string(),
+			title: z.string(),
+			shots: z.number(),
+			created_at: z.string(),
+			updated_at: z.string(),
+		}),
+	),
+};
+
+export const rerunResultShape = {
+	...taskResultShape,
+	rerun_of: z.string().describe("Task whose parameters and seed were re-submitted"),
+	overridden: z
+		.array(z.string())
+		.optional()
+		.describe("Parameters changed from the original task"),
+};
+
+const batchSummarySchema = z.object({
+	total: z.number(),
+	succeeded: z.number(),
+	failed: z.number().describe("Items with an error, including timeouts and budget refusals"),
+	pending: z.number().describe("Items submitted but not finished, e.g. with auto_poll off"),
+});
+
+export const batchResultShape = {
+	items: z.array(
+		z.object({
+			index: z.number().describe("1-based position of the item in the request"),
+			type: z.string().describe("Generation type of the item, e.g. text_to_image"),
+			...taskResultShape,
+		}),
+	),
+	summary: batchSummarySchema,
+	error: errorShape.describe("Present when every item failed"),
+};
+
+export const sweepResultShape = {
+	type: z.string(),
+	axes: z.array(z.string()).describe("Varied parameters, in grid column order"),
+	preview: z.boolean().describe("True when nothing was submitted"),
+	combinations: z.number(),
+	seed: z
+		.number()
+		.optional()
+		.describe(
+			"Seed shared by every combination; absent when the seed is varied, or for a preview without one",
+		),
+	estimated_credits: z.number().optional().describe("Estimated cost of the whole sweep"),
+	estimated_usd: z.number().optional(),
+	rows: z.array(
+		z.object({
+			index: z.number(),
+			variation: z
+				.record(z.union([z.string(), z.number()]))
+				.describe("Value of each varied parameter in this combination"),
+			estimated_credits: z.number(),
+			...taskResultShape,
+		}),
+	),
+	summary: batchSummarySchema.optional().describe("Absent for previews"),
+	error: errorShape,
+};
+
+export const queueResultShape = {
+	limit: z
+		.number()
+		.optional()
+		.describe("Tasks allowed in flight per API key; absent when unlimited"),
+	in_flight: z.number().describe("Tasks submitted with this API key and not yet finished"),
+	queued: z.array(
+		z.object({
+			position: z.number(),
+			priority: z.number(),
+			tool: z.string(),
+			queued_at: z.string(),
+		}),
+	),
+	error: errorShape,
+};
+
+export const estimateResultShape = {
+	type: z.string(),
+	model: z.string(),
+	count: z.number(),
+	credits_per_generation: z.number().optional(),
+	total_credits: z.number().optional(),
+	estimated_usd: z.number().optional(),
+	usd_per_credit: z.number().optional(),
+	prices_as_of: z.string().optional().describe("Date the pricing table was last checked"),
+	credit_balance: z.number().optional().describe("Organization balance, when it could be read"),
+	balance_after: z.number().optional(),
+	affordable: z.boolean().optional().describe("Whether the balance covers the estimate"),
+	error: errorShape,
+};
+
+const usageStatsShape = {
+	tasks: z.number(),
+	succeeded: z.number(),
+	failed: z.number(),
+	cancelled: z.number(),
+	in_progress: z.number(),
+	success_rate: z.number().optional().describe("Fraction of finished tasks that succeeded"),
+	failure_rate: z.number().optional().describe("Fraction of finished tasks that failed"),
+	credits: z.number().describe("Estimated credits charged at submission"),
+	avg_render_seconds: z
+		.number()
+		.optional()
+		.describe("Mean time from submission to success, in seconds"),
+};
+
+export const usageReportResultShape = {
+	group_by: z.array(z.enum(USAGE_DIMENSIONS)),
+	created_after: z.string().optional(),
+	created_before: z.string().optional(),
+	rows: z.array(
+		z.object({
+			day: z.string().optional().describe("UTC date the tasks were submitted"),
+			model: z.string().optional(),
+			tool: z.string().optional(),
+			session: z.string().optional(),
+			...usageStatsShape,
+		}),
+	),
+	totals: z.object(usageStatsShape).optional(),
+	error: errorShape,
+};
+
+export const organizationResultShape = {
+	credit_balance: z.number().optional(),
+	max_monthly_credit_spend: z.number().optional(),
+	models: z.array(
+		z.object({
+			model: z.string(),
+			daily_generations: z.number(),
+			max_daily_generations: z.number().optional(),
+		}),
+	),
+	error: errorShape,
+};
+
+/**
+ * Build the structured description of a task. Fields the caller knows but the task
+ * response does not echo back (model, prompt, polling stats) are passed in `details`.
+ */
+export function taskContent(
+	details: {
+		taskId?: string;
+		task?: RunwayTask;
+		model?: string;
+		prompt?: string;
+		seed?: number;
+		attempts?: number;
+		elapsedMs?: number;
+		error?: ToolError;
+	} = {},
+): TaskResult {
+	const { task } = details;
+	const timings = {
+		created_at: task?.createdAt,
+		elapsed_ms: details.elapsedMs,
+		attempts: details.attempts,
+	};
+	return {
+		task_id: task?.id ?? details.taskId,
+		status: task?.status,
+		progress: task?.progress ?? undefined,
+		model: details.model,
+		prompt: details.prompt,
+		seed: details.seed,
+		outputs: task?.output ?? [],
+		failure: task?.failure ?? undefined,
+		failure_code: task?.failureCode ?? undefined,
+		timings: Object.values(timings).some((value) => value !== undefined) ? timings : undefined,
+		error: details.error,
+	};
+}
+
+export function toolError(
+	code: string,
+	category: ErrorCategory,
+	message: string,
+	retryable = false,
+): ToolError {
+	return { code, category, message, retryable };
+}
+
+/**
+ * Classify an exception thrown while talking to RunwayML.
+ */
+export function errorContent(error: unknown): ToolError {
+	const message = describeRunwayError(error);
+	if (error instanceof BudgetExceededError) {
+		return toolError("BUDGET_EXCEEDED", "user_input", message);
+	}
+	if (!(error instanceof RunwayError)) {
+		return toolError("INTERNAL_ERROR", "upstream", message);
+	}
+	const userInput =
+		error instanceof RunwayAuthError ||
+		error instanceof RunwayQuotaError ||
+		error instanceof RunwayValidationError ||
+		error instanceof RunwayNotFoundError;
+	return toolError(error.code, userInput ? "user_input" : "upstream", message, error.retryable);
+}
+
+/**
+ * Classify a task that ended FAILED. RunwayML failure codes are dotted, e.g.
+ * `SAFETY.INPUT.TEXT` or `INTERNAL.BAD_OUTPUT`: moderation and asset problems need
+ * different input, internal failures are worth retrying.
+ */
+export function taskFailureError(task: RunwayTask): ToolError {
+	const message = `Task failed: ${task.failure || "Unknown error"}`;
+	const prefix = task.failureCode?.split(".")[0];
+	if (prefix === "INTERNAL") {
+		return toolError("TASK_FAILED", "upstream", message, true);
+	}
+	if (prefix === "SAFETY" || prefix === "ASSET" || prefix === "INPUT_PREPROCESSING") {
+		return toolError("TASK_FAILED", "user_input", message);
+	}
+	return toolError("TASK_FAILED", "upstream", message);
+}
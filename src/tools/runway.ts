@@ -0,0 +1,890 @@
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import {
+	type CreateTaskResponse,
+	IMAGE_MODELS,
+	IMAGE_RATIOS,
+	MAX_SEED,
+	type RunwayClient,
+	type RunwayTask,
+	VIDEO_MODELS,
+	VIDEO_RATIOS,
+	apiKeyFingerprint,
+	describeRunwayError,
+	estimateImageCredits,
+	estimateVideoCredits,
+	isTerminalStatus,
+	pollTask,
+} from "../runway/index.js";
+import { recordedTask } from "../ledger/index.js";
+import type { Slot } from "../queue/index.js";
+import {
+	type IdempotencyClaim,
+	IdempotencyConflictError,
+	claimIdempotentTask,
+} from "./idempotency.js";
+import {
+	type ToolCall,
+	type ToolContext,
+	defineTool,
+	errorResult,
+	textResult,
+} from "./registry.js";
+import {
+	type ToolError,
+	cancelResultShape,
+	errorContent,
+	organizationResultShape,
+	taskContent,
+	taskFailureError,
+	taskResultShape,
+	toolError,
+} from "./results.js";
+
+const apiKeyParam = z
+	.string()
+	.optional()
+	.describe("RunwayML API key (defaults to the server's RUNWAYML_API_KEY)");
+
+const videoModelParam = z
+	.enum(VIDEO_MODELS)
+	.default("gen4_turbo")
+	.describe("Model to use for generation");
+
+const videoDurationParam = z
+	.number()
+	.min(5)
+	.max(10)
+	.default(5)
+	.describe("Video duration in seconds (5-10)");
+
+const videoRatioParam = z.enum(VIDEO_RATIOS).default("1280:720").describe("Video aspect ratio");
+
+const seedParam = z
+	.number()
+	.int()
+	.min(0)
+	.max(MAX_SEED)
+	.optional()
+	.describe(
+		`Seed for reproducible results (0-${MAX_SEED}). A random seed is used, and reported, when omitted`,
+	);
+
+const autoPollParam = z
+	.boolean()
+	.default(true)
+	.describe("Automatically poll until completion (default: true)");
+
+const idempotencyKeyParam = z
+	.string()
+	.min(1)
+	.max(255)
+	.optional()
+	.describe(
+		"Client-chosen key for this request. Repeating a call with the same key returns the task it created instead of paying for a new one",
+	);
+
+const priorityParam = z
+	.number()
+	.int()
+	.min(-10)
+	.max(10)
+	.default(0)
+	.describe(
+		"Queue priority when the server's concurrency limit is reached: higher runs first (-10 to 10, default 0)",
+	);
+
+const maxWaitParam = z
+	.number()
+	.default(300)
+	.describe("Maximum time to wait for completion in seconds (default: 300)");
+
+function formatOutputs(output: string[], label: string, pluralLabel: string): string {
+	if (output.length === 1) {
+		return `${label}: ${output[0]}`;
+	}
+	return `${pluralLabel}:${output.map((url, index) => `\n${index + 1}. ${url}`).join("")}`;
+}
+
+/** Seed for a request that did not give one, so every task's seed is known */
+export function randomSeed(): number {
+	return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+function formatProgress(task: RunwayTask): string {
+	return `${Math.round((task.progress ?? 0) * 100)}%`;
+}
+
+/**
+ * Cancel a task on RunwayML and record the cancellation in the ledger, so history and
+ * background tracking see it without another status check.
+ */
+async function cancelAndRecord(
+	context: ToolContext,
+	client: RunwayClient,
+	taskId: string,
+	keyScope?: string,
+): Promise<void> {
+	await client.cancelTask(taskId);
+	await context.ledger.observe({ id: taskId, status: "CANCELLED", output: [] }, keyScope);
+}
+
+/**
+ * Charge a task's estimated cost to the credit budgets, then create it. Throws
+ * BudgetExceededError without calling RunwayML when a budget cannot afford it; the charge
+ * is refunded if RunwayML rejects the task.
+ */
+async function submitWithinBudget(
+	context: ToolContext,
+	estimatedCredits: number,
+	create: () => Promise<CreateTaskResponse>,
+): Promise<string> {
+	const reservation = await context.budget?.reserve(estimatedCredits);
+	try {
+		return (await create()).id;
+	} catch (error) {
+		await reservation?.release();
+		throw error;
+	}
+}
+
+/** What createAndPoll needs to know about one kind of generation */
+export interface Generation {
+	create: (client: RunwayClient) => Promise<CreateTaskResponse>;
+	/** Tool name and generation parameters, as stored in the ledger */
+	tool: string;
+	params: Record<string, unknown>;
+	/**
+	 * Parameters whose value differs between identical requests (e.g. a signed output URL),
+	 * so repeats are matched without them
+	 */
+	ignoredParams?: string[];
+	/** Seed sent to RunwayML: the requested one, or a random one */
+	seed: number;
+	estimatedCredits: number;
+	label: string;
+	model: string;
+	prompt: string;
+	outputLabel: [string, string];
+}
+
+/** Requests are limited per API key; the server's own key is queued under "" */
+export function queueKey(apiKey?: string): string {
+	return apiKey && apiKey.trim() !== "" ? apiKey : "";
+}
+
+/**
+ * Wait for a concurrency slot, reporting queue positions as progress. Resolves to the slot
+ * (absent when there is no limiter) and how long the request queued, or to the error
+ * result to return when it gave up.
+ */
+async function waitForSlot(options: {
+	context: ToolContext;
+	call: ToolCall;
+	apiKey?: string;
+	priority: number;
+	tool: string;
+	label: string;
+	model: string;
+	prompt: string;
+}): Promise<
+	{ slot?: Slot; queued?: { position: number; waited_ms: number } } | { result: CallToolResult }
+> {
+	const { context, call, label, model, prompt } = options;
+	if (!context.queue) return {};
+	const result = await context.queue.acquire({
+		key: queueKey(options.apiKey),
+		priority: options.priority,
+		tool: options.tool,
+		timeoutMs: context.config.queue.maxWaitMs,
+		signal: call.signal,
+		onPosition: (position, queued) =>
+			call.reportProgress({
+				progress: 0,
+				total: 100,
+				message: `Queued: position ${position} of ${queued}`,
+			}),
+	});
+	const queued =
+		result.position > 0 ? { position: result.position, waited_ms: result.waitedMs } : undefined;
+	if (result.outcome === "acquired") return { slot: result.slot, queued };
+
+	const waitedSeconds = Math.round(result.waitedMs / 1000);
+	const error =
+		result.outcome === "timeout"
+			? toolError(
+					"QUEUE_TIMEOUT",
+					"timeout",
+					`⏳ ${label} request waited ${waitedSeconds}s for a free slot without getting one. No task was submitted; try again later.`,
+					true,
+				)
+			: toolError(
+					"ABORTED",
+					"cancelled",
+					`Stopped waiting for a free slot for the ${label.toLowerCase()} request. No task was submitted.`,
+				);
+	return {
+		result: errorResult(error.message, {
+			...taskContent({ model, prompt, error }),
+			queue: queued,
+		}),
+	};
+}
+
+/**
+ * Create a generation task, record it in the ledger and, if requested, poll it until it
+ * reaches a terminal state. A request matching an earlier task's idempotency key reuses
+ * that task instead, as does an identical recent request unless `deduplicate` is false.
+ * When the server limits tasks in flight, the request first waits for a free slot.
+ */
+export async function createAndPoll(
+	options: {
+		context: ToolContext;
+		call: ToolCall;
+		apiKey?: string;
+		idempotencyKey?: string;
+		deduplicate?: boolean;
+		priority: number;
+		autoPoll: boolean;
+		maxWaitSeconds: number;
+		/** Called with the new or reused task's ID before waiting for it */
+		onTask?: (taskId: string) => Promise<void>;
+	} & Generation,
+): Promise<CallToolResult> {
+	const { label, model, prompt, maxWaitSeconds } = options;
+	const creationError = (error: unknown) =>
+		errorResult(
+			`Error creating ${label.toLowerCase()} task: ${describeRunwayError(error)}`,
+			taskContent({ model, prompt, error: errorContent(error) }),
+		);
+
+	let client: RunwayClient;
+	try {
+		client = options.context.getClient(options.apiKey);
+	} catch (error) {
+		return creationError(error);
+	}
+
+	let keyScope: string;
+	let match: IdempotencyClaim;
+	try {
+		const apiKey = queueKey(options.apiKey);
+		keyScope = await options.context.keyScope(options.apiKey);
+		match = await claimIdempotentTask(
+			options.context,
+			{
+				tool: options.tool,
+				params: options.params,
+				key: options.idempotencyKey,
+				deriveKey: options.deduplicate,
+				scope: apiKey ? await apiKeyFingerprint(apiKey) : undefined,
+				keyScope,
+				ignoredParams: options.ignoredParams,
+			},
+			options.call.signal,
+		);
+	} catch (error) {
+		if (!(error instanceof IdempotencyConflictError)) throw error;
+		return errorResult(
+			`Error creating ${label.toLowerCase()} task: ${error.message}`,
+			taskContent({
+				model,
+				prompt,
+				error: toolError("IDEMPOTENCY_CONFLICT", "user_input", error.message),
+			}),
+		);
+	}
+	const { existing } = match;
+	if (match.aborted) {
+		const text = `Stopped waiting for an identical ${label.toLowerCase()} request that is already submitting a task. No task was submitted.`;
+		return errorResult(
+			text,
+			taskContent({ model, prompt, error: toolError("ABORTED", "cancelled", text) }),
+		);
+	}
+	// A reused task keeps the seed it was submitted with
+	const seed = existing ? existing.seed : options.seed;
+
+	// The key stays claimed until the task is in the ledger, where repeats will find it
+	let taskId: string;
+	let queued: { position: number; waited_ms: number } | undefined;
+	try {
+		const waited = existing ? {} : await waitForSlot(options);
+		if ("result" in waited) return waited.result;
+		const { slot } = waited;
+		queued = waited.queued;
+
+		try {
+			taskId =
+				existing?.id ??
+				(await submitWithinBudget(options.context, options.estimatedCredits, () =>
+					options.create(client),
+				));
+		} catch (error) {
+			await slot?.release();
+			return creationError(error);
+		}
+		await slot?.assign(taskId);
+
+		if (!existing) {
+			await options.context.ledger.record({
+				id: taskId,
+				tool: options.tool,
+				params: options.params,
+				model,
+				prompt,
+				estimatedCredits: options.estimatedCredits,
+				seed,
+				idempotencyKey: match.key,
+				keyScope,
+			});
+			await options.context.tracker?.track(taskId, options.apiKey);
+		}
+	} finally {
+		await match.release?.();
+	}
+	await options.onTask?.(taskId);
+	const note = existing
+		? `♻️ Reusing task ${taskId}, submitted ${new Date(existing.createdAt).toISOString()} by an identical request; no new task was created.\n\n`
+		: queued
+			? `⏳ Waited ${Math.round(queued.waited_ms / 1000)}s in the queue (position ${queued.position}) for a free slot.\n\n`
+			: "";
+	const annotate = (result: CallToolResult): CallToolResult =>
+		existing || queued
+			? {
+					...result,
+					structuredContent: {
+						...result.structuredContent,
+						reused: existing ? true : undefined,
+						queue: queued,
+					},
+				}
+			: result;
+
+	if (!options.autoPoll) {
+		const text = existing
+			? `${note}Task ID: ${taskId}\nStatus: ${existing.status}\n\nUse runway_get_task to check the status and get the result.`
+			: `${note}${label} task created successfully!\nTask ID: ${taskId}\nModel: ${model}\nPrompt: "${prompt}"\nSeed: ${seed}\n\nUse runway_get_task to check the status and get the result.`;
+		return annotate(textResult(text, taskContent({ taskId, model, prompt, seed })));
+	}
+
+	const result = await waitForTask({
+		context: options.context,
+		call: options.call,
+		client,
+		taskId,
+		keyScope,
+		submitted: !existing,
+		maxWaitSeconds,
+		label: `${label} task`,
+		model,
+		prompt,
+		seed,
+		outputLabel: options.outputLabel,
+		successText: (attempts) =>
+			`${note}✅ ${label} completed successfully after ${attempts} attempts!\n\nTask ID: ${taskId}\nModel: ${model}\nPrompt: "${prompt}"${seed === undefined ? "" : `\nSeed: ${seed}`}`,
+		timeoutText: (attempts) =>
+			`⏰ ${label} timeout reached after ${maxWaitSeconds} seconds and ${attempts} attempts. Task may still be processing.\nTask ID: ${taskId}\nUse runway_get_task to check manually.`,
+	});
+	return annotate(result);
+}
+
+/**
+ * Wait for a task to finish with the shared polling engine and describe the outcome.
+ */
+async function waitForTask(options: {
+	context: ToolContext;
+	call: ToolCall;
+	client: RunwayClient;
+	taskId: string;
+	/** Key scope of the caller, whose history the task's updates go to */
+	keyScope?: string;
+	/** The task was created by this call, so the cancellation policy applies to it */
+	submitted?: boolean;
+	maxWaitSeconds: number;
+	label: string;
+	model?: string;
+	prompt?: string;
+	seed?: number;
+	outputLabel: [string, string];
+	successText: (attempts: number) => string;
+	timeoutText: (attempts: number) => string;
+}): Promise<CallToolResult> {
+	const { taskId, label } = options;
+	const startedAt = Date.now();
+	// Progress notifications must never go backwards, even if Runway's value does
+	let reported = 0;
+	const result = await pollTask(options.client, taskId, {
+		...options.context.config.polling,
+		timeoutMs: options.maxWaitSeconds * 1000,
+		signal: options.call.signal,
+		onUpdate: async (task) => {
+			await options.context.ledger.observe(task, options.keyScope);
+			reported = Math.max(reported, Math.round((task.progress ?? 0) * 100));
+			if (task.status === "SUCCEEDED") reported = 100;
+			const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+			await options.call.reportProgress({
+				progress: reported,
+				total: 100,
+				message: `${task.status} ${reported}% (${elapsedSeconds}s elapsed)`,
+			});
+		},
+	});
+
+	const content = (error?: ToolError) =>
+		taskContent({
+			taskId,
+			task: result.task,
+			model: options.model,
+			prompt: options.prompt,
+			seed: options.seed,
+			attempts: result.attempts,
+			elapsedMs: result.elapsedMs,
+			error,
+		});
+
+	switch (result.outcome) {
+		case "error": {
+			const error = errorContent(result.error);
+			return errorResult(`Error checking task status: ${error.message}`, content(error));
+		}
+		case "timeout": {
+			const text = options.timeoutText(result.attempts);
+			return errorResult(text, content(toolError("POLL_TIMEOUT", "timeout", text, true)));
+		}
+		case "aborted": {
+			const text = `Stopped waiting for ${label.toLowerCase()} ${taskId}. ${await settleAbortedTask(options)}`;
+			return errorResult(text, content(toolError("ABORTED", "cancelled", text)));
+		}
+	}
+
+	const { task, attempts } = result;
+	if (task.status === "SUCCEEDED") {
+		let resultText = options.successText(attempts);
+		if (task.output.length > 0) {
+			resultText += `\n\n${formatOutputs(task.output, ...options.outputLabel)}`;
+		}
+		return textResult(resultText, content());
+	}
+	if (task.status === "FAILED") {
+		return errorResult(
+			`❌ ${label} failed after ${attempts} attempts.\nTask ID: ${task.id}\nFailure reason: ${task.failure || "Unknown error"}`,
+			content(taskFailureError(task)),
+		);
+	}
+	const text = `🚫 ${label} was cancelled.\nTask ID: ${task.id}`;
+	return errorResult(text, content(toolError("TASK_CANCELLED", "cancelled", text)));
+}
+
+/**
+ * Apply the cancellation policy to a task whose tool call was cancelled by the client.
+ * Returns a sentence describing what happened to the task.
+ */
+async function settleAbortedTask(options: {
+	context: ToolContext;
+	client: RunwayClient;
+	taskId: string;
+	keyScope?: string;
+	submitted?: boolean;
+}): Promise<string> {
+	if (!options.submitted || options.context.config.cancellation.policy === "detach") {
+		return "The task keeps running on RunwayML.";
+	}
+	try {
+		await cancelAndRecord(options.context, options.client, options.taskId, options.keyScope);
+		return "The task was cancelled on RunwayML.";
+	} catch (error) {
+		console.error(
+			`Cancelling task ${options.taskId} after the request was cancelled failed:`,
+			error,
+		);
+		return `Cancelling it failed: ${describeRunwayError(error)}`;
+	}
+}
+
+/** Input parameters of a text-to-video generation */
+export const textToVideoShape = {
+	prompt: z.string().describe("Text prompt for video generation"),
+	model: videoModelParam,
+	duration: videoDurationParam,
+	ratio: videoRatioParam,
+	seed: seedParam,
+};
+
+/** Input parameters of an image-to-video generation */
+export const imageToVideoShape = {
+	prompt_image: z.string().describe("URL or base64 data URI of the input image"),
+	prompt_text: z.string().describe("Text prompt for video generation"),
+	model: videoModelParam,
+	duration: videoDurationParam,
+	ratio: videoRatioParam,
+	seed: seedParam,
+};
+
+/** Input parameters of a text-to-image generation */
+export const textToImageShape = {
+	prompt_text: z.string().describe("Text prompt for image generation"),
+	model: z.enum(IMAGE_MODELS).default("gen4_image").describe("Model to use for generation"),
+	ratio: z.enum(IMAGE_RATIOS).default("720:720").describe("Image aspect ratio"),
+	reference_images: z
+		.array(
+			z.object({
+				uri: z.string().describe("URL or base64 data URI of reference image"),
+				tag: z
+					.string()
+					.optional()
+					.describe("Tag to reference this image in the prompt using @tag syntax"),
+			}),
+		)
+		.optional()
+		.describe("Reference images for style or content guidance"),
+	seed: seedParam,
+};
+
+type ShapeArgs<Shape extends z.ZodRawShape> = z.objectOutputType<Shape, z.ZodTypeAny>;
+
+// The generations below send `defaultSeed` when the request gives no seed. Like a random
+// seed, it is left out of `params`, so a repeated request still matches its earlier task.
+
+export function textToVideoGeneration(
+	{ prompt, model, duration, ratio, seed }: ShapeArgs<typeof textToVideoShape>,
+	defaultSeed = randomSeed(),
+): Generation {
+	const effectiveSeed = seed ?? defaultSeed;
+	return {
+		create: (client) =>
+			client.createTextToVideo({
+				promptText: prompt,
+				model,
+				duration,
+				ratio,
+				seed: effectiveSeed,
+			}),
+		tool: "runway_text_to_video",
+		params: { prompt, model, duration, ratio, seed },
+		seed: effectiveSeed,
+		estimatedCredits: estimateVideoCredits(model, duration),
+		label: "Text-to-video",
+		model,
+		prompt,
+		outputLabel: ["🎬 Generated Video", "🎬 Generated Videos"],
+	};
+}
+
+export function imageToVideoGeneration(
+	{
+		prompt_image,
+		prompt_text,
+		model,
+		duration,
+		ratio,
+		seed,
+	}: ShapeArgs<typeof imageToVideoShape>,
+	defaultSeed = randomSeed(),
+): Generation {
+	const effectiveSeed = seed ?? defaultSeed;
+	return {
+		create: (client) =>
+			client.createImageToVideo({
+				promptImage: prompt_image,
+				promptText: prompt_text,
+				model,
+				duration,
+				ratio,
+				seed: effectiveSeed,
+			}),
+		tool: "runway_image_to_video",
+		params: { prompt_image, prompt_text, model, duration, ratio, seed },
+		seed: effectiveSeed,
+		estimatedCredits: estimateVideoCredits(model, duration),
+		label: "Image-to-video",
+		model,
+		prompt: prompt_text,
+		outputLabel: ["🎬 Generated Video", "🎬 Generated Videos"],
+	};
+}
+
+export function textToImageGeneration(
+	{ prompt_text, model, ratio, reference_images, seed }: ShapeArgs<typeof textToImageShape>,
+	defaultSeed = randomSeed(),
+): Generation {
+	const effectiveSeed = seed ?? defaultSeed;
+	return {
+		create: (client) =>
+			client.createTextToImage({
+				promptText: prompt_text,
+				model,
+				ratio,
+				referenceImages:
+					reference_images && reference_images.length > 0 ? reference_images : undefined,
+				seed: effectiveSeed,
+			}),
+		tool: "runway_text_to_image",
+		params: { prompt_text, model, ratio, reference_images, seed },
+		seed: effectiveSeed,
+		estimatedCredits: estimateImageCredits(model, ratio),
+		label: "Text-to-image",
+		model,
+		prompt: prompt_text,
+		outputLabel: ["🖼️ Generated Image", "🖼️ Generated Images"],
+	};
+}
+
+/** Polling, idempotency, queueing and API key options shared by the generation tools */
+export const generationOptionsShape = {
+	auto_poll: autoPollParam,
+	max_wait_seconds: maxWaitParam,
+	idempotency_key: idempotencyKeyParam,
+	priority: priorityParam,
+	api_key: apiKeyParam,
+};
+
+// RunwayML Text-to-Video Generation
+export const textToVideoTool = defineTool({
+	name: "runway_text_to_video",
+	description: "Generate a video from a text prompt using RunwayML",
+	inputSchema: { ...textToVideoShape, ...generationOptionsShape },
+	outputSchema: taskResultShape,
+	handler: async (
+		{ auto_poll, max_wait_seconds, idempotency_key, priority, api_key, ...args },
+		context,
+		call,
+	) =>
+		createAndPoll({
+			...textToVideoGeneration(args),
+			context,
+			call,
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		}),
+});
+
+// RunwayML Image-to-Video Generation
+export const imageToVideoTool = defineTool({
+	name: "runway_image_to_video",
+	description: "Animate an image into a video guided by a text prompt using RunwayML",
+	inputSchema: { ...imageToVideoShape, ...generationOptionsShape },
+	outputSchema: taskResultShape,
+	handler: async (
+		{ auto_poll, max_wait_seconds, idempotency_key, priority, api_key, ...args },
+		context,
+		call,
+	) =>
+		createAndPoll({
+			...imageToVideoGeneration(args),
+			context,
+			call,
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		}),
+});
+
+// RunwayML Text-to-Image Generation
+export const textToImageTool = defineTool({
+	name: "runway_text_to_image",
+	description:
+		"Generate an image from a text prompt using RunwayML, optionally guided by reference images",
+	inputSchema: { ...textToImageShape, ...generationOptionsShape },
+	outputSchema: taskResultShape,
+	handler: async (
+		{ auto_poll, max_wait_seconds, idempotency_key, priority, api_key, ...args },
+		context,
+		call,
+	) =>
+		createAndPoll({
+			...textToImageGeneration(args),
+			context,
+			call,
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		}),
+});
+
+// RunwayML Get Task Status and Result
+export const getTaskTool = defineTool({
+	name: "runway_get_task",
+	description: "Get the status and results of a RunwayML generation task",
+	inputSchema: {
+		task_id: z.string().describe("Task ID returned from a generation request"),
+		api_key: apiKeyParam,
+	},
+	outputSchema: taskResultShape,
+	handler: async ({ task_id, api_key }, context) => {
+		// Finished tasks never change again, so the ledger answers without calling RunwayML;
+		// tasks of other API keys are left to RunwayML, which checks the caller's key
+		const keyScope = await context.keyScope(api_key);
+		const recorded = await context.ledger.get(task_id, keyScope);
+		const finished = recorded && isTerminalStatus(recorded.status) ? recorded : undefined;
+		let task: RunwayTask;
+		try {
+			task = finished
+				? recordedTask(finished)
+				: await context.getClient(api_key).getTask(task_id);
+		} catch (error) {
+			return errorResult(
+				`Error retrieving task: ${describeRunwayError(error)}`,
+				taskContent({ taskId: task_id, error: errorContent(error) }),
+			);
+		}
+
+		let statusText = `Task ID: ${task.id}\nStatus: ${task.status}\nProgress: ${formatProgress(task)}`;
+
+		if (task.status === "SUCCEEDED" && task.output.length > 0) {
+			statusText += "\n\nTask completed successfully!";
+			statusText += `\n${formatOutputs(task.output, "Output", "Output URLs")}`;
+		} else if (task.status === "FAILED") {
+			statusText += "\n\nTask failed.";
+			if (task.failure) {
+				statusText += `\nFailure reason: ${task.failure}`;
+			}
+		} else if (task.status === "RUNNING") {
+			statusText += "\n\nTask is still running. Please check again in a few moments.";
+		}
+
+		const record = finished ?? (await context.ledger.observe(task, keyScope));
+		return textResult(
+			statusText,
+			taskContent({ task, model: record?.model, prompt: record?.prompt, seed: record?.seed }),
+		);
+	},
+});
+
+// RunwayML Poll Task Until Complete
+export const pollTaskTool = defineTool({
+	name: "runway_poll_task",
+	description:
+		"Wait for a RunwayML task to finish, polling its status until completion or timeout",
+	inputSchema: {
+		task_id: z.string().describe("Task ID returned from a generation request"),
+		max_wait_seconds: z
+			.number()
+			.default(300)
+			.describe("Maximum time to wait in seconds (default: 300)"),
+		api_key: apiKeyParam,
+	},
+	outputSchema: taskResultShape,
+	handler: async ({ task_id, max_wait_seconds, api_key }, context, call) => {
+		let client: RunwayClient;
+		try {
+			client = context.getClient(api_key);
+		} catch (error) {
+			return errorResult(
+				`Error polling task: ${describeRunwayError(error)}`,
+				taskContent({ taskId: task_id, error: errorContent(error) }),
+			);
+		}
+
+		const keyScope = await context.keyScope(api_key);
+		const record = await context.ledger.get(task_id, keyScope);
+		return waitForTask({
+			context,
+			call,
+			client,
+			taskId: task_id,
+			keyScope,
+			maxWaitSeconds: max_wait_seconds,
+			label: "Task",
+			model: record?.model,
+			prompt: record?.prompt,
+			seed: record?.seed,
+			outputLabel: ["🖼️ Generated Content", "🖼️ Generated Images"],
+			successText: (attempts) =>
+				`✅ Task completed successfully after ${attempts} attempts!\n\nTask ID: ${task_id}\nStatus: SUCCEEDED`,
+			timeoutText: (attempts) =>
+				`⏰ Timeout reached after ${max_wait_seconds} seconds and ${attempts} attempts. Task may still be processing. Use runway_get_task to check manually.`,
+		});
+	},
+});
+
+// RunwayML Cancel Task
+export const cancelTaskTool = defineTool({
+	name: "runway_cancel_task",
+	description: "Cancel a running RunwayML generation task",
+	inputSchema: {
+		task_id: z.string().describe("Task ID to cancel"),
+		api_key: apiKeyParam,
+	},
+	outputSchema: cancelResultShape,
+	handler: async ({ task_id, api_key }, context) => {
+		try {
+			await cancelAndRecord(
+				context,
+				context.getClient(api_key),
+				task_id,
+				await context.keyScope(api_key),
+			);
+		} catch (error) {
+			return errorResult(`Error cancelling task: ${describeRunwayError(error)}`, {
+				task_id,
+				cancelled: false,
+				error: errorContent(error),
+			});
+		}
+		return textResult(`Task ${task_id} has been cancelled successfully.`, {
+			task_id,
+			cancelled: true,
+		});
+	},
+});
+
+// RunwayML Get Organization Info
+export const getOrganizationTool = defineTool({
+	name: "runway_get_organization",
+	description: "Get organization information and credit balance from RunwayML",
+	inputSchema: {
+		api_key: apiKeyParam,
+	},
+	outputSchema: organizationResultShape,
+	handler: async ({ api_key }, context) => {
+		try {
+			const org = await context.getClient(api_key).getOrganization();
+			let orgInfo = "Organization Information:\n";
+			if (org.creditBalance !== undefined) {
+				orgInfo += `Credits: ${org.creditBalance}\n`;
+			}
+			if (org.tier?.maxMonthlyCreditSpend !== undefined) {
+				orgInfo += `Max monthly credit spend: ${org.tier.maxMonthlyCreditSpend}\n`;
+			}
+			const models = Object.entries(org.usage?.models ?? {}).map(([model, usage]) => ({
+				model,
+				daily_generations: usage.dailyGenerations ?? 0,
+				max_daily_generations: org.tier?.models?.[model]?.maxDailyGenerations,
+			}));
+			for (const { model, daily_generations, max_daily_generations: limit } of models) {
+				orgInfo += `${model}: ${daily_generations}${limit !== undefined ? `/${limit}` : ""} generations today\n`;
+			}
+			return textResult(orgInfo, {
+				credit_balance: org.creditBalance,
+				max_monthly_credit_spend: org.tier?.maxMonthlyCreditSpend,
+				models,
+			});
+		} catch (error) {
+			return errorResult(
+				`Error retrieving organization info: ${describeRunwayError(error)}`,
+				{
+					models: [],
+					error: errorContent(error),
+				},
+			);
+		}
+	},
+});
+
+export const runwayTools = [
+	textToVideoTool,
+	imageToVideoTool,
+	textToImageTool,
+	getTaskTool,
+	pollTaskTool,
+	cancelTaskTool,
+	getOrganizationTool,
+];
@@ -0,0 +1,455 @@
+import { z } from "zod";
+import { VIDEO_RATIOS, estimateImageCredits, estimateVideoCredits } from "../runway/index.js";
+import { type Shot, type Storyboard, shotStatus } from "../storyboard/index.js";
+import { itemCalls } from "./batch.js";
+import { type PipelineResult, runPipeline } from "./pipeline.js";
+import { type ToolContext, defineTool, errorResult, textResult } from "./registry.js";
+import {
+	type StoryboardResult,
+	errorContent,
+	storyboardListResultShape,
+	storyboardResultShape,
+	taskContent,
+	toolError,
+} from "./results.js";
+import {
+	generationOptionsShape,
+	randomSeed,
+	textToImageShape,
+	textToVideoShape,
+} from "./runway.js";
+
+export const MAX_SHOTS = 20;
+
+/** A render's claim on its shots outlasts the longest queue wait by this much */
+const RENDER_CLAIM_MARGIN_MS = 60_000;
+
+const storyboardIdParam = z.string().describe("ID returned by runway_create_storyboard");
+
+/** e.g. "A fox in the snow. 35mm film, muted colors" */
+function withStyle(prompt: string, style?: string): string {
+	return style ? `${prompt.trim().replace(/[.\s]+$/, "")}. ${style}` : prompt;
+}
+
+function shotCredits(storyboard: Storyboard, shot: Shot): number {
+	return (
+		estimateImageCredits(storyboard.imageModel, shot.ratio ?? storyboard.ratio) +
+		estimateVideoCredits(storyboard.videoModel, shot.duration)
+	);
+}
+
+/** The storyboard with every shot's status and outputs, read from the task ledger */
+async function storyboardContent(
+	context: ToolContext,
+	storyboard: Storyboard,
+): Promise<StoryboardResult> {
+	const shots = await Promise.all(
+		storyboard.shots.map(async (shot, index) => {
+			const keyframe = shot.keyframeTaskId
+				? await context.ledger.get(shot.keyframeTaskId)
+				: undefined;
+			const video = shot.videoTaskId ? await context.ledger.get(shot.videoTaskId) : undefined;
+			const status = shotStatus(shot, keyframe, video);
+			return {
+				shot: index + 1,
+				prompt: shot.prompt,
+				motion: shot.motion,
+				duration: shot.duration,
+				ratio: shot.ratio ?? storyboard.ratio,
+				seed: shot.seed ?? storyboard.seed,
+				status,
+				keyframe_task_id: shot.keyframeTaskId,
+				keyframe_url: keyframe?.outputs[0],
+				video_task_id: shot.videoTaskId,
+				outputs: video?.outputs ?? [],
+				failure:
+					status === "failed"
+						? (video?.failure ?? keyframe?.failure ?? shot.failure)
+						: undefined,
+				rendered_at:
+					shot.renderedAt === undefined
+						? undefined
+						: new Date(shot.renderedAt).toISOString(),
+			};
+		}),
+	);
+	const count = (status: string) => shots.filter((shot) => shot.status === status).length;
+	return {
+		storyboard_id: storyboard.id,
+		title: storyboard.title,
+		style: storyboard.style,
+		ratio: storyboard.ratio,
+		image_model: storyboard.imageModel,
+		video_model: storyboard.videoModel,
+		seed: storyboard.seed,
+		reference_images: storyboard.referenceImages,
+		shots,
+		summary: {
+			total: shots.length,
+			succeeded: count("succeeded"),
+			failed: count("failed"),
+			rendering: count("rendering"),
+			not_rendered: count("not_rendered"),
+			cancelled: count("cancelled"),
+		},
+		estimated_credits: storyboard.shots.reduce(
+			(sum, shot) => sum + shotCredits(storyboard, shot),
+			0,
+		),
+		created_at: new Date(storyboard.createdAt).toISOString(),
+		updated_at: new Date(storyboard.updatedAt).toISOString(),
+	};
+}
+
+function cell(value: string): string {
+	return value.replace(/\s+/g, " ").replace(/\|/g, "\\|");
+}
+
+function formatStoryboard(content: StoryboardResult): string {
+	const { summary } = content;
+	const counts = [
+		`${summary.succeeded} succeeded`,
+		...(summary.rendering > 0 ? [`${summary.rendering} rendering`] : []),
+		...(summary.failed > 0 ? [`${summary.failed} failed`] : []),
+		...(summary.cancelled > 0 ? [`${summary.cancelled} cancelled`] : []),
+		...(summary.not_rendered > 0 ? [`${summary.not_rendered} not rendered`] : []),
+	];
+	const rows = content.shots.map(
+		(shot) =>
+			`| ${shot.shot} | ${shot.status} | ${shot.duration}s | ${cell(shot.prompt)} | ${cell(shot.outputs[0] ?? shot.failure ?? "—")} |`,
+	);
+	return [
+		`🎞️ Storyboard "${content.title}" (${content.storyboard_id}): ${summary.total} shots, ${counts.join(", ")}.`,
+		"",
+		"| # | Status | Duration | Prompt | Video |",
+		"|---|---|---|---|---|",
+		...rows,
+	].join("\n");
+}
+
+function notFound(storyboardId: string) {
+	const message = `Storyboard ${storyboardId} not found. Use runway_list_storyboards to see the storyboards of this session.`;
+	return errorResult(`Error: ${message}`, {
+		error: toolError("NOT_FOUND", "user_input", message),
+	});
+}
+
+// Define a sequence of shots that share references and settings
+export const createStoryboardTool = defineTool({
+	name: "runway_create_storyboard",
+	description: `Define a storyboard: a sequence of up to ${MAX_SHOTS} shots that share reference images, style, models, ratio and seed, so characters and look stay consistent. Nothing is rendered until runway_render_storyboard.`,
+	inputSchema: {
+		title: z.string().min(1).describe("Name of the sequence"),
+		shots: z
+			.array(
+				z.object({
+					prompt: z
+						.string()
+						.min(1)
+						.describe(
+							"What the shot's keyframe shows; refer to reference images as @tag",
+						),
+					motion: z
+						.string()
+						.optional()
+						.describe(
+							"How the shot moves, e.g. camera motion or action (defaults to the prompt)",
+						),
+					duration: z
+						.number()
+						.min(5)
+						.max(10)
+						.optional()
+						.describe("Seconds (5-10); defaults to the storyboard's duration"),
+					ratio: z
+						.enum(VIDEO_RATIOS)
+						.optional()
+						.describe("Overrides the storyboard's ratio for this shot"),
+				}),
+			)
+			.min(1)
+			.max(MAX_SHOTS)
+			.describe("Shots in sequence order"),
+		style: z
+			.string()
+			.optional()
+			.describe(
+				'Style appended to every shot\'s prompts, e.g. "35mm film, muted colors, soft light"',
+			),
+		reference_images: textToImageShape.reference_images.describe(
+			"Characters, products or style references passed to every shot's keyframe; tag them to use @tag in prompts",
+		),
+		ratio: textToVideoShape.ratio,
+		duration: textToVideoShape.duration.describe("Default shot duration in seconds (5-10)"),
+		image_model: textToImageShape.model.describe("Model for the keyframes"),
+		video_model: textToVideoShape.model.describe("Model that animates the keyframes"),
+		seed: textToVideoShape.seed.describe(
+			"Seed shared by every shot, for consistent results (random when omitted)",
+		),
+	},
+	outputSchema: storyboardResultShape,
+	handler: async (args, context) => {
+		const now = Date.now();
+		const storyboard: Storyboard = {
+			id: crypto.randomUUID(),
+			title: args.title,
+			style: args.style,
+			ratio: args.ratio,
+			imageModel: args.image_model,
+			videoModel: args.video_model,
+			seed: args.seed ?? randomSeed(),
+			referenceImages: args.reference_images ?? [],
+			shots: args.shots.map((shot) => ({
+				prompt: shot.prompt,
+				motion: shot.motion,
+				duration: shot.duration ?? args.duration,
+				ratio: shot.ratio,
+			})),
+			createdAt: now,
+			updatedAt: now,
+		};
+		await context.storyboards.put(storyboard);
+		const content = await storyboardContent(context, storyboard);
+		return textResult(
+			`${formatStoryboard(content)}\n\nRendering every shot is estimated at ${content.estimated_credits} credits. Use runway_render_storyboard with storyboard_id ${storyboard.id} to render it.`,
+			{ storyboard: content },
+		);
+	},
+});
+
+// Render the shots of a storyboard, or re-render some of them
+export const renderStoryboardTool = defineTool({
+	name: "runway_render_storyboard",
+	description:
+		"Render a storyboard's shots in parallel: each shot's keyframe is generated with the shared references and style, then animated. Renders the shots not yet rendered by default; pass shot numbers to re-render specific shots, with new_seed for a different take. Shots still rendering are skipped.",
+	inputSchema: {
+		storyboard_id: storyboardIdParam,
+		shots: z
+			.array(z.number().int().min(1))
+			.min(1)
+			.optional()
+			.describe(
+				"Shot numbers to (re-)render. Defaults to every shot that has not succeeded and is not rendering",
+			),
+		new_seed: z
+			.boolean()
+			.default(false)
+			.describe("Give the rendered shots a new random seed, for a different take"),
+		auto_poll: generationOptionsShape.auto_poll.describe(
+			"Wait for the videos to finish (default: true). Keyframes are always waited for",
+		),
+		max_wait_seconds: generationOptionsShape.max_wait_seconds.describe(
+			"Maximum time to wait for each stage of a shot in seconds (default: 300)",
+		),
+		priority: generationOptionsShape.priority,
+		api_key: generationOptionsShape.api_key,
+	},
+	outputSchema: storyboardResultShape,
+	handler: async (
+		{ storyboard_id, shots, new_seed, auto_poll, max_wait_seconds, priority, api_key },
+		context,
+		call,
+	) => {
+		const storyboard = await context.storyboards.get(storyboard_id);
+		if (!storyboard) return notFound(storyboard_id);
+
+		const before = await storyboardContent(context, storyboard);
+		const outOfRange = (shots ?? []).filter((shot) => shot > storyboard.shots.length);
+		if (outOfRange.length > 0) {
+			const message = `Storyboard ${storyboard_id} has ${storyboard.shots.length} shots; there is no shot ${outOfRange.join(", ")}`;
+			return errorResult(`Error: ${message}`, {
+				storyboard: before,
+				error: toolError("INVALID_REQUEST", "user_input", message),
+			});
+		}
+		// Shots with a task in flight are left alone, even when asked for by number
+		const busy = new Set(
+			before.shots.filter((shot) => shot.status === "rendering").map((shot) => shot.shot),
+		);
+		const requested = shots
+			? [...new Set(shots)].sort((a, b) => a - b)
+			: before.shots.filter((shot) => shot.status !== "succeeded").map((shot) => shot.shot);
+
+		// Claim the shots before rendering them, so a render started meanwhile skips them. A
+		// new take gets its new seed even if it fails, so the next render retries that take.
+		const now = Date.now();
+		const claimedUntil = now + context.config.queue.maxWaitMs + RENDER_CLAIM_MARGIN_MS;
+		const targets: number[] = [];
+		const skipped: number[] = [];
+		for (const number of requested) {
+			const claimed =
+				!busy.has(number) &&
+				(await context.storyboards.updateShot(storyboard_id, number - 1, (shot) =>
+					// Changed since it was read: another render claimed it
+					shot.keyframeTaskId !== before.shots[number - 1].keyframe_task_id ||
+					(shot.renderingUntil ?? 0) > now
+						? undefined
+						: {
+								...shot,
+								seed: new_seed ? randomSeed() : shot.seed,
+								keyframeTaskId: undefined,
+								videoTaskId: undefined,
+								failure: undefined,
+								renderingUntil: claimedUntil,
+							},
+				));
+			(claimed ? targets : skipped).push(number);
+		}
+		const skippedNote =
+			skipped.length > 0
+				? ` Skipped shots ${skipped.join(", ")}, which are already rendering.`
+				: "";
+		if (targets.length === 0) {
+			const reason = shots
+				? `Nothing was rendered.${skippedNote}`
+				: "Every shot has already succeeded or is rendering. Pass shot numbers to re-render specific shots.";
+			return textResult(`${formatStoryboard(before)}\n\n${reason}`, {
+				storyboard: before,
+				rendered: [],
+				skipped,
+			});
+		}
+
+		const claimed = (await context.storyboards.get(storyboard_id)) ?? storyboard;
+		const progress = itemCalls(call, targets.length);
+		const renders = await Promise.all(
+			targets.map(async (number, index): Promise<PipelineResult> => {
+				const shot = claimed.shots[number - 1];
+				const seed = shot.seed ?? storyboard.seed;
+				const ratio = shot.ratio ?? storyboard.ratio;
+				// Save each task as soon as it exists, so a failed or abandoned call keeps it
+				const saveTask = async (stage: "image" | "video", taskId: string) => {
+					await context.storyboards.updateShot(storyboard_id, number - 1, (current) =>
+						stage === "image"
+							? { ...current, keyframeTaskId: taskId, renderingUntil: undefined }
+							: { ...current, videoTaskId: taskId },
+					);
+				};
+				try {
+					return await runPipeline({
+						context,
+						call: progress.call(index),
+						image: {
+							prompt_text: withStyle(shot.prompt, storyboard.style),
+							model: storyboard.imageModel,
+							ratio,
+							reference_images:
+								storyboard.referenceImages.length > 0
+									? storyboard.referenceImages
+									: undefined,
+							seed,
+						},
+						video: {
+							prompt_text: withStyle(shot.motion ?? shot.prompt, storyboard.style),
+							model: storyboard.videoModel,
+							duration: shot.duration,
+							ratio,
+							seed,
+						},
+						apiKey: api_key,
+						// Re-rendering on purpose must create new tasks
+						deduplicate: false,
+						priority,
+						autoPoll: auto_poll,
+						maxWaitSeconds: max_wait_seconds,
+						onTask: saveTask,
+					});
+				} catch (error) {
+					// Anything the pipeline does not report, e.g. a failed ledger write, only fails
+					// this shot; task IDs saved so far are kept
+					const content = errorContent(error);
+					return { image: taskContent(), error: content, text: content.message };
+				} finally {
+					await progress.finished(index);
+				}
+			}),
+		);
+
+		const renderedAt = Date.now();
+		for (const [index, number] of targets.entries()) {
+			const render = renders[index];
+			await context.storyboards.updateShot(storyboard_id, number - 1, (shot) => ({
+				...shot,
+				keyframeTaskId: render.image.task_id ?? shot.keyframeTaskId,
+				videoTaskId: render.video?.task_id ?? shot.videoTaskId,
+				failure: render.error?.message,
+				renderingUntil: undefined,
+				renderedAt,
+			}));
+		}
+		const latest = (await context.storyboards.get(storyboard_id)) ?? claimed;
+
+		const content = await storyboardContent(context, latest);
+		const failed = targets.filter((_, index) => renders[index].error);
+		const text = `Rendered shots ${targets.join(", ")}.${skippedNote}\n\n${formatStoryboard(content)}`;
+		const firstError = renders[0].error;
+		if (failed.length === targets.length && firstError) {
+			return errorResult(text, {
+				storyboard: content,
+				rendered: targets,
+				skipped,
+				error: {
+					...firstError,
+					message: `All ${targets.length} shots failed. Shot ${targets[0]}: ${firstError.message}`,
+				},
+			});
+		}
+		return textResult(text, { storyboard: content, rendered: targets, skipped });
+	},
+});
+
+// A storyboard's ordered shot list with each shot's status and outputs
+export const getStoryboardTool = defineTool({
+	name: "runway_get_storyboard",
+	description:
+		"Show a storyboard's shots in order, with each shot's render status, task IDs, keyframe and video URLs",
+	inputSchema: {
+		storyboard_id: storyboardIdParam,
+	},
+	outputSchema: storyboardResultShape,
+	handler: async ({ storyboard_id }, context) => {
+		const storyboard = await context.storyboards.get(storyboard_id);
+		if (!storyboard) return notFound(storyboard_id);
+		const content = await storyboardContent(context, storyboard);
+		return textResult(formatStoryboard(content), { storyboard: content });
+	},
+});
+
+// The storyboards of this session, to find one without knowing its ID
+export const listStoryboardsTool = defineTool({
+	name: "runway_list_storyboards",
+	description: "List the storyboards of this session, newest first",
+	inputSchema: {},
+	outputSchema: storyboardListResultShape,
+	handler: async (_args, context) => {
+		const storyboards = (await context.storyboards.list()).map((storyboard) => ({
+			storyboard_id: storyboard.id,
+			title: storyboard.title,
+			shots: storyboard.shots.length,
+			created_at: new Date(storyboard.createdAt).toISOString(),
+			updated_at: new Date(storyboard.updatedAt).toISOString(),
+		}));
+		if (storyboards.length === 0) {
+			return textResult("No storyboards yet. Create one with runway_create_storyboard.", {
+				storyboards,
+			});
+		}
+		const rows = storyboards.map(
+			(storyboard) =>
+				`| ${storyboard.storyboard_id} | ${cell(storyboard.title)} | ${storyboard.shots} | ${storyboard.created_at} |`,
+		);
+		return textResult(
+			["| Storyboard ID | Title | Shots | Created |", "|---|---|---|---|", ...rows].join(
+				"\n",
+			),
+			{ storyboards },
+		);
+	},
+});
+
+export const storyboardTools = [
+	createStoryboardTool,
+	renderStoryboardTool,
+	getStoryboardTool,
+	listStoryboardsTool,
+];
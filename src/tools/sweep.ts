@@ -0,0 +1,248 @@
+import { z } from "zod";
+import { creditsToUsd } from "../runway/index.js";
+import {
+	type BatchItem,
+	GENERATION_SHAPES,
+	MAX_BATCH_ITEMS,
+	allFailedError,
+	batchItemSchema,
+	describeIssues,
+	generationFor,
+	runBatch,
+	summaryText,
+} from "./batch.js";
+import { TASK_TYPES, type TaskType } from "./history.js";
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { sweepResultShape, toolError } from "./results.js";
+import { generationOptionsShape, randomSeed } from "./runway.js";
+
+const DEFAULT_MAX_COMBINATIONS = 20;
+
+type AxisValue = string | number;
+type Variation = Record<string, AxisValue>;
+
+/** Every combination of the axis values, in axis order with the last axis varying fastest */
+export function expandAxes(axes: Record<string, AxisValue[]>): Variation[] {
+	return Object.entries(axes).reduce<Variation[]>(
+		(combinations, [name, values]) =>
+			combinations.flatMap((combination) =>
+				values.map((value) => ({ ...combination, [name]: value })),
+			),
+		[{}],
+	);
+}
+
+function describeVariation(variation: Variation): string {
+	return Object.entries(variation)
+		.map(([name, value]) => `${name}=${value}`)
+		.join(", ");
+}
+
+/** Seed derived from a sweep's idempotency key, so repeating the sweep sends the same one */
+async function seedForKey(key: string): Promise<number> {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`sweep:${key}`));
+	return new DataView(digest).getUint32(0);
+}
+
+/** The seed every result was submitted with, if they share one */
+function sharedSeed(seeds: Array<number | undefined>): number | undefined {
+	const distinct = new Set(seeds.filter((seed) => seed !== undefined));
+	return distinct.size === 1 ? [...distinct][0] : undefined;
+}
+
+function cell(value: unknown): string {
+	return String(value).replace(/\s+/g, " ").replace(/\|/g, "\\|");
+}
+
+/** Markdown table with a column per varied parameter, followed by the given columns */
+function formatGrid<Row extends { index: number; variation: Variation }>(
+	axes: string[],
+	rows: Row[],
+	columns: Array<[header: string, value: (row: Row) => unknown]>,
+): string {
+	const headers = ["#", ...axes, ...columns.map(([header]) => header)];
+	const lines = rows.map(
+		(row) =>
+			`| ${[
+				row.index,
+				...axes.map((axis) => row.variation[axis]),
+				...columns.map(([, value]) => value(row)),
+			]
+				.map(cell)
+				.join(" | ")} |`,
+	);
+	return [`| ${headers.join(" | ")} |`, `|${"---|".repeat(headers.length)}`, ...lines].join("\n");
+}
+
+// Explore variations of one generation by running every combination of the varied parameters
+export const sweepTool = defineTool({
+	name: "runway_sweep",
+	description: `Explore variations of a RunwayML generation: give a base request and the parameters to vary (e.g. prompts, models, durations), and every combination is run as a batch and returned as a comparison grid keyed by the varied values. Use preview to see the combinations and their estimated cost first. At most ${MAX_BATCH_ITEMS} combinations.`,
+	inputSchema: {
+		type: z
+			.enum(Object.keys(TASK_TYPES) as [TaskType, ...TaskType[]])
+			.describe(
+				"Kind of generation, matching runway_text_to_video, runway_image_to_video or runway_text_to_image",
+			),
+		base: z
+			.record(z.unknown())
+			.default({})
+			.describe(
+				'Parameters shared by every combination, as accepted by the generation tool for `type` (e.g. {"prompt": "a lighthouse at dusk"})',
+			),
+		axes: z
+			.record(z.array(z.union([z.string(), z.number()])).min(1))
+			.refine((axes) => Object.keys(axes).length > 0, "Give at least one parameter to vary")
+			.describe(
+				'Parameters to vary, each with the values to try (e.g. {"model": ["gen4_turbo", "gen3a_turbo"], "duration": [5, 10]}). Values override `base`',
+			),
+		max_combinations: z
+			.number()
+			.int()
+			.min(1)
+			.max(MAX_BATCH_ITEMS)
+			.default(DEFAULT_MAX_COMBINATIONS)
+			.describe("Refuse to run sweeps with more combinations than this"),
+		preview: z
+			.boolean()
+			.default(false)
+			.describe("Only list the combinations and their estimated cost, without running them"),
+		...generationOptionsShape,
+	},
+	outputSchema: sweepResultShape,
+	handler: async (
+		{
+			type,
+			base,
+			axes,
+			max_combinations,
+			preview,
+			auto_poll,
+			max_wait_seconds,
+			idempotency_key,
+			priority,
+			api_key,
+		},
+		context,
+		call,
+	) => {
+		const names = Object.keys(axes);
+		const invalid = (code: string, message: string) =>
+			errorResult(`Error: ${message}`, {
+				type,
+				axes: names,
+				preview,
+				combinations: 0,
+				rows: [],
+				error: toolError(code, "user_input", message),
+			});
+
+		const unknown = names.filter((name) => !(name in GENERATION_SHAPES[type]));
+		if (unknown.length > 0) {
+			return invalid(
+				"INVALID_REQUEST",
+				`${unknown.join(", ")} cannot be varied for ${type}; use one of ${Object.keys(GENERATION_SHAPES[type]).join(", ")}`,
+			);
+		}
+		const values = Object.fromEntries(
+			Object.entries(axes).map(([name, list]) => [name, [...new Set(list)]]),
+		);
+		const combinations = Object.values(values).reduce((count, list) => count * list.length, 1);
+		if (combinations > max_combinations) {
+			return invalid(
+				"SWEEP_TOO_LARGE",
+				`This sweep has ${combinations} combinations, more than max_combinations (${max_combinations}). Vary fewer values${max_combinations < MAX_BATCH_ITEMS ? ` or raise max_combinations (up to ${MAX_BATCH_ITEMS})` : ""}.`,
+			);
+		}
+
+		// Unless the seed is varied, every combination shares one, so the grid only shows the
+		// effect of the varied parameters. It is sent like a random seed, outside the compared
+		// parameters, so a repeated sweep still reuses its tasks; with an idempotency key it is
+		// derived from the key, so tasks submitted by the repeat get the same one. A preview
+		// without a key submits nothing, so it picks none.
+		const seedVaries = "seed" in values;
+		const sweepSeed = seedVaries
+			? undefined
+			: idempotency_key
+				? await seedForKey(idempotency_key)
+				: preview
+					? undefined
+					: randomSeed();
+
+		// Validate every combination before submitting any of them
+		const variations = expandAxes(values);
+		const items: BatchItem[] = [];
+		for (const [index, variation] of variations.entries()) {
+			const parsed = batchItemSchema.safeParse({ ...base, ...variation, type });
+			if (!parsed.success) {
+				return invalid(
+					"INVALID_REQUEST",
+					`Combination ${index + 1} (${describeVariation(variation)}) is invalid: ${describeIssues(parsed.error)}`,
+				);
+			}
+			items.push(parsed.data);
+		}
+		const costs = items.map((item) => generationFor(item).estimatedCredits);
+		const credits = costs.reduce((sum, cost) => sum + cost, 0);
+		const usd = creditsToUsd(credits);
+		const cost = `${credits} credits ($${usd.toFixed(2)})`;
+		const seedNote = (seed?: number) => (seed === undefined ? "" : `, all with seed ${seed}`);
+		const totals = {
+			type,
+			axes: names,
+			preview,
+			combinations,
+			estimated_credits: credits,
+			estimated_usd: usd,
+		};
+
+		if (preview) {
+			const rows = variations.map((variation, index) => ({
+				index: index + 1,
+				variation,
+				estimated_credits: costs[index],
+				outputs: [],
+			}));
+			const grid = formatGrid(names, rows, [
+				["Est. credits", (row) => row.estimated_credits],
+			]);
+			const seed = seedVaries ? undefined : (items[0]?.seed ?? sweepSeed);
+			return textResult(
+				`Sweep preview: ${combinations} ${type} combinations${seedNote(seed)}, estimated ${cost}. Nothing was submitted.\n\n${grid}`,
+				{ ...totals, seed, rows },
+			);
+		}
+
+		const { results, summary } = await runBatch(items, context, call, {
+			apiKey: api_key,
+			idempotencyKey: idempotency_key,
+			seed: sweepSeed,
+			priority,
+			autoPoll: auto_poll,
+			maxWaitSeconds: max_wait_seconds,
+		});
+		const rows = results.map(({ type: _type, ...result }, index) => ({
+			...result,
+			variation: variations[index],
+			estimated_credits: costs[index],
+		}));
+		const grid = formatGrid(names, rows, [
+			["Status", (row) => row.status ?? (row.task_id ? "PENDING" : "—")],
+			["Task ID", (row) => row.task_id ?? "—"],
+			[
+				"Result",
+				(row) =>
+					row.error ? `${row.error.code}: ${row.error.message}` : row.outputs.join(" "),
+			],
+		]);
+		// Reused tasks keep the seed they were submitted with
+		const seed = seedVaries ? undefined : sharedSeed(results.map((result) => result.seed));
+		const text = `Sweep of ${combinations} ${type} combinations${seedNote(seed)} (estimated ${cost}): ${summaryText(summary)}.\n\n${grid}`;
+		const error = allFailedError(results, summary);
+		return error
+			? errorResult(text, { ...totals, seed, rows, summary, error })
+			: textResult(text, { ...totals, seed, rows, summary });
+	},
+});
+
+export const sweepTools = [sweepTool];
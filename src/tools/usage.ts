@@ -0,0 +1,172 @@
+import { z } from "zod";
+import {
+	USAGE_DIMENSIONS,
+	type UsageDimension,
+	type UsageStats,
+	buildUsageReport,
+} from "../usage/index.js";
+import { isoDateParam } from "./history.js";
+import { defineTool, errorResult, textResult } from "./registry.js";
+import { errorContent, usageReportResultShape } from "./results.js";
+
+const USAGE_FORMATS = ["table", "csv", "json"] as const;
+
+const STAT_COLUMNS = [
+	"tasks",
+	"succeeded",
+	"failed",
+	"cancelled",
+	"in_progress",
+	"success_rate",
+	"failure_rate",
+	"credits",
+	"avg_render_seconds",
+] as const;
+
+type StatColumn = (typeof STAT_COLUMNS)[number];
+
+function round(value: number | undefined, digits: number): number | undefined {
+	return value === undefined ? undefined : Number(value.toFixed(digits));
+}
+
+function statsContent(stats: UsageStats): Record<StatColumn, number | undefined> {
+	return {
+		tasks: stats.tasks,
+		succeeded: stats.succeeded,
+		failed: stats.failed,
+		cancelled: stats.cancelled,
+		in_progress: stats.inProgress,
+		success_rate: round(stats.successRate, 4),
+		failure_rate: round(stats.failureRate, 4),
+		credits: stats.credits,
+		avg_render_seconds: round(stats.avgRenderSeconds, 1),
+	};
+}
+
+type ReportRow = Partial<Record<UsageDimension, string>> & Record<StatColumn, number | undefined>;
+
+function formatTable(
+	dimensions: readonly UsageDimension[],
+	rows: ReportRow[],
+	totals: ReportRow,
+): string {
+	const percent = (rate: number | undefined) =>
+		rate === undefined ? "–" : `${(rate * 100).toFixed(1)}%`;
+	const line = (row: ReportRow, label?: string) => {
+		const keys = dimensions.map((dimension, index) =>
+			label !== undefined ? (index === 0 ? label : "") : (row[dimension] ?? ""),
+		);
+		return `| ${[
+			...keys,
+			row.tasks,
+			row.succeeded,
+			row.failed,
+			row.cancelled,
+			row.in_progress,
+			percent(row.success_rate),
+			row.credits,
+			row.avg_render_seconds === undefined ? "–" : `${row.avg_render_seconds}s`,
+		].join(" | ")} |`;
+	};
+	const headings = [
+		...dimensions.map((dimension) => dimension[0].toUpperCase() + dimension.slice(1)),
+		"Tasks",
+		"Succeeded",
+		"Failed",
+		"Cancelled",
+		"In progress",
+		"Success rate",
+		"Credits",
+		"Avg render",
+	];
+	return [
+		`| ${headings.join(" | ")} |`,
+		`|${headings.map(() => "---").join("|")}|`,
+		...rows.map((row) => line(row)),
+		line(totals, "**Total**"),
+	].join("\n");
+}
+
+function csvField(value: string | number | undefined): string {
+	if (value === undefined) return "";
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(dimensions: readonly UsageDimension[], rows: ReportRow[]): string {
+	const columns = [...dimensions, ...STAT_COLUMNS];
+	return [
+		columns.join(","),
+		...rows.map((row) => columns.map((column) => csvField(row[column])).join(",")),
+	].join("\n");
+}
+
+// Aggregate recorded generations for finance and capacity planning
+export const usageReportTool = defineTool({
+	name: "runway_usage_report",
+	description:
+		"Report RunwayML usage recorded by this server: estimated credits spent, task counts, success and failure rates and average render times, broken down by day, model, tool and/or session. Returns a table, CSV or JSON.",
+	inputSchema: {
+		group_by: z
+			.array(z.enum(USAGE_DIMENSIONS))
+			.min(1)
+			.default(["day"])
+			.describe("Dimensions to break the report down by, in column order"),
+		created_after: isoDateParam
+			.optional()
+			.describe("Only tasks submitted at or after this time (ISO 8601)"),
+		created_before: isoDateParam
+			.optional()
+			.describe("Only tasks submitted before this time (ISO 8601)"),
+		format: z
+			.enum(USAGE_FORMATS)
+			.default("table")
+			.describe("Text format: a Markdown table, CSV or JSON"),
+	},
+	outputSchema: usageReportResultShape,
+	handler: async ({ group_by, created_after, created_before, format }, context) => {
+		const dimensions = [...new Set(group_by)];
+		const window = { created_after, created_before };
+
+		let records: Awaited<ReturnType<typeof context.usage.list>>;
+		try {
+			records = await context.usage.list({
+				createdAfter: created_after ? Date.parse(created_after) : undefined,
+				createdBefore: created_before ? Date.parse(created_before) : undefined,
+			});
+		} catch (error) {
+			const content = errorContent(error);
+			return errorResult(`Error reading usage: ${content.message}`, {
+				group_by: dimensions,
+				...window,
+				rows: [],
+				error: content,
+			});
+		}
+
+		const report = buildUsageReport(records, dimensions);
+		const rows: ReportRow[] = report.groups.map((group) => ({
+			...group.key,
+			...statsContent(group),
+		}));
+		const totals = statsContent(report.totals);
+		const structured = { group_by: dimensions, ...window, rows, totals };
+
+		switch (format) {
+			case "csv":
+				return textResult(formatCsv(dimensions, rows), structured);
+			case "json":
+				return textResult(JSON.stringify({ rows, totals }, null, 2), structured);
+			default:
+				if (records.length === 0) {
+					return textResult("No tasks were submitted in this period.", structured);
+				}
+				return textResult(
+					`Usage of ${records.length} task${records.length === 1 ? "" : "s"} (credits are estimated at submission):\n\n${formatTable(dimensions, rows, totals)}`,
+					structured,
+				);
+		}
+	},
+});
+
+export const usageTools = [usageReportTool];
@@ -0,0 +1,30 @@
+import { DurableObject } from "cloudflare:workers";
+import { SqlUsageStore, type UsageQuery, type UsageRecord, type UsageStore } from "./store.js";
+
+/** Name of the single UsageObject instance shared by the whole deployment */
+const DEPLOYMENT_USAGE = "deployment";
+
+/**
+ * Deployment-wide usage records, written by every MCP session over RPC. Lives outside
+ * usage/index.ts because `cloudflare:workers` only resolves inside the Worker.
+ */
+export class UsageObject extends DurableObject {
+	private readonly store = new SqlUsageStore(this.ctx.storage.sql);
+
+	put(record: UsageRecord): Promise<void> {
+		return this.store.put(record);
+	}
+
+	list(query?: UsageQuery): Promise<UsageRecord[]> {
+		return this.store.list(query);
+	}
+}
+
+/** UsageStore backed by the deployment's UsageObject */
+export function deploymentUsageStore(namespace: DurableObjectNamespace<UsageObject>): UsageStore {
+	const stub = namespace.get(namespace.idFromName(DEPLOYMENT_USAGE));
+	return {
+		put: (record) => stub.put(record),
+		list: (query) => stub.list(query),
+	};
+}
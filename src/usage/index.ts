@@ -0,0 +1,2 @@
+export * from "./report.js";
+export * from "./store.js";
@@ -0,0 +1,99 @@
+import { isTerminalStatus } from "../runway/index.js";
+import type { UsageRecord } from "./store.js";
+
+/** Ways to break a usage report down; combined, they group by every listed dimension */
+export const USAGE_DIMENSIONS = ["day", "model", "tool", "session"] as const;
+
+export type UsageDimension = (typeof USAGE_DIMENSIONS)[number];
+
+/** Aggregate usage of one group of tasks */
+export interface UsageStats {
+	tasks: number;
+	succeeded: number;
+	failed: number;
+	cancelled: number;
+	/** Not yet in a terminal status */
+	inProgress: number;
+	/** Fraction of finished tasks that succeeded; absent when none finished */
+	successRate?: number;
+	/** Fraction of finished tasks that failed; absent when none finished */
+	failureRate?: number;
+	/** Estimated credits charged when the tasks were submitted */
+	credits: number;
+	/** Mean time from submission to success; absent when none succeeded */
+	avgRenderSeconds?: number;
+}
+
+export interface UsageGroup extends UsageStats {
+	/** Value of each requested dimension, e.g. { day: "2025-06-01", model: "gen4_turbo" } */
+	key: Partial<Record<UsageDimension, string>>;
+}
+
+export interface UsageReport {
+	groups: UsageGroup[];
+	totals: UsageStats;
+}
+
+function dimensionValue(record: UsageRecord, dimension: UsageDimension): string {
+	switch (dimension) {
+		case "day":
+			return new Date(record.createdAt).toISOString().slice(0, 10);
+		case "model":
+			return record.model ?? "unknown";
+		case "tool":
+			return record.tool;
+		case "session":
+			return record.sessionId;
+	}
+}
+
+function stats(records: UsageRecord[]): UsageStats {
+	const count = (status: string) => records.filter((record) => record.status === status).length;
+	const succeeded = count("SUCCEEDED");
+	const failed = count("FAILED");
+	const cancelled = count("CANCELLED");
+	const finished = records.filter((record) => isTerminalStatus(record.status)).length;
+	const renderTimes = records
+		.filter((record) => record.status === "SUCCEEDED" && record.completedAt !== undefined)
+		.map((record) => ((record.completedAt as number) - record.createdAt) / 1000);
+	return {
+		tasks: records.length,
+		succeeded,
+		failed,
+		cancelled,
+		inProgress: records.length - finished,
+		successRate: finished > 0 ? succeeded / finished : undefined,
+		failureRate: finished > 0 ? failed / finished : undefined,
+		credits: records.reduce((sum, record) => sum + (record.estimatedCredits ?? 0), 0),
+		avgRenderSeconds:
+			renderTimes.length > 0
+				? renderTimes.reduce((sum, seconds) => sum + seconds, 0) / renderTimes.length
+				: undefined,
+	};
+}
+
+/**
+ * Aggregate usage records by the given dimensions. Groups are sorted by their key values,
+ * in dimension order, so days read chronologically.
+ */
+export function buildUsageReport(
+	records: UsageRecord[],
+	dimensions: readonly UsageDimension[],
+): UsageReport {
+	type Bucket = { key: UsageGroup["key"]; records: UsageRecord[] };
+	const buckets = new Map<string, Bucket>();
+	for (const record of records) {
+		const key = Object.fromEntries(
+			dimensions.map((dimension) => [dimension, dimensionValue(record, dimension)]),
+		);
+		const id = JSON.stringify(dimensions.map((dimension) => key[dimension]));
+		const bucket: Bucket = buckets.get(id) ?? { key, records: [] };
+		bucket.records.push(record);
+		buckets.set(id, bucket);
+	}
+
+	const groups = [...buckets.entries()]
+		.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+		.map(([, bucket]) => ({ key: bucket.key, ...stats(bucket.records) }));
+	return { groups, totals: stats(records) };
+}
@@ -0,0 +1,162 @@
+import type { TaskLedgerListener, TaskRecord } from "../ledger/index.js";
+import type { TaskStatus } from "../runway/index.js";
+
+/**
+ * What usage reports need to know about one generation task. Unlike the task ledger,
+ * which is kept per API key, usage is collected for the whole deployment.
+ */
+export interface UsageRecord {
+	id: string;
+	/** Session that submitted the task */
+	sessionId: string;
+	tool: string;
+	model?: string;
+	status: TaskStatus;
+	estimatedCredits?: number;
+	createdAt: number;
+	/** When the task was first seen in a terminal status */
+	completedAt?: number;
+}
+
+/** Submission time window; both bounds are epoch milliseconds */
+export interface UsageQuery {
+	/** Inclusive */
+	createdAfter?: number;
+	/** Exclusive */
+	createdBefore?: number;
+}
+
+/**
+ * Usage records of a deployment. The Worker keeps them in a shared UsageObject; the stdio
+ * server keeps them in memory.
+ */
+export interface UsageStore {
+	/** Insert a record, or replace the one with the same task ID */
+	put(record: UsageRecord): Promise<void>;
+	/** Records submitted in the window, oldest first */
+	list(query?: UsageQuery): Promise<UsageRecord[]>;
+}
+
+export function usageRecord(record: TaskRecord, sessionId: string): UsageRecord {
+	return {
+		id: record.id,
+		sessionId,
+		tool: record.tool,
+		model: record.model,
+		status: record.status,
+		estimatedCredits: record.estimatedCredits,
+		createdAt: record.createdAt,
+		completedAt: record.completedAt,
+	};
+}
+
+/**
+ * Ledger listener that copies every new task and status change of a session into the
+ * deployment's usage store. Write failures are ignored: a report missing a task is better
+ * than a generation that fails because usage could not be recorded.
+ */
+export function usageRecorder(store: UsageStore, sessionId: string): TaskLedgerListener {
+	const put = async (record: TaskRecord) => {
+		try {
+			await store.put(usageRecord(record, sessionId));
+		} catch {
+			// Usage is best-effort
+		}
+	};
+	return {
+		created: put,
+		updated: async (record, previous) => {
+			if (record.status !== previous.status) await put(record);
+		},
+	};
+}
+
+/**
+ * In-process usage for the stdio server. Records last as long as the process.
+ */
+export class MemoryUsageStore implements UsageStore {
+	private readonly records = new Map<string, UsageRecord>();
+
+	async put(record: UsageRecord): Promise<void> {
+		this.records.set(record.id, { ...record });
+	}
+
+	async list(query: UsageQuery = {}): Promise<UsageRecord[]> {
+		return [...this.records.values()]
+			.filter(
+				(record) =>
+					(query.createdAfter === undefined || record.createdAt >= query.createdAfter) &&
+					(query.createdBefore === undefined || record.createdAt < query.createdBefore),
+			)
+			.sort((a, b) => a.createdAt - b.createdAt)
+			.map((record) => ({ ...record }));
+	}
+}
+
+type UsageRow = {
+	id: string;
+	session_id: string;
+	tool: string;
+	model: string | null;
+	status: string;
+	estimated_credits: number | null;
+	created_at: number;
+	completed_at: number | null;
+};
+
+/**
+ * Usage stored in a Durable Object's SQLite database.
+ */
+export class SqlUsageStore implements UsageStore {
+	constructor(private readonly sql: SqlStorage) {
+		sql.exec(`CREATE TABLE IF NOT EXISTS runway_usage (
+			id TEXT PRIMARY KEY,
+			session_id TEXT NOT NULL,
+			tool TEXT NOT NULL,
+			model TEXT,
+			status TEXT NOT NULL,
+			estimated_credits REAL,
+			created_at INTEGER NOT NULL,
+			completed_at INTEGER
+		)`);
+		sql.exec("CREATE INDEX IF NOT EXISTS runway_usage_created_at ON runway_usage (created_at)");
+	}
+
+	async put(record: UsageRecord): Promise<void> {
+		this.sql.exec(
+			`INSERT OR REPLACE INTO runway_usage
+				(id, session_id, tool, model, status, estimated_credits, created_at, completed_at)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+			record.id,
+			record.sessionId,
+			record.tool,
+			record.model ?? null,
+			record.status,
+			record.estimatedCredits ?? null,
+			record.createdAt,
+			record.completedAt ?? null,
+		);
+	}
+
+	async list(query: UsageQuery = {}): Promise<UsageRecord[]> {
+		return this.sql
+			.exec<UsageRow>(
+				`SELECT * FROM runway_usage
+					WHERE created_at >= ? AND created_at < ?
+					ORDER BY created_at, id`,
+				query.createdAfter ?? Number.MIN_SAFE_INTEGER,
+				query.createdBefore ?? Number.MAX_SAFE_INTEGER,
+			)
+			.toArray()
+			.map((row) => ({
+				id: row.id,
+				sessionId: row.session_id,
+				tool: row.tool,
+				model: row.model ?? undefined,
+				status: row.status as TaskStatus,
+				estimatedCredits: row.estimated_credits ?? undefined,
+				createdAt: row.created_at,
+				completedAt: row.completed_at ?? undefined,
+			}));
+	}
+}
@@ -0,0 +1,98 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { z } from "zod";
+import { resolveConfig } from "../src/config.js";
+import { MemoryTaskLedger, type TaskRecord, type TaskSubmission } from "../src/ledger/index.js";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { RunwayClient } from "../src/runway/index.js";
+import { MemoryStoryboardStore } from "../src/storyboard/index.js";
+import { batchItemSchema, runBatch } from "../src/tools/batch.js";
+import type { ToolCall, ToolContext, ToolDefinition } from "../src/tools/index.js";
+import { createStoryboardTool, renderStoryboardTool } from "../src/tools/storyboard.js";
+import { MemoryUsageStore } from "../src/usage/index.js";
+import { TEST_API_KEY, startMock } from "./helpers.js";
+
+/** Ledger whose writes fail for prompts containing "[ledger:fail]" */
+class FailingLedger extends MemoryTaskLedger {
+	override async record(submission: TaskSubmission): Promise<TaskRecord> {
+		if (submission.prompt?.includes("[ledger:fail]")) {
+			throw new Error("Ledger write failed");
+		}
+		return super.record(submission);
+	}
+}
+
+const call: ToolCall = {
+	signal: new AbortController().signal,
+	reportProgress: async () => {},
+};
+
+/** Call a tool's handler with its input defaults applied, as the MCP server would */
+function handle(tool: ToolDefinition<any>, args: Record<string, unknown>, context: ToolContext) {
+	return tool.handler(z.object(tool.inputSchema).parse(args), context, call);
+}
+
+describe("unexpected errors of one item", () => {
+	let mock: MockRunwayServer;
+	let context: ToolContext;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		context = {
+			config: resolveConfig({ polling: { initialDelayMs: 10, maxDelayMs: 40 } }),
+			getClient: () => new RunwayClient({ apiKey: TEST_API_KEY, baseUrl: mock.url }),
+			keyScope: async () => "server",
+			ledger: new FailingLedger(),
+			usage: new MemoryUsageStore(),
+			storyboards: new MemoryStoryboardStore(),
+		};
+	});
+
+	afterAll(async () => {
+		await mock?.close();
+	});
+
+	it("fail only that item of a batch", async () => {
+		const { results, summary } = await runBatch(
+			[
+				{ type: "text_to_image", prompt_text: "kept" },
+				{ type: "text_to_image", prompt_text: "lost [ledger:fail]" },
+			].map((item) => batchItemSchema.parse(item)),
+			context,
+			call,
+			{ priority: 0, autoPoll: false, maxWaitSeconds: 5 },
+		);
+		expect(results).toMatchObject([
+			{ index: 1, task_id: expect.any(String) },
+			{
+				index: 2,
+				prompt: "lost [ledger:fail]",
+				error: { code: "INTERNAL_ERROR", message: expect.stringContaining("Ledger write") },
+			},
+		]);
+		expect(summary).toMatchObject({ total: 2, failed: 1, pending: 1 });
+	});
+
+	it("fail only that shot of a storyboard render", async () => {
+		const created = await handle(
+			createStoryboardTool,
+			{
+				title: "Two doors",
+				shots: [{ prompt: "a red door" }, { prompt: "a blue door [ledger:fail]" }],
+			},
+			context,
+		);
+		const { storyboard_id } = created.structuredContent?.storyboard as {
+			storyboard_id: string;
+		};
+
+		const rendered = await handle(renderStoryboardTool, { storyboard_id }, context);
+		expect(rendered.isError).toBeFalsy();
+		expect(rendered.structuredContent?.rendered).toEqual([1, 2]);
+		expect(
+			(rendered.structuredContent?.storyboard as { shots: unknown[] }).shots,
+		).toMatchObject([
+			{ shot: 1, status: "succeeded" },
+			{ shot: 2, status: "failed", failure: expect.stringContaining("Ledger write") },
+		]);
+	});
+});
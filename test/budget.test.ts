@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import {
+	type BudgetLimits,
+	BudgetExceededError,
+	CreditBudget,
+	MemorySpendStore,
+} from "../src/budget/index.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function budgetAt(limits: BudgetLimits, deployment = new MemorySpendStore()) {
+	let clock = 10 * DAY + 1000;
+	const budget = new CreditBudget({
+		limits,
+		session: new MemorySpendStore(),
+		deployment,
+		now: () => clock,
+	});
+	const tick = (ms: number) => {
+		clock += ms;
+	};
+	return { budget, tick };
+}
+
+describe("CreditBudget", () => {
+	it("refuses a charge that would exceed the session budget", async () => {
+		const { budget } = budgetAt({ sessionCredits: 60 });
+		await budget.reserve(25);
+		await budget.reserve(25);
+		const refusal = budget.reserve(25);
+		await expect(refusal).rejects.toBeInstanceOf(BudgetExceededError);
+		await expect(refusal).rejects.toMatchObject({
+			scope: "session",
+			requested: 25,
+			limit: 60,
+			spent: 50,
+			message: expect.stringContaining("only 10 of 60 remain"),
+		});
+	});
+
+	it("shares daily and deployment budgets between sessions", async () => {
+		const shared = new MemorySpendStore();
+		const first = budgetAt({ deploymentCredits: 50 }, shared).budget;
+		const second = budgetAt({ deploymentCredits: 50 }, shared).budget;
+		await first.reserve(25);
+		await second.reserve(25);
+		await expect(first.reserve(5)).rejects.toMatchObject({ scope: "deployment" });
+
+		// The refused charge left nothing behind in the session scope
+		const [session] = await first.status();
+		expect(session).toMatchObject({ scope: "session", spent: 25 });
+	});
+
+	it("starts the daily budget over at midnight UTC", async () => {
+		const { budget, tick } = budgetAt({ dailyCredits: 30 });
+		await budget.reserve(25);
+		await expect(budget.reserve(10)).rejects.toMatchObject({
+			scope: "daily",
+			resetsAt: 11 * DAY,
+			message: expect.stringContaining("resets at"),
+		});
+		tick(DAY);
+		await expect(budget.reserve(10)).resolves.toBeDefined();
+	});
+
+	it("refunds released reservations", async () => {
+		const { budget } = budgetAt({ sessionCredits: 30 });
+		const reservation = await budget.reserve(25);
+		await reservation.release();
+		await expect(budget.reserve(25)).resolves.toBeDefined();
+	});
+
+	it("refunds the session charge when the deployment store fails", async () => {
+		const deployment = new MemorySpendStore();
+		const { budget } = budgetAt({ sessionCredits: 30 }, deployment);
+		const charge = deployment.charge.bind(deployment);
+		deployment.charge = async () => {
+			throw new Error("BudgetObject unavailable");
+		};
+		await expect(budget.reserve(25)).rejects.toThrow("BudgetObject unavailable");
+
+		deployment.charge = charge;
+		await expect(budget.reserve(25)).resolves.toBeDefined();
+	});
+
+	it("reports spend and remaining credits per scope", async () => {
+		const { budget } = budgetAt({ sessionCredits: 100, dailyCredits: 40 });
+		await budget.reserve(25);
+		expect(await budget.status()).toEqual([
+			{ scope: "session", limit: 100, spent: 25, remaining: 75 },
+			{ scope: "daily", limit: 40, spent: 25, remaining: 15, resetsAt: 11 * DAY },
+			{ scope: "deployment", limit: undefined, spent: 25, remaining: undefined },
+		]);
+	});
+});
@@ -0,0 +1,111 @@
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import type { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { type Unstable_DevWorker, unstable_dev } from "wrangler";
+import { type MockRunwayServer, startMockRunwayServer } from "../src/mock/server.js";
+
+export const TEST_API_KEY = "test-runway-key";
+
+/**
+ * Environment shared by both servers under test: the mock API, and polling tuned to
+ * milliseconds so lifecycles finish quickly. Background tracking is off unless a test
+ * turns it on, so it never advances mock tasks behind a test's back.
+ */
+export function serverEnv(
+	mockUrl: string,
+	overrides: Record<string, string> = {},
+): Record<string, string> {
+	return {
+		RUNWAYML_API_KEY: TEST_API_KEY,
+		RUNWAYML_API_BASE_URL: mockUrl,
+		RUNWAYML_POLL_INITIAL_DELAY_MS: "10",
+		RUNWAYML_POLL_MAX_DELAY_MS: "40",
+		RUNWAYML_POLL_THROTTLED_DELAY_MS: "10",
+		RUNWAYML_POLL_MAX_TRANSIENT_ERRORS: "2",
+		RUNWAYML_TRACKING_ENABLED: "false",
+		...overrides,
+	};
+}
+
+export function startMock(): Promise<MockRunwayServer> {
+	return startMockRunwayServer({ port: 0, apiKey: TEST_API_KEY });
+}
+
+function newClient(): Client {
+	return new Client({ name: "tercer-mcp-tests", version: "0.0.0" });
+}
+
+/**
+ * Spawn src/local-server.ts the same way `npm run mcp` does and connect over stdio.
+ */
+export async function connectStdio(
+	mockUrl: string,
+	overrides: Record<string, string> = {},
+): Promise<Client> {
+	const client = newClient();
+	await client.connect(
+		new StdioClientTransport({
+			command: process.execPath,
+			args: ["--loader", "ts-node/esm", "src/local-server.ts"],
+			env: {
+				...(process.env as Record<string, string>),
+				...serverEnv(mockUrl, overrides),
+				TS_NODE_TRANSPILE_ONLY: "true",
+				NODE_NO_WARNINGS: "1",
+			},
+			stderr: "ignore",
+		}),
+	);
+	return client;
+}
+
+/**
+ * Run the Worker in a local workerd instance pointed at the mock API. Durable Object
+ * storage goes to a throwaway directory so runs never touch .wrangler/state.
+ */
+export function startWorker(
+	mockUrl: string,
+	overrides: Record<string, string> = {},
+): Promise<Unstable_DevWorker> {
+	return unstable_dev("src/index.ts", {
+		config: "wrangler.jsonc",
+		vars: serverEnv(mockUrl, overrides),
+		ip: "127.0.0.1",
+		persistTo: mkdtempSync(join(tmpdir(), "tercer-mcp-test-")),
+		logLevel: "none",
+		experimental: { disableExperimentalWarning: true },
+	});
+}
+
+export async function connectWorker(
+	worker: Unstable_DevWorker,
+	transport: "mcp" | "sse",
+): Promise<Client> {
+	const url = new URL(`http://${worker.address}:${worker.port}/${transport}`);
+	const client = newClient();
+	await client.connect(
+		transport === "mcp" ? new StreamableHTTPClientTransport(url) : new SSEClientTransport(url),
+	);
+	return client;
+}
+
+/**
+ * Call a tool and return its result along with the concatenated text content.
+ */
+export async function callTool(
+	client: Client,
+	name: string,
+	args: Record<string, unknown> = {},
+): Promise<CallToolResult & { text: string }> {
+	const result = (await client.callTool({ name, arguments: args })) as CallToolResult;
+	const text = result.content
+		.filter((item) => item.type === "text")
+		.map((item) => item.text)
+		.join("\n");
+	return { ...result, text };
+}
@@ -0,0 +1,218 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { resolveConfig } from "../src/config.js";
+import { MemoryKeyReservations, MemoryTaskLedger } from "../src/ledger/index.js";
+import { MemoryStoryboardStore } from "../src/storyboard/index.js";
+import {
+	IdempotencyConflictError,
+	claimIdempotentTask,
+	deriveIdempotencyKey,
+	matchIdempotentTask,
+	normalizedJson,
+} from "../src/tools/idempotency.js";
+import type { ToolContext } from "../src/tools/index.js";
+import { MemoryUsageStore } from "../src/usage/index.js";
+
+const TOOL = "runway_text_to_video";
+const PARAMS = { prompt: "a red car", model: "gen4_turbo", duration: 5 };
+
+function contextWith(idempotency: { keyTtlMs?: number; autoWindowMs?: number }): ToolContext {
+	return {
+		config: resolveConfig({ idempotency, polling: { initialDelayMs: 10 } }),
+		getClient: () => {
+			throw new Error("not used");
+		},
+		keyScope: async () => "server",
+		ledger: new MemoryTaskLedger(),
+		reservations: new MemoryKeyReservations(),
+		usage: new MemoryUsageStore(),
+		storyboards: new MemoryStoryboardStore(),
+	};
+}
+
+describe("normalizedJson", () => {
+	it("ignores key order, extra whitespace and undefined values", () => {
+		expect(normalizedJson({ b: 1, a: "  a   red\ncar ", c: undefined })).toBe(
+			normalizedJson({ a: "a red car", b: 1 }),
+		);
+	});
+
+	it("keeps array order", () => {
+		expect(normalizedJson([1, 2])).not.toBe(normalizedJson([2, 1]));
+	});
+});
+
+describe("deriveIdempotencyKey", () => {
+	it("is stable for equivalent parameters and differs between tools", async () => {
+		const key = await deriveIdempotencyKey(TOOL, PARAMS);
+		expect(key).toMatch(/^auto:[0-9a-f]{64}$/);
+		expect(await deriveIdempotencyKey(TOOL, { ...PARAMS, prompt: " a red  car" })).toBe(key);
+		expect(await deriveIdempotencyKey("runway_text_to_image", PARAMS)).not.toBe(key);
+	});
+});
+
+describe("matchIdempotentTask", () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ toFake: ["Date"], now: 1_000_000 });
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("matches an explicit key until it expires", async () => {
+		const context = contextWith({ keyTtlMs: 60_000 });
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: "k" });
+
+		expect(
+			(await matchIdempotentTask(context, { tool: TOOL, params: PARAMS, key: "k" })).existing
+				?.id,
+		).toBe("t1");
+		vi.advanceTimersByTime(60_001);
+		expect(
+			await matchIdempotentTask(context, { tool: TOOL, params: PARAMS, key: "k" }),
+		).toEqual({ key: "k" });
+	});
+
+	it("throws when an explicit key comes back with other parameters", async () => {
+		const context = contextWith({});
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: "k" });
+		await expect(
+			matchIdempotentTask(context, {
+				tool: TOOL,
+				params: { ...PARAMS, duration: 10 },
+				key: "k",
+			}),
+		).rejects.toBeInstanceOf(IdempotencyConflictError);
+	});
+
+	it("leaves ignored parameters out of the comparison and of derived keys", async () => {
+		const context = contextWith({ autoWindowMs: 30_000 });
+		const signed = (signature: string) => ({
+			...PARAMS,
+			prompt_image: `https://cdn.example/keyframe.png?sig=${signature}`,
+		});
+		const request = { tool: TOOL, ignoredParams: ["prompt_image"] };
+		const { key } = await matchIdempotentTask(context, { ...request, params: signed("1") });
+		await context.ledger.record({
+			id: "t1",
+			tool: TOOL,
+			params: signed("1"),
+			idempotencyKey: key,
+		});
+		await context.ledger.record({
+			id: "t2",
+			tool: TOOL,
+			params: signed("1"),
+			idempotencyKey: "k",
+		});
+
+		expect(
+			(await matchIdempotentTask(context, { ...request, params: signed("2") })).existing?.id,
+		).toBe("t1");
+		expect(
+			(await matchIdempotentTask(context, { ...request, params: signed("2"), key: "k" }))
+				.existing?.id,
+		).toBe("t2");
+		await expect(
+			matchIdempotentTask(context, { tool: TOOL, params: signed("2"), key: "k" }),
+		).rejects.toBeInstanceOf(IdempotencyConflictError);
+	});
+
+	it("derives no key when the automatic window is disabled", async () => {
+		expect(await matchIdempotentTask(contextWith({}), { tool: TOOL, params: PARAMS })).toEqual(
+			{},
+		);
+	});
+
+	it("matches identical requests within the automatic window", async () => {
+		const context = contextWith({ autoWindowMs: 30_000 });
+		const { key } = await matchIdempotentTask(context, { tool: TOOL, params: PARAMS });
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: key });
+
+		expect(
+			(await matchIdempotentTask(context, { tool: TOOL, params: PARAMS })).existing?.id,
+		).toBe("t1");
+		expect(
+			(
+				await matchIdempotentTask(context, {
+					tool: TOOL,
+					params: { ...PARAMS, duration: 10 },
+				})
+			).existing,
+		).toBeUndefined();
+		vi.advanceTimersByTime(30_001);
+		expect(
+			(await matchIdempotentTask(context, { tool: TOOL, params: PARAMS })).existing,
+		).toBeUndefined();
+	});
+
+	it("keeps keys of different API keys apart", async () => {
+		const context = contextWith({ autoWindowMs: 30_000 });
+		const explicit = { tool: TOOL, params: PARAMS, key: "k" };
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: "k" });
+		const derived = await matchIdempotentTask(context, { tool: TOOL, params: PARAMS });
+		await context.ledger.record({
+			id: "t2",
+			tool: TOOL,
+			params: PARAMS,
+			idempotencyKey: derived.key,
+		});
+
+		expect(await matchIdempotentTask(context, { ...explicit, scope: "a".repeat(64) })).toEqual({
+			key: `k@${"a".repeat(16)}`,
+		});
+		expect(
+			(await matchIdempotentTask(context, { tool: TOOL, params: PARAMS, scope: "a" }))
+				.existing,
+		).toBeUndefined();
+	});
+
+	it("does not reuse failed tasks for derived keys", async () => {
+		const context = contextWith({ autoWindowMs: 30_000 });
+		const { key } = await matchIdempotentTask(context, { tool: TOOL, params: PARAMS });
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: key });
+		await context.ledger.observe({ id: "t1", status: "FAILED", output: [] });
+
+		expect(
+			(await matchIdempotentTask(context, { tool: TOOL, params: PARAMS })).existing,
+		).toBeUndefined();
+	});
+});
+
+describe("claimIdempotentTask", () => {
+	it("makes a repeat wait for the task of the request holding the key", async () => {
+		const context = contextWith({});
+		const request = { tool: TOOL, params: PARAMS, key: "k" };
+		const first = await claimIdempotentTask(context, request);
+		expect(first).toMatchObject({
+			key: "k",
+			existing: undefined,
+			release: expect.any(Function),
+		});
+
+		const repeat = claimIdempotentTask(context, request);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await context.ledger.record({ id: "t1", tool: TOOL, params: PARAMS, idempotencyKey: "k" });
+		await first.release?.();
+		expect((await repeat).existing?.id).toBe("t1");
+	});
+
+	it("hands the key on when the holder gives up without a task", async () => {
+		const context = contextWith({});
+		const request = { tool: TOOL, params: PARAMS, key: "k" };
+		const first = await claimIdempotentTask(context, request);
+		const repeat = claimIdempotentTask(context, request);
+		await first.release?.();
+		expect(await repeat).toMatchObject({ key: "k", release: expect.any(Function) });
+	});
+
+	it("stops waiting when the request is cancelled", async () => {
+		const context = contextWith({});
+		const request = { tool: TOOL, params: PARAMS, key: "k" };
+		await claimIdempotentTask(context, request);
+		const controller = new AbortController();
+		const repeat = claimIdempotentTask(context, request, controller.signal);
+		controller.abort();
+		expect(await repeat).toEqual({ aborted: true });
+	});
+});
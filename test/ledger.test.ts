@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import {
+	MemoryTaskLedger,
+	ObservedTaskLedger,
+	SharedTaskLedger,
+	sharedHistoryRecorder,
+} from "../src/ledger/index.js";
+import type { RunwayTask } from "../src/runway/index.js";
+
+function task(status: RunwayTask["status"], extra: Partial<RunwayTask> = {}): RunwayTask {
+	return { id: "task-1", status, output: [], ...extra };
+}
+
+function ledgerAt(start = 1000) {
+	let clock = start;
+	const ledger = new MemoryTaskLedger(() => clock);
+	const tick = (ms: number) => {
+		clock += ms;
+	};
+	return { ledger, tick };
+}
+
+describe("MemoryTaskLedger", () => {
+	const submission = {
+		id: "task-1",
+		tool: "runway_text_to_video",
+		params: { prompt: "a red car", duration: 5 },
+		model: "gen4_turbo",
+		prompt: "a red car",
+		estimatedCredits: 25,
+	};
+
+	it("records submissions as PENDING", async () => {
+		const { ledger } = ledgerAt();
+		await ledger.record(submission);
+		expect(await ledger.get("task-1")).toMatchObject({
+			...submission,
+			status: "PENDING",
+			outputs: [],
+			createdAt: 1000,
+			updatedAt: 1000,
+		});
+		expect(await ledger.events("task-1")).toEqual([{ status: "PENDING", at: 1000 }]);
+	});
+
+	it("tracks status transitions and completion", async () => {
+		const { ledger, tick } = ledgerAt();
+		await ledger.record(submission);
+		tick(500);
+		await ledger.observe(task("RUNNING", { progress: 0.2 }));
+		tick(500);
+		await ledger.observe(task("RUNNING", { progress: 0.6 }));
+		tick(500);
+		await ledger.observe(task("SUCCEEDED", { output: ["https://example.com/0.mp4"] }));
+
+		expect(await ledger.get("task-1")).toMatchObject({
+			status: "SUCCEEDED",
+			outputs: ["https://example.com/0.mp4"],
+			updatedAt: 2500,
+			completedAt: 2500,
+		});
+		expect((await ledger.events("task-1")).map((event) => event.status)).toEqual([
+			"PENDING",
+			"RUNNING",
+			"SUCCEEDED",
+		]);
+	});
+
+	it("never changes a task after it reached a terminal status", async () => {
+		const { ledger } = ledgerAt();
+		await ledger.record(submission);
+		await ledger.observe(task("FAILED", { failure: "Bad input", failureCode: "SAFETY.INPUT" }));
+		const record = await ledger.observe(task("RUNNING"));
+		expect(record).toMatchObject({ status: "FAILED", failure: "Bad input" });
+	});
+
+	it("ignores tasks it did not submit", async () => {
+		const { ledger } = ledgerAt();
+		expect(await ledger.observe(task("RUNNING"))).toBeUndefined();
+		expect(await ledger.get("task-1")).toBeUndefined();
+	});
+});
+
+describe("SharedTaskLedger", () => {
+	const submission = {
+		id: "task-1",
+		tool: "runway_text_to_video",
+		params: {},
+		keyScope: "key-a",
+	};
+
+	it("copies a session's tasks to the history of their key and reads the caller's", async () => {
+		const histories = new Map([
+			["key-a", new MemoryTaskLedger()],
+			["key-b", new MemoryTaskLedger()],
+		]);
+		const shared = (keyScope: string) => histories.get(keyScope) ?? new MemoryTaskLedger();
+		const session = new ObservedTaskLedger(
+			new MemoryTaskLedger(),
+			sharedHistoryRecorder(shared),
+		);
+		const ledger = new SharedTaskLedger(session, shared);
+		await shared("key-a").record({ ...submission, id: "earlier" });
+
+		await ledger.record(submission);
+		await ledger.observe(task("SUCCEEDED", { output: ["https://example.com/a.mp4"] }));
+		expect(await shared("key-a").get("task-1")).toMatchObject({
+			status: "SUCCEEDED",
+			outputs: ["https://example.com/a.mp4"],
+		});
+		expect(await shared("key-b").get("task-1")).toBeUndefined();
+		expect(
+			(await ledger.list({ keyScope: "key-a" })).records.map((record) => record.id).sort(),
+		).toEqual(["earlier", "task-1"]);
+		expect((await ledger.list({ keyScope: "key-b" })).records).toEqual([]);
+
+		await ledger.observe({ id: "earlier", status: "FAILED", output: [] }, "key-a");
+		expect(await ledger.get("earlier", "key-a")).toMatchObject({ status: "FAILED" });
+		expect(await ledger.get("earlier", "key-b")).toBeUndefined();
+		expect(await session.get("earlier")).toBeUndefined();
+	});
+
+	it("hides tasks submitted with another key", async () => {
+		const session = new MemoryTaskLedger();
+		const ledger = new SharedTaskLedger(session, () => new MemoryTaskLedger());
+		await ledger.record(submission);
+
+		expect(await ledger.get("task-1", "key-b")).toBeUndefined();
+		expect(await ledger.observe(task("RUNNING"), "key-b")).toBeUndefined();
+		expect(await ledger.events("task-1", "key-b")).toEqual([]);
+		expect(await ledger.get("task-1", "key-a")).toMatchObject({ status: "PENDING" });
+	});
+});
@@ -0,0 +1,169 @@
+import type { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import {
+	CallToolResultSchema,
+	type Progress,
+	ResourceListChangedNotificationSchema,
+	ResourceUpdatedNotificationSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import type { Unstable_DevWorker } from "wrangler";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { callTool, connectStdio, connectWorker, startMock, startWorker } from "./helpers.js";
+
+const TRACKING_ENV = {
+	RUNWAYML_TRACKING_ENABLED: "true",
+	RUNWAYML_TRACKING_INTERVAL_MS: "50",
+};
+
+function lastTaskId(mock: MockRunwayServer): string {
+	return [...mock.mock.tasks.keys()].at(-1)!;
+}
+
+async function readStatus(client: Client, uri: string): Promise<string> {
+	const { contents } = await client.readResource({ uri });
+	return JSON.parse(String(contents[0].text)).status;
+}
+
+/**
+ * Notification behaviour shared by the transports that deliver server notifications.
+ * Resource changes are found by the background tracker, not by any tool call.
+ */
+function defineNotificationSuite(getClient: () => Client, getMock: () => MockRunwayServer) {
+	let updated: string[];
+	let listChanged: number;
+
+	beforeAll(() => {
+		getClient().setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+			updated.push(notification.params.uri);
+		});
+		getClient().setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+			listChanged++;
+		});
+	});
+
+	beforeEach(() => {
+		getMock().mock.reset();
+		updated = [];
+		listChanged = 0;
+	});
+
+	it("advertises resource subscriptions", () => {
+		expect(getClient().getServerCapabilities()?.resources).toMatchObject({
+			subscribe: true,
+			listChanged: true,
+		});
+	});
+
+	it("sends list_changed when a task is submitted and when its outputs appear", async () => {
+		await callTool(getClient(), "runway_text_to_video", { prompt: "listed", auto_poll: false });
+		await vi.waitFor(() => expect(listChanged).toBeGreaterThanOrEqual(1), { timeout: 2000 });
+		await vi.waitFor(() => expect(listChanged).toBeGreaterThanOrEqual(2), { timeout: 5000 });
+	});
+
+	it("notifies subscribers as a tracked task progresses", async () => {
+		getMock().mock.setScript({ runningPolls: 3 });
+		await callTool(getClient(), "runway_text_to_video", {
+			prompt: "watched",
+			auto_poll: false,
+		});
+		const uri = `runway://tasks/${lastTaskId(getMock())}`;
+		await getClient().subscribeResource({ uri });
+
+		await vi.waitFor(async () => expect(await readStatus(getClient(), uri)).toBe("SUCCEEDED"), {
+			timeout: 5000,
+			interval: 100,
+		});
+		expect(updated.length).toBeGreaterThanOrEqual(1);
+		expect(new Set(updated)).toEqual(new Set([uri]));
+	});
+
+	it("stops notifying after unsubscribe", async () => {
+		getMock().mock.setScript({ runningPolls: 3 });
+		await callTool(getClient(), "runway_text_to_video", {
+			prompt: "ignored",
+			auto_poll: false,
+		});
+		const uri = `runway://tasks/${lastTaskId(getMock())}`;
+		await getClient().subscribeResource({ uri });
+		await getClient().unsubscribeResource({ uri });
+
+		await vi.waitFor(async () => expect(await readStatus(getClient(), uri)).toBe("SUCCEEDED"), {
+			timeout: 5000,
+			interval: 100,
+		});
+		expect(updated).toEqual([]);
+	});
+
+	it("reports progress while auto-polling a generation", async () => {
+		getMock().mock.setScript({ runningPolls: 5 });
+		const progress: Progress[] = [];
+		const result = await getClient().callTool(
+			{ name: "runway_text_to_video", arguments: { prompt: "progress bar" } },
+			CallToolResultSchema,
+			{ onprogress: (update) => progress.push(update) },
+		);
+		expect(result.isError).toBeFalsy();
+
+		// The client drops notifications that arrive right before the result, so only the
+		// updates seen while the task was running are checked
+		expect(progress.length).toBeGreaterThan(0);
+		const values = progress.map((update) => update.progress);
+		expect(values).toEqual([...values].sort((a, b) => a - b));
+		for (const update of progress) {
+			expect(update.total).toBe(100);
+			expect(update.message).toMatch(/^[A-Z]+ \d+% \(\d+s elapsed\)$/);
+		}
+		expect(progress.some((update) => update.message?.startsWith("RUNNING "))).toBe(true);
+	});
+}
+
+describe("server notifications", () => {
+	let mock: MockRunwayServer;
+
+	beforeAll(async () => {
+		mock = await startMock();
+	});
+
+	afterAll(async () => {
+		await mock?.close();
+	});
+
+	describe("stdio server", () => {
+		let client: Client;
+
+		beforeAll(async () => {
+			client = await connectStdio(mock.url, TRACKING_ENV);
+		});
+
+		afterAll(async () => {
+			await client?.close();
+		});
+
+		defineNotificationSuite(
+			() => client,
+			() => mock,
+		);
+	});
+
+	// The Streamable HTTP transport of the agents library drops server-initiated
+	// notifications, so only /sse is covered here
+	describe("Cloudflare Worker (/sse)", () => {
+		let worker: Unstable_DevWorker;
+		let client: Client;
+
+		beforeAll(async () => {
+			worker = await startWorker(mock.url, TRACKING_ENV);
+			client = await connectWorker(worker, "sse");
+		});
+
+		afterAll(async () => {
+			await client?.close();
+			await worker?.stop();
+		});
+
+		defineNotificationSuite(
+			() => client,
+			() => mock,
+		);
+	});
+});
@@ -0,0 +1,82 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { z } from "zod";
+import { resolveConfig } from "../src/config.js";
+import { MemoryKeyReservations, MemoryTaskLedger } from "../src/ledger/index.js";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { RunwayClient, type RunwayTask } from "../src/runway/index.js";
+import { MemoryStoryboardStore } from "../src/storyboard/index.js";
+import type { ToolCall, ToolContext } from "../src/tools/index.js";
+import { runPipeline, textToImageToVideoTool } from "../src/tools/pipeline.js";
+import { MemoryUsageStore } from "../src/usage/index.js";
+import { TEST_API_KEY, startMock } from "./helpers.js";
+
+/** Client whose output URLs carry a new signature on every fetch, as RunwayML's do */
+class SigningClient extends RunwayClient {
+	private signatures = 0;
+
+	override async getTask(taskId: string): Promise<RunwayTask> {
+		const task = await super.getTask(taskId);
+		this.signatures += 1;
+		return { ...task, output: task.output?.map((url) => `${url}?sig=${this.signatures}`) };
+	}
+}
+
+const call: ToolCall = {
+	signal: new AbortController().signal,
+	reportProgress: async () => {},
+};
+
+describe("repeated pipelines", () => {
+	let mock: MockRunwayServer;
+	let context: ToolContext;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		const client = new SigningClient({ apiKey: TEST_API_KEY, baseUrl: mock.url });
+		context = {
+			config: resolveConfig({ polling: { initialDelayMs: 10, maxDelayMs: 40 } }),
+			getClient: () => client,
+			keyScope: async () => "server",
+			ledger: new MemoryTaskLedger(),
+			reservations: new MemoryKeyReservations(),
+			usage: new MemoryUsageStore(),
+			storyboards: new MemoryStoryboardStore(),
+		};
+	});
+
+	afterAll(async () => {
+		await mock?.close();
+	});
+
+	it("reuse the video when the keyframe URL was signed anew", async () => {
+		// Apply the tool's input defaults, as the MCP server would
+		const { image, video } = z.object(textToImageToVideoTool.inputSchema).parse({
+			image: { prompt_text: "a lighthouse", ratio: "1280:720", seed: 1 },
+			video: { prompt_text: "waves crash below", seed: 2 },
+		});
+		const run = () =>
+			runPipeline({
+				context,
+				call,
+				image,
+				video,
+				idempotencyKey: "lighthouse",
+				priority: 0,
+				autoPoll: false,
+				maxWaitSeconds: 5,
+			});
+		const first = await run();
+		const second = await run();
+
+		expect(first.error).toBeUndefined();
+		expect(second.error).toBeUndefined();
+		expect(second.keyframe).not.toBe(first.keyframe);
+		expect(second.image.task_id).toBe(first.image.task_id);
+		expect(second.video?.task_id).toBe(first.video?.task_id);
+		expect(mock.mock.tasks.size).toBe(2);
+		expect((await context.ledger.get(first.video?.task_id ?? ""))?.params).toMatchObject({
+			keyframe_task_id: first.image.task_id,
+			prompt_image: first.keyframe,
+		});
+	});
+});
@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import {
+	RunwayAuthError,
+	type RunwayTask,
+	RunwayThrottledError,
+	RunwayUpstreamError,
+	pollTask,
+} from "../src/runway/index.js";
+
+function task(status: RunwayTask["status"], extra: Partial<RunwayTask> = {}): RunwayTask {
+	return { id: "task-1", status, output: [], ...extra };
+}
+
+/** A getTask stub replaying a script of statuses and errors, plus a fake clock */
+function scripted(steps: (RunwayTask | Error)[]) {
+	let clock = 0;
+	const sleeps: number[] = [];
+	const client = {
+		getTask: async () => {
+			const step = steps.length > 1 ? steps.shift()! : steps[0];
+			if (step instanceof Error) throw step;
+			return step;
+		},
+	};
+	return {
+		client,
+		sleeps,
+		options: {
+			now: () => clock,
+			sleep: async (ms: number) => {
+				sleeps.push(ms);
+				clock += ms;
+			},
+			random: () => 0.5,
+		},
+	};
+}
+
+describe("pollTask", () => {
+	it("backs off exponentially until the task completes", async () => {
+		const { client, sleeps, options } = scripted([
+			task("PENDING"),
+			task("RUNNING", { progress: 0.2 }),
+			task("RUNNING", { progress: 0.8 }),
+			task("SUCCEEDED", { output: ["https://example.com/out.mp4"] }),
+		]);
+		const result = await pollTask(client, "task-1", { ...options, timeoutMs: 60_000 });
+		expect(result.outcome).toBe("completed");
+		expect(result.task?.output).toEqual(["https://example.com/out.mp4"]);
+		expect(result.attempts).toBe(4);
+		expect(sleeps).toEqual([2000, 3000, 4500]);
+	});
+
+	it("applies jitter around the backoff delay", async () => {
+		const { client, sleeps, options } = scripted([task("PENDING"), task("SUCCEEDED")]);
+		await pollTask(client, "task-1", { ...options, random: () => 1, timeoutMs: 60_000 });
+		expect(sleeps).toEqual([2400]);
+	});
+
+	it("waits at least throttledDelayMs while THROTTLED", async () => {
+		const { client, sleeps, options } = scripted([task("THROTTLED"), task("SUCCEEDED")]);
+		await pollTask(client, "task-1", { ...options, timeoutMs: 60_000 });
+		expect(sleeps).toEqual([10_000]);
+	});
+
+	it("honors Retry-After and tolerates transient errors", async () => {
+		const { client, sleeps, options } = scripted([
+			new RunwayThrottledError("slow down", { status: 429, retryAfterMs: 7000 }),
+			new RunwayUpstreamError("bad gateway", { status: 502 }),
+			task("SUCCEEDED"),
+		]);
+		const result = await pollTask(client, "task-1", { ...options, timeoutMs: 60_000 });
+		expect(result.outcome).toBe("completed");
+		expect(sleeps).toEqual([7000, 3000]);
+	});
+
+	it("gives up after too many consecutive transient errors", async () => {
+		const { client, options } = scripted([new RunwayUpstreamError("down", { status: 503 })]);
+		const result = await pollTask(client, "task-1", {
+			...options,
+			maxTransientErrors: 2,
+			timeoutMs: 60_000,
+		});
+		expect(result.outcome).toBe("error");
+		expect(result.attempts).toBe(3);
+	});
+
+	it("stops immediately on non-retryable errors", async () => {
+		const { client, options } = scripted([new RunwayAuthError("bad key", { status: 401 })]);
+		const result = await pollTask(client, "task-1", { ...options, timeoutMs: 60_000 });
+		expect(result.outcome).toBe("error");
+		expect(result.attempts).toBe(1);
+	});
+
+	it("times out, checking one last time at the deadline", async () => {
+		const { client, sleeps, options } = scripted([task("RUNNING")]);
+		const result = await pollTask(client, "task-1", { ...options, timeoutMs: 6000 });
+		expect(result.outcome).toBe("timeout");
+		expect(sleeps).toEqual([2000, 3000, 1000]);
+		expect(result.task?.status).toBe("RUNNING");
+	});
+
+	it("stops when the signal aborts", async () => {
+		const controller = new AbortController();
+		const client = { getTask: async () => task("RUNNING") };
+		setTimeout(() => controller.abort(), 20);
+		const result = await pollTask(client, "task-1", {
+			timeoutMs: 60_000,
+			signal: controller.signal,
+		});
+		expect(result.outcome).toBe("aborted");
+	});
+});
@@ -0,0 +1,156 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import type { TaskRecord } from "../src/ledger/index.js";
+import { ConcurrencyLimiter, type SlotRequest } from "../src/queue/index.js";
+
+function request(overrides: Partial<SlotRequest> = {}): SlotRequest {
+	return { key: "key", tool: "runway_text_to_video", timeoutMs: 60_000, ...overrides };
+}
+
+function finished(id: string, status: TaskRecord["status"] = "SUCCEEDED") {
+	return { id, status } as TaskRecord;
+}
+
+describe("ConcurrencyLimiter", () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it("lets requests through until the limit and queues the rest", async () => {
+		const limiter = new ConcurrencyLimiter(() => 2);
+		const first = await limiter.acquire(request());
+		const second = await limiter.acquire(request());
+		expect(first).toMatchObject({ outcome: "acquired", position: 0 });
+		expect(second).toMatchObject({ outcome: "acquired", position: 0 });
+
+		let third: unknown;
+		limiter.acquire(request()).then((result) => {
+			third = result;
+		});
+		await vi.advanceTimersByTimeAsync(0);
+		expect(third).toBeUndefined();
+		expect(limiter.status("key")).toMatchObject({
+			limit: 2,
+			inFlight: 2,
+			queued: [{ position: 1 }],
+		});
+
+		if (first.outcome !== "acquired") throw new Error("expected a slot");
+		first.slot.assign("task-1");
+		limiter.updated(finished("task-1", "RUNNING"));
+		await vi.advanceTimersByTimeAsync(0);
+		expect(third).toBeUndefined();
+
+		limiter.updated(finished("task-1"));
+		await vi.advanceTimersByTimeAsync(0);
+		expect(third).toMatchObject({ outcome: "acquired", position: 1 });
+	});
+
+	it("serves higher priorities first and equal priorities in arrival order", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1);
+		const held = await limiter.acquire(request());
+		const order: string[] = [];
+		const positions: Record<string, number[]> = { low: [], high: [], later: [] };
+		for (const [name, priority] of [
+			["low", 0],
+			["high", 5],
+			["later", 0],
+		] as const) {
+			limiter
+				.acquire(
+					request({
+						priority,
+						onPosition: (position) => {
+							positions[name].push(position);
+						},
+					}),
+				)
+				.then((result) => {
+					order.push(name);
+					if (result.outcome === "acquired") result.slot.release();
+				});
+		}
+		expect(positions).toEqual({ low: [1, 2], high: [1], later: [3] });
+
+		if (held.outcome !== "acquired") throw new Error("expected a slot");
+		held.slot.release();
+		await vi.advanceTimersByTimeAsync(0);
+		expect(order).toEqual(["high", "low", "later"]);
+	});
+
+	it("limits each key separately", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1);
+		await limiter.acquire(request({ key: "a" }));
+		await expect(limiter.acquire(request({ key: "b" }))).resolves.toMatchObject({
+			outcome: "acquired",
+		});
+	});
+
+	it("gives up after the timeout or when aborted", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1);
+		await limiter.acquire(request());
+
+		const timedOut = limiter.acquire(request({ timeoutMs: 5000 }));
+		const controller = new AbortController();
+		const aborted = limiter.acquire(request({ signal: controller.signal }));
+		controller.abort();
+		await expect(aborted).resolves.toMatchObject({ outcome: "aborted", position: 2 });
+		expect(limiter.status("key").queued).toEqual([expect.objectContaining({ position: 1 })]);
+
+		await vi.advanceTimersByTimeAsync(5000);
+		await expect(timedOut).resolves.toMatchObject({ outcome: "timeout", waitedMs: 5000 });
+		expect(limiter.status("key").queued).toEqual([]);
+	});
+
+	it("frees a slot that was released without a task", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1);
+		const held = await limiter.acquire(request());
+		const waiting = limiter.acquire(request());
+		if (held.outcome !== "acquired") throw new Error("expected a slot");
+		held.slot.release();
+		held.slot.release();
+		await expect(waiting).resolves.toMatchObject({ outcome: "acquired" });
+		expect(limiter.status("key").inFlight).toBe(1);
+	});
+
+	it("frees the slot of a task the ledger gives up on", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1);
+		const held = await limiter.acquire(request());
+		if (held.outcome !== "acquired") throw new Error("expected a slot");
+		held.slot.assign("task-1");
+		const waiting = limiter.acquire(request());
+
+		limiter.abandoned(finished("task-1", "RUNNING"));
+		await expect(waiting).resolves.toMatchObject({ outcome: "acquired", position: 1 });
+	});
+
+	it("frees slots when their lease runs out", async () => {
+		const limiter = new ConcurrencyLimiter(() => 1, { leaseMs: () => 30_000 });
+		const held = await limiter.acquire(request());
+		if (held.outcome !== "acquired") throw new Error("expected a slot");
+		held.slot.assign("task-1");
+
+		let waiting: unknown;
+		limiter.acquire(request()).then((result) => {
+			waiting = result;
+		});
+		await vi.advanceTimersByTimeAsync(29_999);
+		expect(waiting).toBeUndefined();
+		await vi.advanceTimersByTimeAsync(1);
+		expect(waiting).toMatchObject({ outcome: "acquired", waitedMs: 30_000 });
+		expect(limiter.status("key").inFlight).toBe(1);
+	});
+
+	it("counts tasks in flight without queueing when unlimited", async () => {
+		const limiter = new ConcurrencyLimiter(() => undefined);
+		for (let i = 0; i < 5; i++) {
+			await expect(limiter.acquire(request())).resolves.toMatchObject({
+				outcome: "acquired",
+			});
+		}
+		expect(limiter.status("key")).toEqual({ limit: undefined, inFlight: 5, queued: [] });
+	});
+});
@@ -0,0 +1,62 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { resolveConfig } from "../src/config.js";
+import { MemoryTaskLedger } from "../src/ledger/index.js";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { registerTaskResources } from "../src/resources/index.js";
+import { RunwayClient } from "../src/runway/index.js";
+import { TEST_API_KEY, startMock } from "./helpers.js";
+
+describe("task resources", () => {
+	let mock: MockRunwayServer;
+	let client: Client;
+	const ledger = new MemoryTaskLedger();
+
+	beforeAll(async () => {
+		mock = await startMock();
+		const server = new McpServer({ name: "resources-test", version: "0.0.0" });
+		registerTaskResources(server, {
+			// Never inline, so every output is returned as a link
+			config: resolveConfig({ resources: { inlineMaxBytes: 0 } }),
+			getClient: () => new RunwayClient({ apiKey: TEST_API_KEY, baseUrl: mock.url }),
+			keyScope: async () => "server",
+			ledger,
+		});
+		const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+		await server.connect(serverTransport);
+		client = new Client({ name: "resources-test", version: "0.0.0" });
+		await client.connect(clientTransport);
+	});
+
+	afterAll(async () => {
+		await client?.close();
+		await mock?.close();
+	});
+
+	it("links outputs larger than inlineMaxBytes instead of embedding them", async () => {
+		await ledger.record({ id: "task-1", tool: "runway_text_to_image", params: {} });
+		await ledger.observe({
+			id: "task-1",
+			status: "SUCCEEDED",
+			output: [`${mock.url}/__mock/outputs/task-1/0.png`],
+		});
+
+		const { contents } = await client.readResource({ uri: "runway://tasks/task-1/outputs/0" });
+		expect(contents).toEqual([
+			{
+				uri: "runway://tasks/task-1/outputs/0",
+				mimeType: "text/uri-list",
+				text: `${mock.url}/__mock/outputs/task-1/0.png`,
+			},
+		]);
+	});
+
+	it("reports tasks without outputs", async () => {
+		await ledger.record({ id: "task-2", tool: "runway_text_to_video", params: {} });
+		await expect(
+			client.readResource({ uri: "runway://tasks/task-2/outputs/0" }),
+		).rejects.toThrow(/has no outputs \(status PENDING\)/);
+	});
+});
@@ -0,0 +1,168 @@
+import type { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { CallToolResultSchema } from "@modelcontextprotocol/sdk/types.js";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { callTool, connectStdio, startMock } from "./helpers.js";
+import { defineToolSuite } from "./tool-suite.js";
+
+describe("stdio server", () => {
+	let mock: MockRunwayServer;
+	let client: Client;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		client = await connectStdio(mock.url);
+	});
+
+	afterAll(async () => {
+		await client?.close();
+		await mock?.close();
+	});
+
+	defineToolSuite(
+		() => client,
+		() => mock,
+	);
+});
+
+describe("stdio server with the detach cancellation policy", () => {
+	let mock: MockRunwayServer;
+	let client: Client;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		client = await connectStdio(mock.url, { RUNWAYML_CANCELLATION_POLICY: "detach" });
+	});
+
+	afterAll(async () => {
+		await client?.close();
+		await mock?.close();
+	});
+
+	it("stops waiting but leaves the task running", async () => {
+		const controller = new AbortController();
+		const call = client.callTool(
+			{ name: "runway_text_to_video", arguments: { prompt: "detached [mock:never]" } },
+			CallToolResultSchema,
+			{ signal: controller.signal },
+		);
+		await vi.waitFor(() => expect(mock.mock.tasks.size).toBe(1));
+		const [task] = mock.mock.tasks.values();
+		await vi.waitFor(() => expect(task.polls).toBeGreaterThanOrEqual(2));
+		controller.abort();
+		await expect(call).rejects.toThrow();
+
+		const polls = task.polls;
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		expect(task.polls).toBe(polls);
+		expect(task.cancelled).toBe(false);
+	});
+
+	it("rejects an unknown policy at startup", async () => {
+		await expect(
+			connectStdio(mock.url, { RUNWAYML_CANCELLATION_POLICY: "explode" }),
+		).rejects.toThrow();
+	});
+});
+
+describe("stdio server with a concurrency limit", () => {
+	let mock: MockRunwayServer;
+	let client: Client;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		client = await connectStdio(mock.url, {
+			RUNWAYML_QUEUE_MAX_IN_FLIGHT: "1",
+			RUNWAYML_QUEUE_MAX_WAIT_MS: "1500",
+		});
+	});
+
+	afterAll(async () => {
+		await client?.close();
+		await mock?.close();
+	});
+
+	// Occupy the only slot with a task that never finishes on its own
+	async function holdSlot(): Promise<string> {
+		mock.mock.reset();
+		const held = await callTool(client, "runway_text_to_video", {
+			prompt: "held [mock:never]",
+			auto_poll: false,
+		});
+		return held.structuredContent?.task_id as string;
+	}
+
+	it("queues requests beyond the limit and submits them when a slot frees up", async () => {
+		const heldId = await holdSlot();
+		const queued = callTool(client, "runway_text_to_video", { prompt: "waiting its turn" });
+
+		await vi.waitFor(async () => {
+			const queue = await callTool(client, "runway_get_queue");
+			expect(queue.structuredContent).toMatchObject({
+				limit: 1,
+				in_flight: 1,
+				queued: [{ position: 1, priority: 0, tool: "runway_text_to_video" }],
+			});
+		});
+		expect(mock.mock.tasks.size).toBe(1);
+
+		await callTool(client, "runway_cancel_task", { task_id: heldId });
+		const result = await queued;
+		expect(result.text).toContain("in the queue (position 1) for a free slot");
+		expect(result.structuredContent).toMatchObject({
+			status: "SUCCEEDED",
+			queue: { position: 1, waited_ms: expect.any(Number) },
+		});
+		expect(mock.mock.tasks.size).toBe(2);
+	});
+
+	it("submits batch items one slot at a time", async () => {
+		mock.mock.reset();
+		const result = await callTool(client, "runway_batch_generate", {
+			items: [
+				{ type: "text_to_image", prompt_text: "one" },
+				{ type: "text_to_image", prompt_text: "two" },
+				{ type: "text_to_image", prompt_text: "three" },
+			],
+		});
+		expect(result.structuredContent?.summary).toMatchObject({ succeeded: 3 });
+		const items = result.structuredContent?.items as Array<{ queue?: { position: number } }>;
+		expect(items.map((item) => item.queue?.position ?? 0)).toEqual([0, 1, 2]);
+	});
+
+	it("drops a queued request when the client cancels the call", async () => {
+		const heldId = await holdSlot();
+		const controller = new AbortController();
+		const call = client.callTool(
+			{ name: "runway_text_to_video", arguments: { prompt: "never mind" } },
+			CallToolResultSchema,
+			{ signal: controller.signal },
+		);
+		await vi.waitFor(async () => {
+			const queue = await callTool(client, "runway_get_queue");
+			expect(queue.structuredContent?.queued).toHaveLength(1);
+		});
+		controller.abort();
+		await expect(call).rejects.toThrow();
+
+		await vi.waitFor(async () => {
+			const queue = await callTool(client, "runway_get_queue");
+			expect(queue.structuredContent?.queued).toEqual([]);
+		});
+		await callTool(client, "runway_cancel_task", { task_id: heldId });
+		expect(mock.mock.tasks.size).toBe(1);
+	});
+
+	it("gives up on a request that waits longer than the queue timeout", async () => {
+		const heldId = await holdSlot();
+		const result = await callTool(client, "runway_text_to_image", { prompt_text: "too late" });
+		expect(result.isError).toBe(true);
+		expect(result.structuredContent?.error).toMatchObject({
+			code: "QUEUE_TIMEOUT",
+			category: "timeout",
+			retryable: true,
+		});
+		await callTool(client, "runway_cancel_task", { task_id: heldId });
+		expect(mock.mock.tasks.size).toBe(1);
+	});
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import type { TaskRecord } from "../src/ledger/index.js";
+import {
+	MemoryStoryboardStore,
+	type Shot,
+	type Storyboard,
+	shotStatus,
+} from "../src/storyboard/index.js";
+
+function record(status: TaskRecord["status"], failure?: string): TaskRecord {
+	return {
+		id: crypto.randomUUID(),
+		tool: "runway_text_to_image",
+		params: {},
+		status,
+		outputs: [],
+		failure,
+		createdAt: 0,
+		updatedAt: 0,
+	};
+}
+
+const shot: Shot = { prompt: "a red door", duration: 5 };
+
+describe("shotStatus", () => {
+	it("is not rendered until a render started", () => {
+		expect(shotStatus(shot)).toBe("not_rendered");
+	});
+
+	it("is rendering while a render holds a claim on it", () => {
+		const claimed = { ...shot, renderingUntil: 2000 };
+		expect(shotStatus(claimed, undefined, undefined, 1000)).toBe("rendering");
+		expect(shotStatus(claimed, undefined, undefined, 2000)).toBe("not_rendered");
+	});
+
+	it("follows the keyframe until the video exists", () => {
+		const rendering = { ...shot, keyframeTaskId: "k" };
+		expect(shotStatus(rendering, record("RUNNING"))).toBe("rendering");
+		expect(shotStatus(rendering, record("FAILED"))).toBe("failed");
+		expect(shotStatus(rendering, record("CANCELLED"))).toBe("cancelled");
+		expect(shotStatus({ ...rendering, failure: "Budget exceeded" }, record("SUCCEEDED"))).toBe(
+			"failed",
+		);
+	});
+
+	it("takes the video's status once it exists, even after a poll timeout", () => {
+		const timedOut = { ...shot, keyframeTaskId: "k", videoTaskId: "v", failure: "Timeout" };
+		expect(shotStatus(timedOut, record("SUCCEEDED"), record("RUNNING"))).toBe("rendering");
+		expect(shotStatus(timedOut, record("SUCCEEDED"), record("SUCCEEDED"))).toBe("succeeded");
+	});
+});
+
+describe("MemoryStoryboardStore", () => {
+	function storyboard(id: string, createdAt: number): Storyboard {
+		return {
+			id,
+			title: id,
+			ratio: "1280:720",
+			imageModel: "gen4_image",
+			videoModel: "gen4_turbo",
+			seed: 1,
+			referenceImages: [],
+			shots: [{ ...shot }],
+			createdAt,
+			updatedAt: createdAt,
+		};
+	}
+
+	it("lists storyboards newest first and returns copies", async () => {
+		const store = new MemoryStoryboardStore();
+		await store.put(storyboard("older", 1));
+		await store.put(storyboard("newer", 2));
+		expect((await store.list()).map((entry) => entry.id)).toEqual(["newer", "older"]);
+
+		const copy = await store.get("older");
+		copy?.shots.push({ ...shot });
+		expect((await store.get("older"))?.shots).toHaveLength(1);
+		expect(await store.get("missing")).toBeUndefined();
+	});
+
+	it("updates one shot at a time and leaves it alone when asked to", async () => {
+		const store = new MemoryStoryboardStore();
+		await store.put({ ...storyboard("board", 1), shots: [{ ...shot }, { ...shot }] });
+
+		expect(
+			await store.updateShot("board", 1, (current) => ({ ...current, keyframeTaskId: "k" })),
+		).toMatchObject({ keyframeTaskId: "k" });
+		expect(await store.updateShot("board", 0, () => undefined)).toBeUndefined();
+		expect(await store.updateShot("missing", 0, (current) => current)).toBeUndefined();
+
+		const updated = await store.get("board");
+		expect(updated?.shots.map((entry) => entry.keyframeTaskId)).toEqual([undefined, "k"]);
+		expect(updated?.updatedAt).toBeGreaterThan(1);
+	});
+});
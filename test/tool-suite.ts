@@ -0,0 +1,1449 @@
+import type { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { CallToolResultSchema } from "@modelcontextprotocol/sdk/types.js";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { callTool } from "./helpers.js";
+
+export const EXPECTED_TOOLS = [
+	"add",
+	"calculate",
+	"runway_text_to_video",
+	"runway_image_to_video",
+	"runway_text_to_image",
+	"runway_get_task",
+	"runway_poll_task",
+	"runway_cancel_task",
+	"runway_get_organization",
+	"runway_batch_generate",
+	"runway_sweep",
+	"runway_rerun_task",
+	"runway_text_to_image_to_video",
+	"runway_create_storyboard",
+	"runway_render_storyboard",
+	"runway_get_storyboard",
+	"runway_list_storyboards",
+	"runway_estimate_cost",
+	"runway_list_tasks",
+	"runway_get_budget",
+	"runway_get_queue",
+	"runway_usage_report",
+];
+
+/**
+ * Behaviour every transport must share. Registered once per transport so the Worker
+ * (over /mcp and /sse) and the stdio server are held to the same expectations.
+ */
+export function defineToolSuite(getClient: () => Client, getMock: () => MockRunwayServer) {
+	beforeEach(() => {
+		getMock().mock.reset();
+	});
+
+	describe("tool listing", () => {
+		it("lists every registered tool with an input schema", async () => {
+			const { tools } = await getClient().listTools();
+			expect(tools.map((tool) => tool.name).sort()).toEqual([...EXPECTED_TOOLS].sort());
+			for (const tool of tools) {
+				expect(tool.description).toBeTruthy();
+				expect(tool.inputSchema.type).toBe("object");
+			}
+		});
+
+		it("declares an output schema for every tool", async () => {
+			const { tools } = await getClient().listTools();
+			for (const tool of tools) {
+				expect(tool.outputSchema?.type, tool.name).toBe("object");
+			}
+		});
+	});
+
+	describe("calculator", () => {
+		it("adds two numbers", async () => {
+			const result = await callTool(getClient(), "add", { a: 2, b: 3 });
+			expect(result.text).toBe("5");
+			expect(result.structuredContent).toEqual({ result: 5 });
+			expect(result.isError).toBeFalsy();
+		});
+
+		it("runs each calculate operation", async () => {
+			const cases = [
+				["add", "7"],
+				["subtract", "3"],
+				["multiply", "10"],
+				["divide", "2.5"],
+			] as const;
+			for (const [operation, expected] of cases) {
+				const result = await callTool(getClient(), "calculate", { operation, a: 5, b: 2 });
+				expect(result.text).toBe(expected);
+			}
+		});
+
+		it("refuses to divide by zero", async () => {
+			const result = await callTool(getClient(), "calculate", {
+				operation: "divide",
+				a: 1,
+				b: 0,
+			});
+			expect(result.text).toContain("Cannot divide by zero");
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "DIVIDE_BY_ZERO",
+				category: "user_input",
+				retryable: false,
+			});
+		});
+	});
+
+	describe("argument validation", () => {
+		it("rejects arguments of the wrong type", async () => {
+			await expect(callTool(getClient(), "add", { a: "two", b: 3 })).rejects.toThrow(
+				/Invalid arguments for tool add/,
+			);
+		});
+
+		it("rejects values outside the allowed range", async () => {
+			await expect(
+				callTool(getClient(), "runway_text_to_video", { prompt: "x", duration: 30 }),
+			).rejects.toThrow(/Invalid arguments for tool runway_text_to_video/);
+		});
+
+		it("rejects unknown tools", async () => {
+			await expect(callTool(getClient(), "does_not_exist")).rejects.toThrow(/not found/);
+		});
+	});
+
+	describe("generation tools", () => {
+		it("creates a text-to-video task and polls it to completion", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "A red car at dusk",
+			});
+			expect(result.text).toContain("Text-to-video completed successfully");
+			expect(result.text).toMatch(/__mock\/outputs\/mock-task-\d+\/0\.mp4/);
+
+			const [task] = getMock().mock.tasks.values();
+			expect(result.isError).toBeFalsy();
+			expect(result.structuredContent).toMatchObject({
+				task_id: task.id,
+				status: "SUCCEEDED",
+				model: "gen4_turbo",
+				prompt: "A red car at dusk",
+				outputs: [expect.stringMatching(/0\.mp4$/)],
+				timings: { created_at: task.createdAt, attempts: expect.any(Number) },
+			});
+			expect(task.endpoint).toBe("text_to_video");
+			expect(task.request).toEqual({
+				promptText: "A red car at dusk",
+				model: "gen4_turbo",
+				duration: 5,
+				ratio: "1280:720",
+				seed: expect.any(Number),
+			});
+		});
+
+		it("returns immediately when auto_poll is false", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "A red car",
+				auto_poll: false,
+			});
+			expect(result.text).toContain("task created successfully");
+			const [task] = getMock().mock.tasks.values();
+			expect(result.text).toContain(`Task ID: ${task.id}`);
+			expect(result.structuredContent).toEqual({
+				task_id: task.id,
+				model: "gen4_turbo",
+				prompt: "A red car",
+				seed: expect.any(Number),
+				outputs: [],
+			});
+			expect(task.polls).toBe(0);
+		});
+
+		it("animates an image", async () => {
+			const result = await callTool(getClient(), "runway_image_to_video", {
+				prompt_image: "https://example.com/cat.png",
+				prompt_text: "The cat blinks",
+				model: "gen3a_turbo",
+				duration: 10,
+				ratio: "720:1280",
+			});
+			expect(result.text).toContain("Image-to-video completed successfully");
+			const [task] = getMock().mock.tasks.values();
+			expect(task.request).toMatchObject({
+				promptImage: "https://example.com/cat.png",
+				model: "gen3a_turbo",
+				duration: 10,
+			});
+		});
+
+		it("generates an image with reference images", async () => {
+			const result = await callTool(getClient(), "runway_text_to_image", {
+				prompt_text: "@hero on a beach",
+				reference_images: [{ uri: "https://example.com/hero.png", tag: "hero" }],
+			});
+			expect(result.text).toContain("Text-to-image completed successfully");
+			expect(result.text).toMatch(/0\.png/);
+			const [task] = getMock().mock.tasks.values();
+			expect(task.request.referenceImages).toEqual([
+				{ uri: "https://example.com/hero.png", tag: "hero" },
+			]);
+		});
+
+		it("waits through THROTTLED before completing", async () => {
+			const result = await callTool(getClient(), "runway_text_to_image", {
+				prompt_text: "busy queue [mock:throttle]",
+			});
+			expect(result.text).toContain("completed successfully");
+		});
+
+		it("reports failed tasks with the failure reason", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "doomed [mock:fail]",
+			});
+			expect(result.text).toContain("failed after");
+			expect(result.text).toContain("Mock generation failure");
+			expect(result.structuredContent).toMatchObject({
+				status: "FAILED",
+				failure: "Mock generation failure",
+				outputs: [],
+				error: { code: "TASK_FAILED", category: "upstream", retryable: true },
+			});
+			expect(result.isError).toBe(true);
+		});
+
+		it("reports tasks cancelled upstream", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "stopped [mock:cancel]",
+			});
+			expect(result.text).toContain("was cancelled");
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "TASK_CANCELLED",
+				category: "cancelled",
+			});
+		});
+
+		it("gives up after max_wait_seconds", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "forever [mock:never]",
+				max_wait_seconds: 0.3,
+			});
+			expect(result.text).toContain("timeout reached after 0.3 seconds");
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent).toMatchObject({
+				status: "RUNNING",
+				outputs: [],
+				error: { code: "POLL_TIMEOUT", category: "timeout", retryable: true },
+			});
+		});
+
+		it("tolerates a few transient errors while polling", async () => {
+			getMock().mock.injectError({
+				method: "GET",
+				path: "/v1/tasks/",
+				status: 503,
+				times: 2,
+			});
+			const result = await callTool(getClient(), "runway_text_to_video", { prompt: "flaky" });
+			expect(result.text).toContain("completed successfully");
+		});
+
+		it("honors Retry-After when throttled", async () => {
+			getMock().mock.injectError({
+				method: "GET",
+				path: "/v1/tasks/",
+				status: 429,
+				retryAfter: 0,
+			});
+			const result = await callTool(getClient(), "runway_text_to_video", { prompt: "busy" });
+			expect(result.text).toContain("completed successfully");
+		});
+
+		it("stops polling after too many transient errors", async () => {
+			getMock().mock.injectError({
+				method: "GET",
+				path: "/v1/tasks/",
+				status: 503,
+				times: 5,
+			});
+			const result = await callTool(getClient(), "runway_text_to_video", { prompt: "down" });
+			expect(result.text).toContain("Error checking task status");
+			expect(result.text).toContain("temporarily unavailable");
+			expect(result.structuredContent).toMatchObject({
+				task_id: expect.any(String),
+				error: {
+					code: "UPSTREAM_UNAVAILABLE",
+					category: "upstream",
+					retryable: true,
+					message: expect.stringContaining("temporarily unavailable"),
+				},
+			});
+			expect(result.isError).toBe(true);
+		});
+
+		it("maps upstream rejections to readable messages", async () => {
+			getMock().mock.injectError({
+				method: "POST",
+				path: "/v1/text_to_video",
+				status: 401,
+				body: { error: "Invalid API key" },
+			});
+			const auth = await callTool(getClient(), "runway_text_to_video", { prompt: "x" });
+			expect(auth.text).toContain("rejected the API key");
+			expect(auth.structuredContent).toMatchObject({
+				prompt: "x",
+				outputs: [],
+				error: {
+					code: "AUTH_REJECTED",
+					category: "user_input",
+					retryable: false,
+					message: expect.stringContaining("rejected the API key"),
+				},
+			});
+			expect(auth.isError).toBe(true);
+
+			getMock().mock.injectError({
+				method: "POST",
+				path: "/v1/text_to_video",
+				status: 400,
+				body: {
+					error: "You do not have enough credits to run this task.",
+					code: "INSUFFICIENT_CREDITS",
+				},
+			});
+			const quota = await callTool(getClient(), "runway_text_to_video", { prompt: "x" });
+			expect(quota.text).toContain("does not have enough credits");
+			expect(quota.structuredContent?.error).toMatchObject({
+				code: "INSUFFICIENT_CREDITS",
+				category: "user_input",
+			});
+
+			// A validation error that merely mentions credits is not a quota error
+			getMock().mock.injectError({
+				method: "POST",
+				path: "/v1/text_to_video",
+				status: 400,
+				body: { error: "maxCredits must be a positive integer" },
+			});
+			const invalid = await callTool(getClient(), "runway_text_to_video", { prompt: "x" });
+			expect(invalid.structuredContent?.error).toMatchObject({ code: "INVALID_REQUEST" });
+		});
+	});
+
+	describe("batch generation", () => {
+		it("runs mixed generations in parallel and reports partial failures", async () => {
+			const result = await callTool(getClient(), "runway_batch_generate", {
+				items: [
+					{ type: "text_to_image", prompt_text: "product shot, white background" },
+					{ type: "text_to_video", prompt: "product turntable", duration: 10 },
+					{
+						type: "image_to_video",
+						prompt_image: "https://example.com/product.png",
+						prompt_text: "slow zoom",
+					},
+					{ type: "text_to_image", prompt_text: "broken shot [mock:fail]" },
+				],
+			});
+			expect(result.isError).toBeFalsy();
+			expect(result.text).toContain("Batch of 4: 3 succeeded, 1 failed.");
+			expect(result.text).toContain("| 4 | text_to_image | FAILED |");
+			expect(result.structuredContent?.summary).toEqual({
+				total: 4,
+				succeeded: 3,
+				failed: 1,
+				pending: 0,
+			});
+			const items = result.structuredContent?.items as Array<Record<string, any>>;
+			expect(items.map((item) => [item.index, item.type, item.status])).toEqual([
+				[1, "text_to_image", "SUCCEEDED"],
+				[2, "text_to_video", "SUCCEEDED"],
+				[3, "image_to_video", "SUCCEEDED"],
+				[4, "text_to_image", "FAILED"],
+			]);
+			expect(items[1]).toMatchObject({ model: "gen4_turbo", prompt: "product turntable" });
+			expect(items[0].outputs).toHaveLength(1);
+			expect(items[3].error).toMatchObject({ code: "TASK_FAILED" });
+			expect(getMock().mock.tasks.size).toBe(4);
+		});
+
+		it("returns task IDs without waiting when auto_poll is off", async () => {
+			const result = await callTool(getClient(), "runway_batch_generate", {
+				items: [
+					{ type: "text_to_image", prompt_text: "first" },
+					{ type: "text_to_image", prompt_text: "second" },
+				],
+				auto_poll: false,
+			});
+			expect(result.structuredContent?.summary).toMatchObject({ pending: 2, failed: 0 });
+			const items = result.structuredContent?.items as Array<{ task_id: string }>;
+			expect(items.map((item) => getMock().mock.tasks.has(item.task_id))).toEqual([
+				true,
+				true,
+			]);
+		});
+
+		it("reuses every task when a batch is repeated with its idempotency key", async () => {
+			const key = `batch-${crypto.randomUUID()}`;
+			const items = [
+				{ type: "text_to_image", prompt_text: "again" },
+				{ type: "text_to_video", prompt: "and again" },
+			];
+			await callTool(getClient(), "runway_batch_generate", { items, idempotency_key: key });
+			const repeat = await callTool(getClient(), "runway_batch_generate", {
+				items,
+				idempotency_key: key,
+			});
+			expect(repeat.structuredContent?.items).toMatchObject([
+				{ reused: true },
+				{ reused: true },
+			]);
+			expect(getMock().mock.tasks.size).toBe(2);
+		});
+
+		it("fails the call only when every item fails", async () => {
+			const result = await callTool(getClient(), "runway_batch_generate", {
+				items: [
+					{ type: "text_to_video", prompt: "one [mock:fail]" },
+					{ type: "text_to_video", prompt: "two [mock:fail]" },
+				],
+			});
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "TASK_FAILED",
+				message: expect.stringContaining("All 2 items failed"),
+			});
+		});
+
+		it("rejects items of an unknown type", async () => {
+			await expect(
+				getClient().callTool({
+					name: "runway_batch_generate",
+					arguments: { items: [{ type: "text_to_audio", prompt: "hum" }] },
+				}),
+			).rejects.toThrow();
+		});
+	});
+
+	describe("parameter sweeps", () => {
+		it("previews the combinations and their cost without submitting", async () => {
+			const result = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_video",
+				base: { prompt: "a lighthouse at dusk" },
+				axes: { model: ["gen4_turbo", "gen3a_turbo"], duration: [5, 10] },
+				preview: true,
+			});
+			expect(result.isError).toBeFalsy();
+			expect(result.text).toContain("Sweep preview: 4 text_to_video combinations");
+			expect(result.text).toContain("| # | model | duration | Est. credits |");
+			expect(result.structuredContent).toMatchObject({
+				axes: ["model", "duration"],
+				combinations: 4,
+				estimated_credits: 150,
+			});
+			const rows = result.structuredContent?.rows as Array<Record<string, any>>;
+			expect(rows.map((row) => row.variation)).toEqual([
+				{ model: "gen4_turbo", duration: 5 },
+				{ model: "gen4_turbo", duration: 10 },
+				{ model: "gen3a_turbo", duration: 5 },
+				{ model: "gen3a_turbo", duration: 10 },
+			]);
+			expect(getMock().mock.tasks.size).toBe(0);
+		});
+
+		it("runs every combination and returns a grid keyed by the varied values", async () => {
+			const result = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_image",
+				axes: { prompt_text: ["red chair", "blue chair [mock:fail]"] },
+			});
+			expect(result.isError).toBeFalsy();
+			expect(result.text).toContain("1 succeeded, 1 failed");
+			expect(result.text).toContain("| 1 | red chair | SUCCEEDED |");
+			const rows = result.structuredContent?.rows as Array<Record<string, any>>;
+			expect(rows).toMatchObject([
+				{ index: 1, variation: { prompt_text: "red chair" }, status: "SUCCEEDED" },
+				{ index: 2, status: "FAILED", error: { code: "TASK_FAILED" } },
+			]);
+			expect(result.structuredContent?.summary).toMatchObject({ succeeded: 1, failed: 1 });
+			expect(getMock().mock.tasks.size).toBe(2);
+		});
+
+		it("gives every combination one seed unless the seed is varied", async () => {
+			const result = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_image",
+				axes: { prompt_text: ["red chair", "blue chair"] },
+			});
+			const seed = result.structuredContent?.seed;
+			expect(seed).toEqual(expect.any(Number));
+			expect(result.text).toContain(`combinations, all with seed ${seed}`);
+			const tasks = () => [...getMock().mock.tasks.values()];
+			expect(tasks().map((task) => task.request.seed)).toEqual([seed, seed]);
+
+			getMock().mock.reset();
+			const varied = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_image",
+				base: { prompt_text: "green chair" },
+				axes: { seed: [1, 2] },
+			});
+			expect(varied.structuredContent?.seed).toBeUndefined();
+			expect(tasks().map((task) => task.request.seed)).toEqual([1, 2]);
+		});
+
+		it("reuses every task when a sweep is repeated with the same idempotency key", async () => {
+			const request = {
+				type: "text_to_image",
+				axes: { prompt_text: ["red chair", "blue chair"] },
+				idempotency_key: `sweep-${crypto.randomUUID()}`,
+			};
+			const first = await callTool(getClient(), "runway_sweep", request);
+			const repeat = await callTool(getClient(), "runway_sweep", request);
+			expect(repeat.isError).toBeFalsy();
+			const rows = (result: typeof first) =>
+				result.structuredContent?.rows as Array<Record<string, any>>;
+			expect(rows(repeat).map((row) => row.task_id)).toEqual(
+				rows(first).map((row) => row.task_id),
+			);
+			expect(rows(repeat)).toMatchObject([{ reused: true }, { reused: true }]);
+			expect(repeat.structuredContent?.seed).toEqual(expect.any(Number));
+			expect(repeat.structuredContent?.seed).toBe(first.structuredContent?.seed);
+			expect(getMock().mock.tasks.size).toBe(2);
+		});
+
+		it("refuses sweeps over the combination cap", async () => {
+			const result = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_image",
+				axes: { prompt_text: ["a", "b", "c"], ratio: ["720:720", "1920:1080"] },
+				max_combinations: 4,
+			});
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "SWEEP_TOO_LARGE",
+				category: "user_input",
+			});
+			expect(getMock().mock.tasks.size).toBe(0);
+		});
+
+		it("rejects unknown axes and invalid combinations before submitting", async () => {
+			const unknown = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_video",
+				base: { prompt: "waves" },
+				axes: { style: ["noir"] },
+			});
+			expect(unknown.structuredContent?.error).toMatchObject({ code: "INVALID_REQUEST" });
+			expect(unknown.text).toContain("style cannot be varied for text_to_video");
+
+			const invalid = await callTool(getClient(), "runway_sweep", {
+				type: "text_to_video",
+				base: { prompt: "waves" },
+				axes: { duration: [5, 30] },
+			});
+			expect(invalid.isError).toBe(true);
+			expect(invalid.text).toContain("Combination 2 (duration=30) is invalid");
+			expect(getMock().mock.tasks.size).toBe(0);
+		});
+	});
+
+	describe("seeds and re-runs", () => {
+		it("sends the requested seed and reports it", async () => {
+			const result = await callTool(getClient(), "runway_text_to_image", {
+				prompt_text: "a paper crane",
+				seed: 42,
+			});
+			expect(result.text).toContain("Seed: 42");
+			expect(result.structuredContent?.seed).toBe(42);
+			const [task] = getMock().mock.tasks.values();
+			expect(task.request.seed).toBe(42);
+		});
+
+		it("picks a random seed when none is given and reports it", async () => {
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "a paper boat",
+				auto_poll: false,
+			});
+			const seed = result.structuredContent?.seed;
+			expect(seed).toEqual(expect.any(Number));
+			expect(result.text).toContain(`Seed: ${seed}`);
+			const [task] = getMock().mock.tasks.values();
+			expect(task.request.seed).toBe(seed);
+
+			const status = await callTool(getClient(), "runway_get_task", {
+				task_id: result.structuredContent?.task_id,
+			});
+			expect(status.structuredContent?.seed).toBe(seed);
+		});
+
+		it("reports the original seed when an idempotency key reuses a task", async () => {
+			const args = {
+				prompt_text: "same again",
+				idempotency_key: `seed-${crypto.randomUUID()}`,
+			};
+			const first = await callTool(getClient(), "runway_text_to_image", args);
+			const second = await callTool(getClient(), "runway_text_to_image", args);
+			expect(second.structuredContent).toMatchObject({
+				reused: true,
+				seed: first.structuredContent?.seed,
+			});
+		});
+
+		it("re-runs a task with identical parameters and seed", async () => {
+			const original = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "a kite over the dunes",
+				duration: 10,
+				ratio: "720:1280",
+			});
+			const rerun = await callTool(getClient(), "runway_rerun_task", {
+				task_id: original.structuredContent?.task_id,
+			});
+			expect(rerun.isError).toBeFalsy();
+			expect(rerun.text).toContain("with the same parameters and seed");
+			expect(rerun.structuredContent).toMatchObject({
+				rerun_of: original.structuredContent?.task_id,
+				status: "SUCCEEDED",
+				seed: original.structuredContent?.seed,
+			});
+			expect(rerun.structuredContent?.task_id).not.toBe(original.structuredContent?.task_id);
+			const [first, second] = getMock().mock.tasks.values();
+			expect(second.request).toEqual(first.request);
+		});
+
+		it("overrides selected parameters of a re-run", async () => {
+			const original = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "a kite over the sea",
+				seed: 7,
+			});
+			const rerun = await callTool(getClient(), "runway_rerun_task", {
+				task_id: original.structuredContent?.task_id,
+				overrides: { duration: 10, seed: null },
+			});
+			expect(rerun.text).toContain("with duration, seed changed");
+			expect(rerun.structuredContent?.overridden).toEqual(["duration", "seed"]);
+			expect(rerun.structuredContent?.seed).not.toBe(7);
+			const [, second] = getMock().mock.tasks.values();
+			expect(second.request).toMatchObject({
+				promptText: "a kite over the sea",
+				duration: 10,
+			});
+		});
+
+		it("rejects unknown tasks and overrides", async () => {
+			const missing = await callTool(getClient(), "runway_rerun_task", {
+				task_id: "mock-task-unknown",
+			});
+			expect(missing.isError).toBe(true);
+			expect(missing.structuredContent?.error).toMatchObject({
+				code: "NOT_FOUND",
+				category: "user_input",
+			});
+
+			const original = await callTool(getClient(), "runway_text_to_image", {
+				prompt_text: "a lantern",
+			});
+			const invalid = await callTool(getClient(), "runway_rerun_task", {
+				task_id: original.structuredContent?.task_id,
+				overrides: { duration: 10 },
+			});
+			expect(invalid.text).toContain("duration cannot be overridden for text_to_image");
+			expect(getMock().mock.tasks.size).toBe(1);
+		});
+	});
+
+	describe("image-to-video pipeline", () => {
+		it("animates the generated keyframe and reports both stages", async () => {
+			const result = await callTool(getClient(), "runway_text_to_image_to_video", {
+				image: { prompt_text: "a lighthouse on a cliff, golden hour", seed: 11 },
+				video: {
+					prompt_text: "waves crash below, slow push in",
+					ratio: "720:1280",
+					seed: 12,
+				},
+			});
+			expect(result.isError).toBeFalsy();
+			expect(result.text).toContain("Stage 1: keyframe");
+			expect(result.text).toContain("Stage 2: video");
+
+			const [imageTask, videoTask] = getMock().mock.tasks.values();
+			expect(imageTask.endpoint).toBe("text_to_image");
+			expect(imageTask.request).toMatchObject({ ratio: "720:1280", seed: 11 });
+			expect(videoTask.endpoint).toBe("image_to_video");
+			expect(videoTask.request).toMatchObject({
+				promptText: "waves crash below, slow push in",
+				ratio: "720:1280",
+				seed: 12,
+			});
+
+			const { stages, keyframe_url, outputs } = result.structuredContent as Record<
+				string,
+				any
+			>;
+			expect(stages.image).toMatchObject({ task_id: imageTask.id, status: "SUCCEEDED" });
+			expect(stages.video).toMatchObject({ task_id: videoTask.id, status: "SUCCEEDED" });
+			expect(keyframe_url).toBe(stages.image.outputs[0]);
+			expect(videoTask.request.promptImage).toBe(keyframe_url);
+			expect(outputs).toEqual(stages.video.outputs);
+			expect(outputs[0]).toMatch(/\.mp4$/);
+		});
+
+		it("uses separate image and video ratios when given", async () => {
+			await callTool(getClient(), "runway_text_to_image_to_video", {
+				image: { prompt_text: "a square keyframe", ratio: "1024:1024" },
+				video: { prompt_text: "animate it" },
+				auto_poll: false,
+			});
+			const [imageTask, videoTask] = getMock().mock.tasks.values();
+			expect(imageTask.request.ratio).toBe("1024:1024");
+			expect(videoTask.request.ratio).toBe("1280:720");
+			expect(videoTask.polls).toBe(0);
+		});
+
+		it("does not start the video when the keyframe fails", async () => {
+			const result = await callTool(getClient(), "runway_text_to_image_to_video", {
+				image: { prompt_text: "forbidden keyframe [mock:fail]" },
+				video: { prompt_text: "never animated" },
+			});
+			expect(result.isError).toBe(true);
+			expect(result.text).toContain("The video stage was not started");
+			expect(result.structuredContent?.error).toMatchObject({ code: "TASK_FAILED" });
+			expect(result.structuredContent?.stages).not.toHaveProperty("video");
+			expect(getMock().mock.tasks.size).toBe(1);
+		});
+	});
+
+	describe("storyboards", () => {
+		async function createStoryboard(args: Record<string, unknown>) {
+			const result = await callTool(getClient(), "runway_create_storyboard", {
+				title: "Spot",
+				...args,
+			});
+			return (result.structuredContent?.storyboard as Record<string, any>).storyboard_id;
+		}
+
+		it("renders every shot with the shared references, style and seed", async () => {
+			const created = await callTool(getClient(), "runway_create_storyboard", {
+				title: "Morning run",
+				shots: [
+					{ prompt: "@hero ties her shoes at dawn." },
+					{ prompt: "@hero runs along the river", motion: "tracking shot", duration: 10 },
+					{ prompt: "@hero stretches on a bridge", ratio: "720:1280" },
+				],
+				style: "watercolor",
+				reference_images: [{ uri: "https://example.com/hero.png", tag: "hero" }],
+				seed: 99,
+			});
+			const storyboard = created.structuredContent?.storyboard as Record<string, any>;
+			expect(storyboard.summary).toMatchObject({ total: 3, not_rendered: 3 });
+			expect(storyboard.estimated_credits).toBe(124);
+			expect(getMock().mock.tasks.size).toBe(0);
+
+			const rendered = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: storyboard.storyboard_id,
+			});
+			expect(rendered.isError).toBeFalsy();
+			expect(rendered.structuredContent?.rendered).toEqual([1, 2, 3]);
+			expect(rendered.text).toContain("3 shots, 3 succeeded");
+
+			const tasks = [...getMock().mock.tasks.values()];
+			const keyframes = tasks.filter((task) => task.endpoint === "text_to_image");
+			const videos = tasks.filter((task) => task.endpoint === "image_to_video");
+			expect(keyframes).toHaveLength(3);
+			expect(videos).toHaveLength(3);
+			for (const task of keyframes) {
+				expect(task.request).toMatchObject({
+					referenceImages: [{ uri: "https://example.com/hero.png", tag: "hero" }],
+					seed: 99,
+				});
+				expect(task.request.promptText).toMatch(/\. watercolor$/);
+			}
+			expect(keyframes.map((task) => task.request.promptText)).toContain(
+				"@hero ties her shoes at dawn. watercolor",
+			);
+			expect(videos.map((task) => task.request.promptText)).toContain(
+				"tracking shot. watercolor",
+			);
+
+			const result = await callTool(getClient(), "runway_get_storyboard", {
+				storyboard_id: storyboard.storyboard_id,
+			});
+			const shots = (result.structuredContent?.storyboard as Record<string, any>).shots;
+			expect(
+				shots.map((shot: any) => [shot.shot, shot.status, shot.duration, shot.ratio]),
+			).toEqual([
+				[1, "succeeded", 5, "1280:720"],
+				[2, "succeeded", 10, "1280:720"],
+				[3, "succeeded", 5, "720:1280"],
+			]);
+			for (const shot of shots) {
+				expect(shot.outputs[0]).toMatch(/\.mp4$/);
+				const video = getMock().mock.tasks.get(shot.video_task_id);
+				expect(video?.request.promptImage).toBe(shot.keyframe_url);
+			}
+		});
+
+		it("re-renders a single shot with a new seed", async () => {
+			const id = await createStoryboard({
+				shots: [{ prompt: "a door opens" }, { prompt: "a cat walks in" }],
+				seed: 5,
+			});
+			const first = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+			});
+			const [shotOne] = (first.structuredContent?.storyboard as Record<string, any>).shots;
+
+			const again = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+				shots: [2],
+				new_seed: true,
+			});
+			expect(again.structuredContent?.rendered).toEqual([2]);
+			expect(getMock().mock.tasks.size).toBe(6);
+			const shots = (again.structuredContent?.storyboard as Record<string, any>).shots;
+			expect(shots[0]).toMatchObject({
+				seed: 5,
+				keyframe_task_id: shotOne.keyframe_task_id,
+				video_task_id: shotOne.video_task_id,
+			});
+			expect(shots[1].status).toBe("succeeded");
+			expect(shots[1].seed).not.toBe(5);
+		});
+
+		it("reports failed shots and renders only unfinished shots by default", async () => {
+			const id = await createStoryboard({
+				shots: [{ prompt: "a calm lake" }, { prompt: "a storm [mock:fail]" }],
+			});
+			const first = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+			});
+			expect(first.isError).toBeFalsy();
+			const shots = (first.structuredContent?.storyboard as Record<string, any>).shots;
+			expect(shots.map((shot: any) => shot.status)).toEqual(["succeeded", "failed"]);
+			expect(shots[1]).not.toHaveProperty("video_task_id");
+			expect(shots[1].failure).toEqual(expect.any(String));
+
+			const retry = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+			});
+			expect(retry.structuredContent?.rendered).toEqual([2]);
+			expect(retry.isError).toBe(true);
+			expect(retry.structuredContent?.error).toMatchObject({
+				code: "TASK_FAILED",
+				message: expect.stringContaining("All 1 shots failed"),
+			});
+		});
+
+		it("saves each task as soon as it exists and skips shots still rendering", async () => {
+			const id = await createStoryboard({
+				shots: [{ prompt: "a slow dawn [mock:never]" }, { prompt: "a quick dusk" }],
+			});
+			const rendering = callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+				shots: [1],
+			});
+			let keyframeId = "";
+			await vi.waitFor(async () => {
+				const current = await callTool(getClient(), "runway_get_storyboard", {
+					storyboard_id: id,
+				});
+				const [shot] = (current.structuredContent?.storyboard as Record<string, any>).shots;
+				expect(shot).toMatchObject({
+					status: "rendering",
+					keyframe_task_id: expect.any(String),
+				});
+				keyframeId = shot.keyframe_task_id;
+			});
+
+			const again = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+			});
+			expect(again.structuredContent).toMatchObject({ rendered: [2], skipped: [1] });
+			expect(again.text).toContain("Skipped shots 1, which are already rendering.");
+			expect(getMock().mock.tasks.size).toBe(3);
+
+			await callTool(getClient(), "runway_cancel_task", { task_id: keyframeId });
+			const first = await rendering;
+			const [shot] = (first.structuredContent?.storyboard as Record<string, any>).shots;
+			expect(shot).toMatchObject({ status: "cancelled", keyframe_task_id: keyframeId });
+		});
+
+		it("rejects unknown storyboards and shots", async () => {
+			const missing = await callTool(getClient(), "runway_get_storyboard", {
+				storyboard_id: "no-such-storyboard",
+			});
+			expect(missing.structuredContent?.error).toMatchObject({ code: "NOT_FOUND" });
+
+			const id = await createStoryboard({ shots: [{ prompt: "only shot" }] });
+			const invalid = await callTool(getClient(), "runway_render_storyboard", {
+				storyboard_id: id,
+				shots: [1, 4],
+			});
+			expect(invalid.isError).toBe(true);
+			expect(invalid.text).toContain("there is no shot 4");
+			expect(getMock().mock.tasks.size).toBe(0);
+
+			const list = await callTool(getClient(), "runway_list_storyboards", {});
+			expect(list.structuredContent?.storyboards).toContainEqual(
+				expect.objectContaining({ storyboard_id: id, shots: 1 }),
+			);
+		});
+	});
+
+	describe("idempotency", () => {
+		// The ledger outlives mock resets, so every test uses fresh keys
+		let key: string;
+		beforeEach(() => {
+			key = `retry-${Math.random().toString(36).slice(2, 8)}`;
+		});
+
+		it("returns the existing task when a call is repeated with the same key", async () => {
+			const args = { prompt: "only once", idempotency_key: key };
+			const first = await callTool(getClient(), "runway_text_to_video", args);
+			const second = await callTool(getClient(), "runway_text_to_video", args);
+
+			expect(getMock().mock.tasks.size).toBe(1);
+			expect(first.structuredContent?.reused).toBeUndefined();
+			expect(second.text).toContain("no new task was created");
+			expect(second.structuredContent).toMatchObject({
+				task_id: first.structuredContent?.task_id,
+				status: "SUCCEEDED",
+				reused: true,
+			});
+		});
+
+		it("reuses a task that is still running without waiting", async () => {
+			const args = { prompt: "in flight", idempotency_key: key, auto_poll: false };
+			const first = await callTool(getClient(), "runway_text_to_video", args);
+			const second = await callTool(getClient(), "runway_text_to_video", args);
+
+			expect(getMock().mock.tasks.size).toBe(1);
+			expect(second.text).toContain("Status: PENDING");
+			expect(second.structuredContent).toMatchObject({
+				task_id: first.structuredContent?.task_id,
+				reused: true,
+			});
+		});
+
+		it("submits one task when repeats arrive while the first is still submitting", async () => {
+			const args = { prompt: "at once", idempotency_key: key, auto_poll: false };
+			const results = await Promise.all([
+				callTool(getClient(), "runway_text_to_video", args),
+				callTool(getClient(), "runway_text_to_video", args),
+			]);
+
+			expect(getMock().mock.tasks.size).toBe(1);
+			expect(new Set(results.map((result) => result.structuredContent?.task_id)).size).toBe(
+				1,
+			);
+			expect(results.filter((result) => result.structuredContent?.reused)).toHaveLength(1);
+		});
+
+		it("rejects a key reused with different parameters", async () => {
+			await callTool(getClient(), "runway_text_to_video", {
+				prompt: "first",
+				idempotency_key: key,
+				auto_poll: false,
+			});
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "second",
+				idempotency_key: key,
+				auto_poll: false,
+			});
+
+			expect(getMock().mock.tasks.size).toBe(1);
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "IDEMPOTENCY_CONFLICT",
+				category: "user_input",
+			});
+		});
+
+		it("creates separate tasks without a key", async () => {
+			await callTool(getClient(), "runway_text_to_video", {
+				prompt: "twice",
+				auto_poll: false,
+			});
+			await callTool(getClient(), "runway_text_to_video", {
+				prompt: "twice",
+				auto_poll: false,
+			});
+			expect(getMock().mock.tasks.size).toBe(2);
+		});
+	});
+
+	describe("cost estimates", () => {
+		it("prices video by model and duration and compares with the balance", async () => {
+			const result = await callTool(getClient(), "runway_estimate_cost", {
+				type: "text_to_video",
+				duration: 10,
+				count: 3,
+			});
+			expect(result.text).toContain("150 credits ($1.50), 50 credits each");
+			const estimate = result.structuredContent as Record<string, number>;
+			expect(estimate).toMatchObject({
+				model: "gen4_turbo",
+				credits_per_generation: 50,
+				total_credits: 150,
+				estimated_usd: 1.5,
+				affordable: true,
+			});
+			expect(estimate.balance_after).toBe(estimate.credit_balance - 150);
+		});
+
+		it("prices images by resolution", async () => {
+			const result = await callTool(getClient(), "runway_estimate_cost", {
+				type: "text_to_image",
+				ratio: "1920:1080",
+			});
+			expect(result.structuredContent).toMatchObject({
+				model: "gen4_image",
+				total_credits: 8,
+			});
+		});
+
+		it("warns when the balance does not cover the estimate", async () => {
+			const result = await callTool(getClient(), "runway_estimate_cost", {
+				type: "image_to_video",
+				duration: 10,
+				count: 100,
+			});
+			expect(result.text).toContain("credits short");
+			expect(result.structuredContent).toMatchObject({
+				total_credits: 5000,
+				affordable: false,
+			});
+		});
+
+		it("rejects a model that cannot produce the requested output", async () => {
+			const result = await callTool(getClient(), "runway_estimate_cost", {
+				type: "text_to_image",
+				model: "gen4_turbo",
+			});
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "INVALID_REQUEST",
+				category: "user_input",
+			});
+		});
+	});
+
+	describe("credit budgets", () => {
+		async function spent(scope: string): Promise<number> {
+			const result = await callTool(getClient(), "runway_get_budget");
+			const { scopes } = result.structuredContent as {
+				scopes: { scope: string; spent: number }[];
+			};
+			return scopes.find((entry) => entry.scope === scope)!.spent;
+		}
+
+		it("reports unlimited budgets by default", async () => {
+			const result = await callTool(getClient(), "runway_get_budget");
+			expect(result.text).toContain("| session | unlimited |");
+			expect(result.structuredContent?.scopes).toHaveLength(3);
+			expect(result.structuredContent?.scopes).toContainEqual(
+				expect.objectContaining({ scope: "daily", resets_at: expect.any(String) }),
+			);
+		});
+
+		it("charges the estimated cost of each submitted task", async () => {
+			const before = await spent("session");
+			await callTool(getClient(), "runway_text_to_video", {
+				prompt: "charged",
+				duration: 10,
+				auto_poll: false,
+			});
+			expect(await spent("session")).toBe(before + 50);
+		});
+
+		it("does not charge requests RunwayML rejects", async () => {
+			const before = await spent("session");
+			getMock().mock.injectError({
+				method: "POST",
+				path: "/v1/text_to_video",
+				status: 400,
+				body: { error: "ratio is invalid" },
+			});
+			const result = await callTool(getClient(), "runway_text_to_video", {
+				prompt: "rejected",
+			});
+			expect(result.isError).toBe(true);
+			expect(await spent("session")).toBe(before);
+		});
+	});
+
+	describe("concurrency queue", () => {
+		it("reports an unlimited queue by default", async () => {
+			const result = await callTool(getClient(), "runway_get_queue");
+			expect(result.text).toContain("(no limit)");
+			expect(result.structuredContent).toMatchObject({ queued: [] });
+			expect(result.structuredContent?.limit).toBeUndefined();
+		});
+	});
+
+	describe("usage reports", () => {
+		it("aggregates submitted tasks by model", async () => {
+			const since = new Date().toISOString();
+			await callTool(getClient(), "runway_text_to_video", { prompt: "usage one" });
+			await callTool(getClient(), "runway_text_to_video", { prompt: "usage two" });
+			await callTool(getClient(), "runway_text_to_video", { prompt: "usage [mock:fail]" });
+			await callTool(getClient(), "runway_text_to_image", { prompt_text: "usage still" });
+
+			const result = await callTool(getClient(), "runway_usage_report", {
+				group_by: ["model"],
+				created_after: since,
+			});
+			expect(result.text).toContain("Usage of 4 tasks");
+			expect(result.text).toContain("| Model | Tasks | Succeeded |");
+			expect(result.structuredContent).toMatchObject({
+				group_by: ["model"],
+				rows: [
+					{ model: "gen4_image", tasks: 1, succeeded: 1, success_rate: 1 },
+					{
+						model: "gen4_turbo",
+						tasks: 3,
+						succeeded: 2,
+						failed: 1,
+						in_progress: 0,
+						success_rate: 0.6667,
+						failure_rate: 0.3333,
+						credits: 75,
+					},
+				],
+				totals: { tasks: 4, succeeded: 3, failed: 1 },
+			});
+			const rows = result.structuredContent?.rows as Array<Record<string, unknown>>;
+			expect(rows[1].avg_render_seconds).toEqual(expect.any(Number));
+		});
+
+		it("breaks usage down by tool and session as CSV", async () => {
+			const since = new Date().toISOString();
+			await callTool(getClient(), "runway_text_to_video", { prompt: "csv one" });
+			await callTool(getClient(), "runway_text_to_image", { prompt_text: "csv two" });
+
+			const result = await callTool(getClient(), "runway_usage_report", {
+				group_by: ["tool", "session"],
+				created_after: since,
+				format: "csv",
+			});
+			const [header, ...lines] = result.text.split("\n");
+			expect(header).toBe(
+				"tool,session,tasks,succeeded,failed,cancelled,in_progress,success_rate,failure_rate,credits,avg_render_seconds",
+			);
+			expect(lines).toHaveLength(2);
+			expect(lines[0]).toMatch(/^runway_text_to_image,[^,]+,1,1,0,0,0,1,0,5,/);
+			const rows = result.structuredContent?.rows as Array<{ session: string }>;
+			expect(rows[0].session).toBe(rows[1].session);
+		});
+
+		it("returns the report as JSON and reports empty periods", async () => {
+			const result = await callTool(getClient(), "runway_usage_report", {
+				created_after: "2000-01-01T00:00:00Z",
+				created_before: "2000-01-02T00:00:00Z",
+				format: "json",
+			});
+			expect(JSON.parse(result.text)).toEqual({
+				rows: [],
+				totals: {
+					tasks: 0,
+					succeeded: 0,
+					failed: 0,
+					cancelled: 0,
+					in_progress: 0,
+					credits: 0,
+				},
+			});
+
+			const table = await callTool(getClient(), "runway_usage_report", {
+				created_before: "2000-01-01T00:00:00Z",
+			});
+			expect(table.text).toBe("No tasks were submitted in this period.");
+		});
+	});
+
+	describe("task tools", () => {
+		async function createTask(prompt: string): Promise<string> {
+			await callTool(getClient(), "runway_text_to_video", { prompt, auto_poll: false });
+			return [...getMock().mock.tasks.keys()].at(-1)!;
+		}
+
+		it("gets a task's status", async () => {
+			const taskId = await createTask("status check");
+			const result = await callTool(getClient(), "runway_get_task", { task_id: taskId });
+			expect(result.text).toContain(`Task ID: ${taskId}`);
+			expect(result.text).toContain("Status: PENDING");
+			expect(result.structuredContent).toMatchObject({ task_id: taskId, status: "PENDING" });
+		});
+
+		it("fills in the model and prompt of tasks it submitted", async () => {
+			const taskId = await createTask("a remembered prompt");
+			await callTool(getClient(), "runway_poll_task", { task_id: taskId });
+			const result = await callTool(getClient(), "runway_get_task", { task_id: taskId });
+			expect(result.structuredContent).toMatchObject({
+				status: "SUCCEEDED",
+				model: "gen4_turbo",
+				prompt: "a remembered prompt",
+			});
+		});
+
+		it("serves finished tasks from the ledger without calling RunwayML", async () => {
+			const taskId = await createTask("finished already");
+			await callTool(getClient(), "runway_poll_task", { task_id: taskId });
+			const task = getMock().mock.tasks.get(taskId)!;
+			const polls = task.polls;
+
+			const result = await callTool(getClient(), "runway_get_task", { task_id: taskId });
+			expect(result.structuredContent).toMatchObject({
+				status: "SUCCEEDED",
+				outputs: [expect.any(String)],
+				prompt: "finished already",
+			});
+			expect(task.polls).toBe(polls);
+		});
+
+		it("checks the API key of a finished task with RunwayML", async () => {
+			const taskId = await createTask("someone else's");
+			await callTool(getClient(), "runway_poll_task", { task_id: taskId });
+
+			const result = await callTool(getClient(), "runway_get_task", {
+				task_id: taskId,
+				api_key: "not-the-owner",
+			});
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent).not.toHaveProperty("prompt");
+			expect(result.structuredContent?.error).toMatchObject({ code: "AUTH_REJECTED" });
+		});
+
+		it("reports unknown tasks", async () => {
+			const result = await callTool(getClient(), "runway_get_task", { task_id: "nope" });
+			expect(result.text).toContain("could not find the requested task");
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "NOT_FOUND",
+				category: "user_input",
+			});
+		});
+
+		it("polls an existing task to completion", async () => {
+			const taskId = await createTask("poll me");
+			const result = await callTool(getClient(), "runway_poll_task", { task_id: taskId });
+			expect(result.text).toContain("Task completed successfully");
+		});
+
+		it("times out polling a task that never finishes", async () => {
+			const taskId = await createTask("endless [mock:never]");
+			const result = await callTool(getClient(), "runway_poll_task", {
+				task_id: taskId,
+				max_wait_seconds: 0.3,
+			});
+			expect(result.text).toContain("Timeout reached after 0.3 seconds");
+		});
+
+		it("cancels a task", async () => {
+			const taskId = await createTask("cancel me");
+			const cancelled = await callTool(getClient(), "runway_cancel_task", {
+				task_id: taskId,
+			});
+			expect(cancelled.text).toContain(`Task ${taskId} has been cancelled`);
+			expect(cancelled.structuredContent).toEqual({ task_id: taskId, cancelled: true });
+
+			const status = await callTool(getClient(), "runway_get_task", { task_id: taskId });
+			expect(status.text).toContain("Status: CANCELLED");
+		});
+
+		it("cancels the task on RunwayML when the client cancels the call", async () => {
+			const controller = new AbortController();
+			const call = getClient().callTool(
+				{
+					name: "runway_image_to_video",
+					arguments: {
+						prompt_image: "https://example.com/cat.png",
+						prompt_text: "abandoned [mock:never]",
+					},
+				},
+				CallToolResultSchema,
+				{ signal: controller.signal },
+			);
+			await vi.waitFor(() => {
+				expect(getMock().mock.tasks.size).toBe(1);
+				expect([...getMock().mock.tasks.values()][0].polls).toBeGreaterThanOrEqual(2);
+			});
+			const [task] = getMock().mock.tasks.values();
+			controller.abort("user pressed stop");
+			await expect(call).rejects.toThrow();
+
+			await vi.waitFor(() => expect(task.cancelled).toBe(true));
+			const { contents } = await getClient().readResource({
+				uri: `runway://tasks/${task.id}`,
+			});
+			expect(JSON.parse(String(contents[0].text)).status).toBe("CANCELLED");
+
+			// The poll loop has stopped
+			const polls = task.polls;
+			await new Promise((resolve) => setTimeout(resolve, 100));
+			expect(task.polls).toBe(polls);
+		});
+
+		it("records tasks cancelled with runway_cancel_task", async () => {
+			const taskId = await createTask("cancelled by tool");
+			await callTool(getClient(), "runway_cancel_task", { task_id: taskId });
+			const { contents } = await getClient().readResource({
+				uri: `runway://tasks/${taskId}`,
+			});
+			expect(JSON.parse(String(contents[0].text)).status).toBe("CANCELLED");
+		});
+
+		it("shows organization credits", async () => {
+			const result = await callTool(getClient(), "runway_get_organization");
+			expect(result.text).toContain("Credits: 1000");
+			expect(result.structuredContent).toMatchObject({ credit_balance: 1000 });
+		});
+	});
+	describe("task history", () => {
+		// The ledger outlives mock resets, so each test lists only its own tagged tasks
+		let tag: string;
+		beforeEach(() => {
+			tag = `hist-${Math.random().toString(36).slice(2, 8)}`;
+		});
+
+		async function submit(tool: string, args: Record<string, unknown>): Promise<string> {
+			await callTool(getClient(), tool, { ...args, auto_poll: false });
+			return [...getMock().mock.tasks.keys()].at(-1)!;
+		}
+
+		async function list(args: Record<string, unknown> = {}) {
+			const result = await callTool(getClient(), "runway_list_tasks", {
+				prompt_contains: tag,
+				...args,
+			});
+			const { tasks, next_cursor } = result.structuredContent as {
+				tasks: { task_id: string; status: string; tool: string }[];
+				next_cursor?: string;
+			};
+			return { result, ids: tasks.map((task) => task.task_id), tasks, next_cursor };
+		}
+
+		it("lists submitted tasks newest first with a table and structured rows", async () => {
+			const first = await submit("runway_text_to_video", { prompt: `${tag} red car` });
+			const second = await submit("runway_text_to_image", { prompt_text: `${tag} red bike` });
+
+			const { result, ids, tasks } = await list();
+			expect(ids).toEqual([second, first]);
+			expect(tasks[0]).toMatchObject({
+				tool: "runway_text_to_image",
+				status: "PENDING",
+				model: "gen4_image",
+				prompt: `${tag} red bike`,
+				params: { prompt_text: `${tag} red bike`, ratio: "720:720" },
+				estimated_credits: 5,
+			});
+			expect(result.text).toContain(
+				"| Created (UTC) | Task ID | Type | Model | Status | Prompt |",
+			);
+			expect(result.text).toContain(`| ${first} | text_to_video | gen4_turbo | PENDING |`);
+		});
+
+		it("filters by status, type and prompt", async () => {
+			const done = await submit("runway_text_to_video", { prompt: `${tag} red car` });
+			await submit("runway_text_to_video", { prompt: `${tag} blue car` });
+			const image = await submit("runway_text_to_image", { prompt_text: `${tag} red bike` });
+			await callTool(getClient(), "runway_poll_task", { task_id: done });
+
+			expect((await list({ status: ["SUCCEEDED"] })).ids).toEqual([done]);
+			expect((await list({ type: ["text_to_image"] })).ids).toEqual([image]);
+			expect((await list({ prompt_contains: `${tag} RED` })).ids).toEqual([image, done]);
+			expect((await list({ model: "gen4_image" })).ids).toEqual([image]);
+			expect((await list({ sort_by: "updated_at", order: "asc" })).ids.at(-1)).toBe(done);
+			const future = new Date(Date.now() + 60_000).toISOString();
+			const later = await list({ created_after: future });
+			expect(later.ids).toEqual([]);
+			expect(later.result.text).toContain("No tasks match");
+			expect((await list({ created_before: future })).ids).toHaveLength(3);
+		});
+
+		it("pages through results with a cursor", async () => {
+			const ids = [];
+			for (const color of ["red", "green", "blue"]) {
+				ids.push(await submit("runway_text_to_video", { prompt: `${tag} ${color}` }));
+			}
+
+			const first = await list({ limit: 2 });
+			expect(first.ids).toEqual([ids[2], ids[1]]);
+			expect(first.result.text).toContain(`cursor: "${first.next_cursor}"`);
+			const second = await list({ limit: 2, cursor: first.next_cursor });
+			expect(second.ids).toEqual([ids[0]]);
+			expect(second.next_cursor).toBeUndefined();
+		});
+
+		it("rejects a malformed cursor", async () => {
+			const result = await callTool(getClient(), "runway_list_tasks", { cursor: "garbage" });
+			expect(result.isError).toBe(true);
+			expect(result.structuredContent?.error).toMatchObject({
+				code: "INVALID_CURSOR",
+				category: "user_input",
+			});
+		});
+	});
+	describe("task resources", () => {
+		async function generate(prompt: string): Promise<string> {
+			await callTool(getClient(), "runway_text_to_video", { prompt });
+			return [...getMock().mock.tasks.keys()].at(-1)!;
+		}
+
+		it("advertises task and output templates", async () => {
+			const { resourceTemplates } = await getClient().listResourceTemplates();
+			expect(resourceTemplates.map((template) => template.uriTemplate).sort()).toEqual([
+				"runway://tasks/{id}",
+				"runway://tasks/{id}/outputs/{n}",
+			]);
+		});
+
+		it("lists known tasks and their outputs", async () => {
+			const taskId = await generate("listed as a resource");
+			const { resources } = await getClient().listResources();
+			expect(resources).toContainEqual(
+				expect.objectContaining({
+					uri: `runway://tasks/${taskId}`,
+					mimeType: "application/json",
+					description: "text-to-video SUCCEEDED: listed as a resource",
+				}),
+			);
+			expect(resources).toContainEqual(
+				expect.objectContaining({
+					uri: `runway://tasks/${taskId}/outputs/0`,
+					mimeType: "video/mp4",
+				}),
+			);
+		});
+
+		it("reads task metadata with its status history", async () => {
+			const taskId = await generate("read me");
+			const { contents } = await getClient().readResource({
+				uri: `runway://tasks/${taskId}`,
+			});
+			const metadata = JSON.parse(contents[0].text as string);
+			expect(metadata).toMatchObject({
+				task_id: taskId,
+				status: "SUCCEEDED",
+				prompt: "read me",
+				output_uris: [`runway://tasks/${taskId}/outputs/0`],
+			});
+			expect(metadata.events.map((event: { status: string }) => event.status)).toEqual([
+				"PENDING",
+				"RUNNING",
+				"SUCCEEDED",
+			]);
+		});
+
+		it("returns small outputs inline as a blob", async () => {
+			const taskId = await generate("inline media");
+			const { contents } = await getClient().readResource({
+				uri: `runway://tasks/${taskId}/outputs/0`,
+			});
+			expect(contents[0].mimeType).toBe("video/mp4");
+			expect(atob(contents[0].blob as string)).toBe(`mock mp4 output for ${taskId}`);
+		});
+
+		it("rejects unknown tasks and outputs", async () => {
+			await expect(getClient().readResource({ uri: "runway://tasks/nope" })).rejects.toThrow(
+				/Unknown task/,
+			);
+			const taskId = await generate("one output");
+			await expect(
+				getClient().readResource({ uri: `runway://tasks/${taskId}/outputs/3` }),
+			).rejects.toThrow(/has 1 output/);
+		});
+	});
+}
@@ -0,0 +1,121 @@
+import type { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import type { Unstable_DevWorker } from "wrangler";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { callTool, connectStdio, connectWorker, startMock, startWorker } from "./helpers.js";
+
+const TRACKING_ENV = {
+	RUNWAYML_TRACKING_ENABLED: "true",
+	RUNWAYML_TRACKING_INTERVAL_MS: "50",
+};
+
+function lastTaskId(mock: MockRunwayServer): string {
+	return [...mock.mock.tasks.keys()].at(-1)!;
+}
+
+async function ledgerStatus(client: Client, taskId: string): Promise<string | undefined> {
+	const result = await callTool(client, "runway_list_tasks", { limit: 100 });
+	const { tasks } = result.structuredContent as { tasks: { task_id: string; status: string }[] };
+	return tasks.find((task) => task.task_id === taskId)?.status;
+}
+
+/**
+ * Tracking behaviour shared by both transports: the ledger reaches the terminal status
+ * without any tool polling the task.
+ */
+function defineTrackingSuite(getClient: () => Client, getMock: () => MockRunwayServer) {
+	beforeEach(() => {
+		getMock().mock.reset();
+	});
+
+	it("follows a task created without auto_poll to completion", async () => {
+		await callTool(getClient(), "runway_text_to_video", { prompt: "later", auto_poll: false });
+		const taskId = lastTaskId(getMock());
+		await vi.waitFor(
+			async () => expect(await ledgerStatus(getClient(), taskId)).toBe("SUCCEEDED"),
+			{
+				timeout: 5000,
+				interval: 100,
+			},
+		);
+	});
+
+	it("keeps following a task after max_wait_seconds elapses", async () => {
+		getMock().mock.setScript({ runningPolls: 6 });
+		const result = await callTool(getClient(), "runway_text_to_video", {
+			prompt: "slow",
+			max_wait_seconds: 0.05,
+		});
+		expect(result.structuredContent?.error).toMatchObject({ code: "POLL_TIMEOUT" });
+		const taskId = lastTaskId(getMock());
+		await vi.waitFor(
+			async () => expect(await ledgerStatus(getClient(), taskId)).toBe("SUCCEEDED"),
+			{
+				timeout: 5000,
+				interval: 100,
+			},
+		);
+	});
+}
+
+describe("background tracking", () => {
+	let mock: MockRunwayServer;
+
+	beforeAll(async () => {
+		mock = await startMock();
+	});
+
+	afterAll(async () => {
+		await mock?.close();
+	});
+
+	describe("stdio server", () => {
+		let client: Client;
+
+		beforeAll(async () => {
+			client = await connectStdio(mock.url, TRACKING_ENV);
+		});
+
+		afterAll(async () => {
+			await client?.close();
+		});
+
+		defineTrackingSuite(
+			() => client,
+			() => mock,
+		);
+	});
+
+	describe("Cloudflare Worker", () => {
+		let worker: Unstable_DevWorker;
+		let client: Client;
+
+		beforeAll(async () => {
+			worker = await startWorker(mock.url, TRACKING_ENV);
+			client = await connectWorker(worker, "mcp");
+		});
+
+		afterAll(async () => {
+			await client?.close();
+			await worker?.stop();
+		});
+
+		defineTrackingSuite(
+			() => client,
+			() => mock,
+		);
+
+		it("keeps tracking with Durable Object alarms after the session disconnects", async () => {
+			const session = await connectWorker(worker, "mcp");
+			await callTool(session, "runway_text_to_video", { prompt: "bye", auto_poll: false });
+			const task = mock.mock.tasks.get(lastTaskId(mock))!;
+			await session.close();
+
+			// pending, two running steps, then the terminal status
+			await vi.waitFor(() => expect(task.polls).toBeGreaterThanOrEqual(4), {
+				timeout: 5000,
+				interval: 100,
+			});
+		});
+	});
+});
@@ -0,0 +1,126 @@
+import { describe, expect, it } from "vitest";
+import { MemoryTaskLedger, ObservedTaskLedger } from "../src/ledger/index.js";
+import {
+	MemoryUsageStore,
+	type UsageRecord,
+	buildUsageReport,
+	usageRecorder,
+} from "../src/usage/index.js";
+
+const DAY_ONE = Date.parse("2025-06-01T10:00:00Z");
+const DAY_TWO = Date.parse("2025-06-02T10:00:00Z");
+
+function usage(overrides: Partial<UsageRecord>): UsageRecord {
+	return {
+		id: crypto.randomUUID(),
+		sessionId: "session-a",
+		tool: "runway_text_to_video",
+		model: "gen4_turbo",
+		status: "SUCCEEDED",
+		estimatedCredits: 25,
+		createdAt: DAY_ONE,
+		completedAt: DAY_ONE + 30_000,
+		...overrides,
+	};
+}
+
+describe("buildUsageReport", () => {
+	const records = [
+		usage({}),
+		usage({ completedAt: DAY_ONE + 60_000 }),
+		usage({ status: "FAILED", completedAt: DAY_ONE + 5000 }),
+		usage({ status: "RUNNING", completedAt: undefined, createdAt: DAY_TWO }),
+		usage({
+			sessionId: "session-b",
+			tool: "runway_text_to_image",
+			model: "gen4_image",
+			estimatedCredits: 5,
+			createdAt: DAY_TWO,
+			completedAt: DAY_TWO + 10_000,
+		}),
+	];
+
+	it("counts outcomes, credits and render times per group", () => {
+		const report = buildUsageReport(records, ["day"]);
+		expect(report.groups).toEqual([
+			{
+				key: { day: "2025-06-01" },
+				tasks: 3,
+				succeeded: 2,
+				failed: 1,
+				cancelled: 0,
+				inProgress: 0,
+				successRate: 2 / 3,
+				failureRate: 1 / 3,
+				credits: 75,
+				avgRenderSeconds: 45,
+			},
+			{
+				key: { day: "2025-06-02" },
+				tasks: 2,
+				succeeded: 1,
+				failed: 0,
+				cancelled: 0,
+				inProgress: 1,
+				successRate: 1,
+				failureRate: 0,
+				credits: 30,
+				avgRenderSeconds: 10,
+			},
+		]);
+		expect(report.totals).toMatchObject({ tasks: 5, succeeded: 3, credits: 105 });
+	});
+
+	it("groups by every requested dimension, sorted by key", () => {
+		const report = buildUsageReport(records, ["session", "model"]);
+		expect(report.groups.map((group) => group.key)).toEqual([
+			{ session: "session-a", model: "gen4_turbo" },
+			{ session: "session-b", model: "gen4_image" },
+		]);
+	});
+
+	it("leaves rates and render times out when no task has finished", () => {
+		const report = buildUsageReport([usage({ status: "PENDING", completedAt: undefined })], []);
+		expect(report.groups).toHaveLength(1);
+		expect(report.totals.successRate).toBeUndefined();
+		expect(report.totals.avgRenderSeconds).toBeUndefined();
+	});
+});
+
+describe("usageRecorder", () => {
+	it("copies new tasks and status changes into the usage store", async () => {
+		const store = new MemoryUsageStore();
+		const ledger = new ObservedTaskLedger(
+			new MemoryTaskLedger(),
+			usageRecorder(store, "session-a"),
+		);
+		await ledger.record({
+			id: "task-1",
+			tool: "runway_text_to_video",
+			params: {},
+			model: "gen4_turbo",
+			estimatedCredits: 25,
+		});
+		expect(await store.list()).toMatchObject([{ id: "task-1", status: "PENDING" }]);
+
+		await ledger.observe({ id: "task-1", status: "SUCCEEDED", output: ["https://x/1.mp4"] });
+		const [record] = await store.list();
+		expect(record).toMatchObject({
+			sessionId: "session-a",
+			status: "SUCCEEDED",
+			estimatedCredits: 25,
+		});
+		expect(record.completedAt).toEqual(expect.any(Number));
+	});
+
+	it("filters stored usage by submission time", async () => {
+		const store = new MemoryUsageStore();
+		await store.put(usage({ id: "late", createdAt: DAY_TWO }));
+		await store.put(usage({ id: "early" }));
+		expect((await store.list()).map((record) => record.id)).toEqual(["early", "late"]);
+		expect((await store.list({ createdAfter: DAY_TWO })).map((record) => record.id)).toEqual([
+			"late",
+		]);
+		expect(await store.list({ createdBefore: DAY_ONE })).toEqual([]);
+	});
+});
@@ -0,0 +1,279 @@
+import type { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import type { Unstable_DevWorker } from "wrangler";
+import type { MockRunwayServer } from "../src/mock/server.js";
+import { TEST_API_KEY, callTool, connectWorker, startMock, startWorker } from "./helpers.js";
+import { defineToolSuite } from "./tool-suite.js";
+
+describe("Cloudflare Worker", () => {
+	let mock: MockRunwayServer;
+	let worker: Unstable_DevWorker;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		worker = await startWorker(mock.url);
+	});
+
+	afterAll(async () => {
+		await worker?.stop();
+		await mock?.close();
+	});
+
+	it("returns 404 for unknown routes", async () => {
+		const response = await worker.fetch("/nope");
+		expect(response.status).toBe(404);
+		expect(await response.text()).toBe("Not found");
+	});
+
+	it("reports usage of every session in the deployment", async () => {
+		const since = new Date().toISOString();
+		const first = await connectWorker(worker, "mcp");
+		const second = await connectWorker(worker, "sse");
+		try {
+			await callTool(first, "runway_text_to_video", { prompt: "first session" });
+			await callTool(second, "runway_text_to_video", { prompt: "second session" });
+
+			const report = await callTool(first, "runway_usage_report", {
+				group_by: ["session"],
+				created_after: since,
+			});
+			const rows = report.structuredContent?.rows as Array<{
+				session: string;
+				tasks: number;
+			}>;
+			expect(rows).toHaveLength(2);
+			expect(rows[0].session).not.toBe(rows[1].session);
+			expect(rows.map((row) => row.tasks)).toEqual([1, 1]);
+		} finally {
+			await first.close();
+			await second.close();
+		}
+	});
+
+	it("keeps the task history of earlier sessions", async () => {
+		const earlier = await connectWorker(worker, "mcp");
+		const created = await callTool(earlier, "runway_text_to_video", {
+			prompt: "yesterday's video",
+		});
+		const taskId = created.structuredContent?.task_id;
+		await earlier.close();
+
+		const later = await connectWorker(worker, "sse");
+		try {
+			const history = await callTool(later, "runway_list_tasks", {
+				prompt_contains: "yesterday",
+			});
+			expect(history.structuredContent?.tasks).toEqual([
+				expect.objectContaining({ task_id: taskId, status: "SUCCEEDED" }),
+			]);
+			const rerun = await callTool(later, "runway_rerun_task", {
+				task_id: taskId,
+				auto_poll: false,
+			});
+			expect(rerun.isError).toBeFalsy();
+		} finally {
+			await later.close();
+		}
+	});
+
+	for (const transport of ["mcp", "sse"] as const) {
+		describe(`/${transport}`, () => {
+			let client: Client;
+
+			beforeAll(async () => {
+				client = await connectWorker(worker, transport);
+			});
+
+			afterAll(async () => {
+				await client?.close();
+			});
+
+			defineToolSuite(
+				() => client,
+				() => mock,
+			);
+		});
+	}
+});
+
+describe("Cloudflare Worker with credit budgets", () => {
+	let mock: MockRunwayServer;
+	let worker: Unstable_DevWorker;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		worker = await startWorker(mock.url, {
+			RUNWAYML_BUDGET_SESSION_CREDITS: "50",
+			RUNWAYML_BUDGET_DEPLOYMENT_CREDITS: "75",
+		});
+	});
+
+	afterAll(async () => {
+		await worker?.stop();
+		await mock?.close();
+	});
+
+	it("enforces session budgets per session and the deployment budget across sessions", async () => {
+		const first = await connectWorker(worker, "mcp");
+		const second = await connectWorker(worker, "sse");
+		const submit = (client: Client) =>
+			callTool(client, "runway_text_to_video", { prompt: "budgeted", auto_poll: false });
+		try {
+			await submit(first);
+			await submit(first);
+			const sessionRefusal = await submit(first);
+			expect(sessionRefusal.isError).toBe(true);
+			expect(sessionRefusal.text).toContain("session credit budget would be exceeded");
+			expect(sessionRefusal.structuredContent?.error).toMatchObject({
+				code: "BUDGET_EXCEEDED",
+				category: "user_input",
+			});
+
+			await submit(second);
+			const deploymentRefusal = await submit(second);
+			expect(deploymentRefusal.structuredContent?.error).toMatchObject({
+				code: "BUDGET_EXCEEDED",
+				message: expect.stringContaining("deployment credit budget"),
+			});
+			expect(mock.mock.tasks.size).toBe(3);
+
+			const budget = await callTool(second, "runway_get_budget");
+			expect(budget.structuredContent?.scopes).toEqual([
+				{ scope: "session", limit: 50, spent: 25, remaining: 25 },
+				expect.objectContaining({ scope: "daily", spent: 75 }),
+				{ scope: "deployment", limit: 75, spent: 75, remaining: 0 },
+			]);
+		} finally {
+			await first.close();
+			await second.close();
+		}
+	});
+});
+
+describe("Cloudflare Worker with a concurrency limit", () => {
+	let mock: MockRunwayServer;
+	let worker: Unstable_DevWorker;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		worker = await startWorker(mock.url, {
+			RUNWAYML_QUEUE_MAX_IN_FLIGHT: "1",
+			RUNWAYML_QUEUE_MAX_WAIT_MS: "1500",
+			RUNWAYML_TRACKING_ENABLED: "true",
+			RUNWAYML_TRACKING_INTERVAL_MS: "50",
+		});
+	});
+
+	afterAll(async () => {
+		await worker?.stop();
+		await mock?.close();
+	});
+
+	it("holds the limit across sessions", async () => {
+		const first = await connectWorker(worker, "mcp");
+		const second = await connectWorker(worker, "sse");
+		try {
+			const held = await callTool(first, "runway_text_to_video", {
+				prompt: "held [mock:never]",
+				auto_poll: false,
+			});
+			const refused = await callTool(second, "runway_text_to_image", {
+				prompt_text: "too late",
+			});
+			expect(refused.structuredContent?.error).toMatchObject({ code: "QUEUE_TIMEOUT" });
+			expect(mock.mock.tasks.size).toBe(1);
+
+			const queued = callTool(second, "runway_text_to_image", { prompt_text: "next" });
+			await vi.waitFor(async () => {
+				const queue = await callTool(first, "runway_get_queue");
+				expect(queue.structuredContent).toMatchObject({
+					limit: 1,
+					in_flight: 1,
+					queued: [{ position: 1, tool: "runway_text_to_image" }],
+				});
+			});
+			await callTool(first, "runway_cancel_task", {
+				task_id: held.structuredContent?.task_id,
+			});
+			expect((await queued).structuredContent).toMatchObject({
+				status: "SUCCEEDED",
+				queue: { position: 1 },
+			});
+			expect(mock.mock.tasks.size).toBe(2);
+		} finally {
+			await first.close();
+			await second.close();
+		}
+	});
+
+	it("frees the slot of a task that RunwayML no longer knows", async () => {
+		const client = await connectWorker(worker, "mcp");
+		try {
+			const held = await callTool(client, "runway_text_to_video", {
+				prompt: "lost [mock:never]",
+				auto_poll: false,
+			});
+			mock.mock.tasks.delete(held.structuredContent?.task_id as string);
+
+			const next = await callTool(client, "runway_text_to_image", { prompt_text: "after" });
+			expect(next.structuredContent).toMatchObject({ status: "SUCCEEDED" });
+		} finally {
+			await client.close();
+		}
+	});
+});
+
+describe("Cloudflare Worker with callers' own API keys", () => {
+	let mock: MockRunwayServer;
+	let worker: Unstable_DevWorker;
+
+	beforeAll(async () => {
+		mock = await startMock();
+		// The mock only accepts TEST_API_KEY, which callers pass themselves
+		worker = await startWorker(mock.url, { RUNWAYML_API_KEY: "server-owned-key" });
+	});
+
+	afterAll(async () => {
+		await worker?.stop();
+		await mock?.close();
+	});
+
+	it("keeps the task history of each API key apart", async () => {
+		const owner = await connectWorker(worker, "mcp");
+		const created = await callTool(owner, "runway_text_to_video", {
+			prompt: "a private video",
+			api_key: TEST_API_KEY,
+		});
+		const taskId = created.structuredContent?.task_id as string;
+		await owner.close();
+
+		const other = await connectWorker(worker, "sse");
+		const returning = await connectWorker(worker, "mcp");
+		try {
+			const listed = await callTool(other, "runway_list_tasks", {
+				prompt_contains: "private",
+			});
+			expect(listed.structuredContent?.tasks).toEqual([]);
+			const fetched = await callTool(other, "runway_get_task", { task_id: taskId });
+			expect(fetched.structuredContent?.error).toMatchObject({ code: "AUTH_REJECTED" });
+			expect(fetched.structuredContent).not.toHaveProperty("prompt");
+			const rerun = await callTool(other, "runway_rerun_task", { task_id: taskId });
+			expect(rerun.structuredContent?.error).toMatchObject({ code: "NOT_FOUND" });
+			const { resources } = await other.listResources();
+			expect(resources.map((resource) => resource.uri)).not.toContain(
+				`runway://tasks/${taskId}`,
+			);
+
+			const own = await callTool(returning, "runway_list_tasks", {
+				prompt_contains: "private",
+				api_key: TEST_API_KEY,
+			});
+			expect(own.structuredContent?.tasks).toEqual([
+				expect.objectContaining({ task_id: taskId, status: "SUCCEEDED" }),
+			]);
+		} finally {
+			await other.close();
+			await returning.close();
+		}
+	});
+});
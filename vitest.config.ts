@@ -0,0 +1,11 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+	test: {
+		include: ["test/**/*.test.ts"],
+		// Each file boots a real server (workerd or a stdio child process); run them one at a time
+		fileParallelism: false,
+		testTimeout: 30_000,
+		hookTimeout: 120_000,
+	},
+});